@@ -0,0 +1,248 @@
+/**
+ * Tests for batch completions, in memory and from JSONL files
+ */
+
+const fs=require('fs');
+const os=require('os');
+const path=require('path');
+const axios=require('axios');
+const MockAdapter=require('axios-mock-adapter');
+const Agentlify=require('../src/index');
+const {InvalidRequestError,APIUserAbortError}=require('../src/errors');
+
+const mock=new MockAdapter(axios);
+
+/**
+ * Batch item classifying the given text
+ */
+function item(id,text=`ticket ${id}`) {
+  return {custom_id: id,body: {messages: [{role: 'user',content: text}],max_tokens: 5}};
+}
+
+/**
+ * Reply with the label, usage and routing cost for a request
+ */
+function replyFor(config) {
+  const text=JSON.parse(config.data).messages[0].content;
+  if(text.includes('bad')) {
+    return [400,{error: {message: 'Prompt rejected',code: 'content_filter'}}];
+  }
+  return [200,{
+    id: `chatcmpl-${text}`,
+    model: 'gpt-4o-mini',
+    choices: [{index: 0,message: {role: 'assistant',content: 'billing'},finish_reason: 'stop'}],
+    usage: {prompt_tokens: 10,completion_tokens: 1,total_tokens: 11},
+    _meta: {modelUsed: 'gpt-4o-mini',cost: 0.25}
+  }];
+}
+
+/**
+ * Parsed lines of a JSONL file
+ */
+function readJSONL(file) {
+  return fs.readFileSync(file,'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('batches',() => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',maxRetries: 0});
+  });
+
+  describe('run',() => {
+    it('should return results in input order with aggregated usage and cost',async () => {
+      mock.onPost('/router/test-router-id').reply(replyFor);
+      const progress=[];
+
+      const summary=await client.batches.run([item('a'),item('b','bad ticket'),item('c')],{
+        concurrency: 2,
+        onProgress: totals => progress.push(totals.completed)
+      });
+
+      expect(summary.results.map(result => result.custom_id)).toEqual(['a','b','c']);
+      expect(summary.results[0].response.choices[0].message.content).toBe('billing');
+      expect(summary.results[1].response).toBeNull();
+      expect(summary.results[1].error).toBeInstanceOf(InvalidRequestError);
+      expect(summary).toMatchObject({
+        total: 3,
+        completed: 3,
+        succeeded: 2,
+        failed: 1,
+        skipped: 0,
+        usage: {prompt_tokens: 20,completion_tokens: 2,total_tokens: 22},
+        cost: 0.5,
+        models: {'gpt-4o-mini': 2}
+      });
+      expect(progress).toEqual([1,2,3]);
+    });
+
+    it('should keep at most concurrency requests in flight',async () => {
+      let inFlight=0;
+      let peak=0;
+      mock.onPost().reply(async (config) => {
+        inFlight++;
+        peak=Math.max(peak,inFlight);
+        await new Promise(resolve => setTimeout(resolve,5));
+        inFlight--;
+        return replyFor(config);
+      });
+
+      await client.batches.run(['a','b','c','d','e'].map(id => item(id)),{concurrency: 2});
+
+      expect(peak).toBe(2);
+      expect(mock.history.post).toHaveLength(5);
+    });
+
+    it('should use the client retry logic',async () => {
+      client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',retry: {maxRetries: 1,backoff: () => 0}});
+      mock.onPost().replyOnce(500,{error: {message: 'Busy'}}).onPost().reply(replyFor);
+
+      const summary=await client.batches.run([item('a')]);
+
+      expect(summary.succeeded).toBe(1);
+      expect(mock.history.post).toHaveLength(2);
+    });
+
+    it('should validate the items',async () => {
+      await expect(client.batches.run([item('a'),item('a')])).rejects.toThrow('is not unique');
+      await expect(client.batches.run([{custom_id: 'a'}])).rejects.toThrow(InvalidRequestError);
+      await expect(client.batches.run([item('a')],{concurrency: 0})).rejects.toThrow('concurrency');
+
+      const summary=await client.batches.run([{custom_id: 'a',body: {...item('a').body,stream: true}}]);
+      expect(summary.results[0].error.message).toBe('Batch requests cannot stream');
+      expect(mock.history.post).toHaveLength(0);
+    });
+
+    it('should stop when the signal is aborted',async () => {
+      const controller=new AbortController();
+      mock.onPost().reply((config) => {
+        controller.abort();
+        return replyFor(config);
+      });
+
+      await expect(client.batches.run([item('a'),item('b'),item('c')],{concurrency: 1,signal: controller.signal}))
+        .rejects.toThrow(APIUserAbortError);
+      expect(mock.history.post).toHaveLength(1);
+    });
+  });
+
+  describe('runFile',() => {
+    let directory;
+    let input;
+    let output;
+
+    beforeEach(() => {
+      directory=fs.mkdtempSync(path.join(os.tmpdir(),'agentlify-batch-'));
+      input=path.join(directory,'input.jsonl');
+      output=path.join(directory,'output.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory,{recursive: true,force: true});
+    });
+
+    it('should write one output line per request',async () => {
+      fs.writeFileSync(input,[
+        item('a'),
+        {...item('b','bad ticket'),method: 'POST',url: '/v1/chat/completions'},
+        item('c')
+      ].map(line => JSON.stringify(line)).join('\n')+'\n');
+      mock.onPost().reply(replyFor);
+
+      const summary=await client.batches.runFile(input,output,{concurrency: 1});
+
+      const lines=readJSONL(output);
+      expect(lines.map(line => line.custom_id)).toEqual(['a','b','c']);
+      expect(lines[0].response.id).toBe('chatcmpl-ticket a');
+      expect(lines[0].error).toBeNull();
+      expect(lines[1]).toEqual({
+        custom_id: 'b',
+        response: null,
+        error: {message: 'Prompt rejected',type: 'invalid_request_error',code: 'content_filter',status: 400}
+      });
+      expect(summary).toMatchObject({total: 3,succeeded: 2,failed: 1,cost: 0.5,output});
+    });
+
+    it('should resume from the ids already in the output file',async () => {
+      fs.writeFileSync(input,['a','b','c','d'].map(id => JSON.stringify(item(id))).join('\n'));
+      fs.writeFileSync(output,[
+        JSON.stringify({custom_id: 'a',response: {id: 'done',usage: {prompt_tokens: 4,completion_tokens: 1,total_tokens: 5},_meta: {modelUsed: 'gpt-4o',cost: 1}},error: null}),
+        JSON.stringify({custom_id: 'b',response: null,error: {message: 'Busy'}}),
+        '{"custom_id":"c","respo'
+      ].join('\n'));
+      mock.onPost().reply(replyFor);
+
+      const summary=await client.batches.runFile(input,output);
+
+      expect(mock.history.post.map(request => JSON.parse(request.data).messages[0].content)).toEqual(['ticket c','ticket d']);
+      expect(readJSONL(output).map(line => line.custom_id)).toEqual(['a','b','c','d']);
+      expect(summary).toMatchObject({total: 4,skipped: 2,completed: 4,succeeded: 3,failed: 1,cost: 1.5});
+      expect(summary.models).toEqual({'gpt-4o': 1,'gpt-4o-mini': 2});
+      expect(summary.usage.total_tokens).toBe(27);
+    });
+
+    it('should leave checkpoint lines for ids missing from the input out of the summary',async () => {
+      fs.writeFileSync(input,['a','b'].map(id => JSON.stringify(item(id))).join('\n'));
+      fs.writeFileSync(output,[
+        JSON.stringify({custom_id: 'a',response: {id: 'done',_meta: {cost: 1}},error: null}),
+        JSON.stringify({custom_id: 'old',response: {id: 'stale',_meta: {cost: 5}},error: null})
+      ].join('\n')+'\n');
+      mock.onPost().reply(replyFor);
+
+      const summary=await client.batches.runFile(input,output);
+
+      expect(summary).toMatchObject({total: 2,skipped: 1,completed: 2,succeeded: 2,cost: 1.25});
+    });
+
+    it('should finish every item and close the output when onProgress throws',async () => {
+      fs.writeFileSync(input,['a','b','c','d'].map(id => JSON.stringify(item(id))).join('\n'));
+      mock.onPost().reply(async (config) => {
+        await new Promise(resolve => setTimeout(resolve,5));
+        return replyFor(config);
+      });
+      const onProgress=jest.fn(() => {
+        throw new Error('Progress bar broke');
+      });
+
+      await expect(client.batches.runFile(input,output,{concurrency: 2,onProgress})).rejects.toThrow('Progress bar broke');
+
+      expect(onProgress).toHaveBeenCalledTimes(1);
+      expect(readJSONL(output).map(line => line.custom_id).sort()).toEqual(['a','b','c','d']);
+    });
+
+    it('should run failed items again with retryFailed',async () => {
+      fs.writeFileSync(input,['a','b'].map(id => JSON.stringify(item(id))).join('\n'));
+      fs.writeFileSync(output,[
+        JSON.stringify({custom_id: 'a',response: {id: 'done'},error: null}),
+        JSON.stringify({custom_id: 'b',response: null,error: {message: 'Busy'}})
+      ].join('\n')+'\n');
+      mock.onPost().reply(replyFor);
+
+      await client.batches.runFile(input,output,{retryFailed: true});
+
+      const lines=readJSONL(output);
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toMatchObject({custom_id: 'b',error: null});
+    });
+
+    it('should start over with resume: false',async () => {
+      fs.writeFileSync(input,JSON.stringify(item('a')));
+      fs.writeFileSync(output,JSON.stringify({custom_id: 'a',response: {id: 'old'},error: null})+'\n');
+      mock.onPost().reply(replyFor);
+
+      await client.batches.runFile(input,output,{resume: false});
+
+      expect(readJSONL(output)).toHaveLength(1);
+      expect(readJSONL(output)[0].response.id).toBe('chatcmpl-ticket a');
+    });
+
+    it('should report invalid input lines',async () => {
+      fs.writeFileSync(input,`${JSON.stringify(item('a'))}\n{not json}\n`);
+
+      await expect(client.batches.runFile(input,output)).rejects.toThrow(`${input} line 2 is not valid JSON`);
+      expect(fs.existsSync(output)).toBe(false);
+    });
+  });
+});
@@ -197,7 +197,193 @@ describe('ChatCompletions',() => {
     });
   });
 
+  describe('parameters',() => {
+    const validMessages=[{role: 'user',content: 'Hello!'}];
+    const sentBody=() => JSON.parse(mock.history.post[0].data);
+
+    beforeEach(() => {
+      mock.onPost().reply(200,{id: 'chatcmpl-123'});
+    });
+
+    it('should forward documented OpenAI parameters',async () => {
+      const params={
+        n: 2,
+        seed: 42,
+        logprobs: true,
+        top_logprobs: 3,
+        logit_bias: {'50256': -100},
+        parallel_tool_calls: false,
+        metadata: {team: 'search'},
+        max_completion_tokens: 256
+      };
+
+      await chat.create({messages: validMessages,...params});
+
+      expect(sentBody()).toEqual({messages: validMessages,routerId: 'test-router-id',...params});
+    });
+
+    it('should validate documented parameters',async () => {
+      await expect(chat.create({messages: validMessages,n: 0})).rejects.toThrow('n must be a positive integer');
+      await expect(chat.create({messages: validMessages,logit_bias: {'1': 500}})).rejects.toThrow(InvalidRequestError);
+      await expect(chat.create({messages: validMessages,top_logprobs: 2})).rejects.toThrow('requires logprobs');
+      await expect(chat.create({messages: validMessages,metadata: {count: 1}})).rejects.toThrow('string values');
+      expect(mock.history.post).toHaveLength(0);
+    });
+
+    it('should merge extra_body into the request body',async () => {
+      await chat.create({messages: validMessages,temperature: 0.2,extra_body: {cache_ttl: 60,temperature: 0.5}});
+
+      expect(sentBody()).toMatchObject({cache_ttl: 60,temperature: 0.5});
+      expect(sentBody()).not.toHaveProperty('extra_body');
+    });
+
+    it('should forward unknown parameters by default',async () => {
+      await chat.create({messages: validMessages,router_hint: 'cheap'});
+
+      expect(sentBody().router_hint).toBe('cheap');
+    });
+
+    it('should warn about unknown parameters when strictParams is warn',async () => {
+      const warn=jest.spyOn(console,'warn').mockImplementation(() => {});
+      const strictClient=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',strictParams: 'warn'});
+
+      try {
+        await strictClient.chat.create({messages: validMessages,temprature: 0.5});
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Unknown chat completion parameter "temprature"'));
+        expect(sentBody().temprature).toBe(0.5);
+      } finally {
+        warn.mockRestore();
+      }
+    });
+
+    it('should reject unknown parameters when strictParams is true',async () => {
+      const strictClient=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',strictParams: true});
+
+      const error=await strictClient.chat.create({messages: validMessages,temprature: 0.5}).catch(e => e);
+
+      expect(error).toBeInstanceOf(InvalidRequestError);
+      expect(error.param).toBe('temprature');
+      await expect(strictClient.chat.create({messages: validMessages,extra_body: {temprature: 0.5}})).resolves.toBeDefined();
+    });
+
+    it('should validate strictParams',() => {
+      expect(() => new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',strictParams: 'yes'}))
+        .toThrow('strictParams must be');
+    });
+  });
+
+  describe('withResponse',() => {
+    it('should expose the raw response, request id and routing metadata',async () => {
+      const meta={modelUsed: 'openai:gpt-4',fallbackUsed: false,cost: 0.002,latency: 420,routerMode: 'smartRouter'};
+      mock.onPost().reply(200,{id: 'chatcmpl-123',_meta: meta},{'x-request-id': 'req_123','x-ratelimit-remaining-requests': '99'});
+
+      const {data,response,requestId,meta: routingMeta}=await chat.create({
+        messages: [{role: 'user',content: 'Hello!'}]
+      }).withResponse();
+
+      expect(data.id).toBe('chatcmpl-123');
+      expect(response.status).toBe(200);
+      expect(response.headers['x-ratelimit-remaining-requests']).toBe('99');
+      expect(requestId).toBe('req_123');
+      expect(routingMeta).toEqual(meta);
+    });
+
+    it('should fall back to the request id in _meta',async () => {
+      mock.onPost().reply(200,{id: 'chatcmpl-123',_meta: {requestId: 'req_meta'}});
+
+      const {requestId}=await chat.create({messages: [{role: 'user',content: 'Hello!'}]}).withResponse();
+
+      expect(requestId).toBe('req_meta');
+    });
+
+    it('should return the raw response with asResponse',async () => {
+      mock.onPost().reply(201,{id: 'chatcmpl-123'});
+
+      const response=await chat.create({messages: [{role: 'user',content: 'Hello!'}]}).asResponse();
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should expose the response of streaming completions',async () => {
+      mock.onPost().reply(200,'data: [DONE]\n\n',{'x-request-id': 'req_stream'});
+
+      const {data,requestId}=await chat.create({
+        messages: [{role: 'user',content: 'Hello!'}],
+        stream: true
+      }).withResponse();
+
+      expect(data).toBeInstanceOf(ChatCompletionStream);
+      expect(requestId).toBe('req_stream');
+    });
+
+    it('should reject withResponse on validation errors',async () => {
+      await expect(chat.create({}).withResponse()).rejects.toThrow(InvalidRequestError);
+    });
+  });
+
+  describe('per-request options',() => {
+    const validMessages=[{role: 'user',content: 'Hello!'}];
+
+    it('should override the router and add headers',async () => {
+      mock.onPost('/router/other-router').reply(200,{id: 'chatcmpl-123'});
+
+      await chat.create({messages: validMessages},{
+        routerId: 'other-router',
+        headers: {'X-Trace-Id': 'trace-1'},
+        timeout: 120000
+      });
+
+      const request=mock.history.post[0];
+      expect(request.url).toBe('/router/other-router');
+      expect(JSON.parse(request.data).routerId).toBe('other-router');
+      expect(request.headers['X-Trace-Id']).toBe('trace-1');
+      expect(request.timeout).toBe(120000);
+    });
+
+    it('should honor per-request maxRetries',async () => {
+      mock.onPost().reply(500,{error: {message: 'Server error'}});
+
+      await expect(chat.create({messages: validMessages},{maxRetries: 0})).rejects.toThrow('Server error');
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should reject aborted requests without retrying',async () => {
+      mock.onPost().reply(200,{id: 'chatcmpl-123'});
+      const controller=new AbortController();
+      controller.abort();
+
+      const error=await chat.create({messages: validMessages},{signal: controller.signal}).catch(e => e);
+
+      expect(error.type).toBe('abort_error');
+      expect(error.attempts).toBe(1);
+      expect(mock.history.post).toHaveLength(0);
+    });
+
+    it('should validate options',async () => {
+      await expect(chat.create({messages: validMessages},{timeout: -1}))
+        .rejects.toThrow('options.timeout must be a positive number');
+      await expect(chat.create({messages: validMessages},{routerId: 42}))
+        .rejects.toThrow(InvalidRequestError);
+    });
+
+    it('should forward options to streaming requests',async () => {
+      mock.onPost('/router/other-router').reply(200,'data: [DONE]\n\n');
+
+      await chat.create({messages: validMessages,stream: true},{
+        routerId: 'other-router',
+        headers: {'X-Trace-Id': 'trace-1'}
+      });
+
+      const request=mock.history.post[0];
+      expect(request.url).toBe('/router/other-router');
+      expect(request.headers['X-Trace-Id']).toBe('trace-1');
+      expect(request.headers.Accept).toBe('text/event-stream');
+    });
+  });
+
   describe('streaming',() => {
+    const validMessages=[{role: 'user',content: 'Hello!'}];
+
     it('should handle streaming completions',async () => {
       const mockStreamData='data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n';
 
@@ -214,5 +400,287 @@ describe('ChatCompletions',() => {
       expect(stream).toBeInstanceOf(ChatCompletionStream);
       expect(mock.history.post).toHaveLength(1);
     });
+
+    it('should yield the server chunks unchanged',async () => {
+      const frames=[
+        {id: 'chatcmpl-1',object: 'chat.completion.chunk',created: 1700000000,model: 'gpt-4o-mini',
+          choices: [{index: 0,delta: {role: 'assistant',content: ''},finish_reason: null}]},
+        {id: 'chatcmpl-1',object: 'chat.completion.chunk',created: 1700000000,model: 'gpt-4o-mini',
+          choices: [{index: 0,delta: {tool_calls: [{index: 0,id: 'call_1',type: 'function',function: {name: 'lookup',arguments: ''}}]},finish_reason: null}]},
+        {id: 'chatcmpl-1',object: 'chat.completion.chunk',created: 1700000000,model: 'gpt-4o-mini',
+          choices: [{index: 0,delta: {tool_calls: [{index: 0,function: {arguments: '{"q":1}'}}]},finish_reason: null}]},
+        {id: 'chatcmpl-1',object: 'chat.completion.chunk',created: 1700000000,model: 'gpt-4o-mini',
+          choices: [{index: 0,delta: {},finish_reason: 'tool_calls'}],_meta: {modelUsed: 'gpt-4o-mini'}}
+      ];
+      mock.onPost().reply(200,frames.map(frame => `data: ${JSON.stringify(frame)}\n\n`).join('')+'data: [DONE]\n\n');
+
+      const stream=await chat.create({messages: validMessages,stream: true,tools: [{type: 'function',function: {name: 'lookup'}}]});
+      const chunks=await stream.toArray();
+
+      expect(chunks).toEqual(frames);
+    });
+
+    it('should not add a synthetic finish chunk',async () => {
+      mock.onPost().reply(200,'data: {"choices":[{"index":0,"delta":{"content":"Hi"},"finish_reason":"length"}]}\n\ndata: [DONE]\n\n');
+
+      const stream=await chat.create({messages: validMessages,stream: true});
+      const chunks=await stream.toArray();
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].choices[0].finish_reason).toBe('length');
+    });
+
+    it('should request and expose usage with stream_options',async () => {
+      mock.onPost().reply(200,[
+        'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"content":"Hi"},"finish_reason":"stop"}]}\n\n',
+        'data: {"id":"chatcmpl-1","choices":[],"usage":{"prompt_tokens":3,"completion_tokens":1,"total_tokens":4},"_meta":{"cost":0.0002}}\n\n',
+        'data: [DONE]\n\n'
+      ].join(''));
+
+      const stream=await chat.create({messages: validMessages,stream: true,stream_options: {include_usage: true}});
+      const completion=await stream.finalChatCompletion();
+
+      expect(JSON.parse(mock.history.post[0].data).stream_options).toEqual({include_usage: true});
+      expect(stream.usage).toEqual({prompt_tokens: 3,completion_tokens: 1,total_tokens: 4});
+      expect(stream.meta).toEqual({cost: 0.0002});
+      expect(completion.usage).toBe(stream.usage);
+      expect(completion._meta).toBe(stream.meta);
+    });
+
+    it('should stream partial objects for JSON responses',async () => {
+      mock.onPost().reply(200,[
+        'data: {"choices":[{"index":0,"delta":{"content":"{\\"city\\":\\"Par"}}]}\n\n',
+        'data: {"choices":[{"index":0,"delta":{"content":"is\\"}"},"finish_reason":"stop"}]}\n\n',
+        'data: [DONE]\n\n'
+      ].join(''));
+
+      const stream=await chat.create({messages: validMessages,stream: true,response_format: {type: 'json_object'}});
+      const partials=[];
+      for await(const partial of stream.partialObjects()) {
+        partials.push(partial);
+      }
+
+      expect(partials).toEqual([{city: 'Par'},{city: 'Paris'}]);
+    });
+
+    it('should validate stream_options',async () => {
+      await expect(chat.create({messages: validMessages,stream: true,stream_options: true}))
+        .rejects.toThrow('stream_options must be an object');
+      await expect(chat.create({messages: validMessages,stream_options: {include_usage: true}}))
+        .rejects.toThrow(InvalidRequestError);
+    });
+  });
+
+  describe('runTools',() => {
+    const messages=[{role: 'user',content: 'Weather in Oslo and Rome?'}];
+    const toolCalls=[
+      {id: 'call_1',type: 'function',function: {name: 'weather',arguments: '{"city":"Oslo"}'}},
+      {id: 'call_2',type: 'function',function: {name: 'weather',arguments: '{"city":"Rome"}'}}
+    ];
+
+    /**
+     * Completion whose first choice carries the given assistant message
+     */
+    function reply(message,finishReason='stop') {
+      return {id: 'chatcmpl-1',choices: [{index: 0,message: {role: 'assistant',...message},finish_reason: finishReason}]};
+    }
+
+    /**
+     * SSE body for the given chunks
+     */
+    function sse(...chunks) {
+      return chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('')+'data: [DONE]\n\n';
+    }
+
+    it('should run callbacks locally and send the results to the router',async () => {
+      const callback=jest.fn(async ({city}) => (city==='Oslo'? {conditions: 'snow'}:'sunny'));
+      mock.onPost('/router/test-router-id')
+        .replyOnce(200,reply({content: null,tool_calls: toolCalls},'tool_calls'))
+        .onPost('/router/test-router-id')
+        .replyOnce(200,reply({content: 'Snow in Oslo, sun in Rome.'}));
+
+      const completion=await chat.runTools({
+        messages,
+        tools: [{type: 'function',function: {name: 'weather'},callback}],
+        maxToolIterations: 3,
+        temperature: 0
+      });
+
+      expect(completion.choices[0].message.content).toBe('Snow in Oslo, sun in Rome.');
+      expect(callback.mock.calls).toEqual([[{city: 'Oslo'}],[{city: 'Rome'}]]);
+
+      const second=JSON.parse(mock.history.post[1].data);
+      expect(second.tools).toEqual([{type: 'function',function: {name: 'weather'}}]);
+      expect(second.temperature).toBe(0);
+      expect(second.maxToolIterations).toBeUndefined();
+      expect(second.messages).toEqual([
+        ...messages,
+        {role: 'assistant',content: null,tool_calls: toolCalls},
+        {role: 'tool',tool_call_id: 'call_1',content: '{"conditions":"snow"}'},
+        {role: 'tool',tool_call_id: 'call_2',content: 'sunny'}
+      ]);
+    });
+
+    it('should return callback errors and missing callbacks to the model',async () => {
+      mock.onPost()
+        .replyOnce(200,reply({content: null,tool_calls: [...toolCalls,{id: 'call_3',type: 'function',function: {name: 'search',arguments: '{}'}}]},'tool_calls'))
+        .onPost()
+        .replyOnce(200,reply({content: 'Sorry.'}));
+
+      await chat.runTools({
+        messages,
+        tools: [{type: 'function',function: {name: 'weather'},callback: () => {
+          throw new Error('Weather service down');
+        }}]
+      });
+
+      const toolMessages=JSON.parse(mock.history.post[1].data).messages.filter(message => message.role==='tool');
+      expect(toolMessages.map(message => JSON.parse(message.content))).toEqual([
+        {error: 'Weather service down'},
+        {error: 'Weather service down'},
+        {error: 'No callback registered for tool: search'}
+      ]);
+    });
+
+    it('should send a result for callbacks that return nothing',async () => {
+      mock.onPost()
+        .replyOnce(200,reply({content: null,tool_calls: toolCalls},'tool_calls'))
+        .onPost()
+        .replyOnce(200,reply({content: 'Logged both.'}));
+
+      const completion=await chat.runTools({
+        messages,
+        tools: [{type: 'function',function: {name: 'weather'},callback: ({city}) => (city==='Oslo'? undefined:'')}]
+      });
+
+      expect(completion.choices[0].message.content).toBe('Logged both.');
+      const toolMessages=JSON.parse(mock.history.post[1].data).messages.filter(message => message.role==='tool');
+      expect(toolMessages.map(message => message.content)).toEqual(['null','""']);
+    });
+
+    it('should sum usage over every request',async () => {
+      mock.onPost()
+        .replyOnce(200,{...reply({content: null,tool_calls: toolCalls},'tool_calls'),usage: {prompt_tokens: 10,completion_tokens: 5,total_tokens: 15,prompt_tokens_details: {cached_tokens: 4}}})
+        .onPost()
+        .replyOnce(200,{...reply({content: 'Sunny.'}),usage: {prompt_tokens: 20,completion_tokens: 2,total_tokens: 22,prompt_tokens_details: {cached_tokens: 8}}});
+
+      const completion=await chat.runTools({
+        messages,
+        tools: [{type: 'function',function: {name: 'weather'},callback: () => 'sunny'}]
+      });
+
+      expect(completion.usage).toEqual({
+        prompt_tokens: 30,
+        completion_tokens: 7,
+        total_tokens: 37,
+        prompt_tokens_details: {cached_tokens: 12}
+      });
+    });
+
+    it('should stop after maxToolIterations without running the last tool calls',async () => {
+      mock.onPost().reply(200,reply({content: null,tool_calls: toolCalls},'tool_calls'));
+      const callback=jest.fn(() => 'sunny');
+
+      await expect(chat.runTools({
+        messages,
+        tools: [{type: 'function',function: {name: 'weather'},callback}],
+        maxToolIterations: 2
+      })).rejects.toThrow('Tool execution exceeded maximum iterations (2)');
+      expect(mock.history.post).toHaveLength(2);
+      // Only the first response's tool calls ran; their results were sent with the second request
+      expect(callback).toHaveBeenCalledTimes(toolCalls.length);
+    });
+
+    it('should require tools',async () => {
+      await expect(chat.runTools({messages})).rejects.toThrow(InvalidRequestError);
+      for(const maxToolIterations of [0,-1,1.5,'3',null]) {
+        await expect(chat.runTools({messages,tools: [{type: 'function',function: {name: 'weather'}}],maxToolIterations}))
+          .rejects.toThrow('maxToolIterations must be a positive integer');
+      }
+      expect(mock.history.post).toHaveLength(0);
+    });
+
+    it('should stream the chunks of every request',async () => {
+      mock.onPost()
+        .replyOnce(200,sse(
+          {id: 'chatcmpl-1',choices: [{index: 0,delta: {role: 'assistant',tool_calls: [{index: 0,...toolCalls[0]}]},finish_reason: null}]},
+          {id: 'chatcmpl-1',choices: [{index: 0,delta: {},finish_reason: 'tool_calls'}]}
+        ))
+        .onPost()
+        .replyOnce(200,sse(
+          {id: 'chatcmpl-2',choices: [{index: 0,delta: {role: 'assistant',content: 'It is '},finish_reason: null}]},
+          {id: 'chatcmpl-2',choices: [{index: 0,delta: {content: 'snowing.'},finish_reason: 'stop'}]}
+        ));
+
+      const runner=await chat.runTools({
+        messages,
+        stream: true,
+        tools: [{type: 'function',function: {name: 'weather'},callback: () => 'snow'}]
+      });
+      const added=[];
+      runner.on('message',message => added.push(message.role));
+
+      const chunks=await runner.toArray();
+      const completion=await runner.finalChatCompletion();
+
+      expect(chunks.map(chunk => chunk.id)).toEqual(['chatcmpl-1','chatcmpl-1','chatcmpl-2','chatcmpl-2']);
+      expect(added).toEqual(['assistant','tool']);
+      expect(completion.id).toBe('chatcmpl-2');
+      expect(completion.choices[0].message).toEqual({role: 'assistant',content: 'It is snowing.'});
+      expect(runner.messages).toHaveLength(3);
+      expect(JSON.parse(mock.history.post[1].data).stream).toBe(true);
+    });
+
+    it('should sum streamed usage over every request',async () => {
+      mock.onPost()
+        .replyOnce(200,sse(
+          {id: 'chatcmpl-1',choices: [{index: 0,delta: {role: 'assistant',tool_calls: [{index: 0,...toolCalls[0]}]},finish_reason: 'tool_calls'}]},
+          {id: 'chatcmpl-1',choices: [],usage: {prompt_tokens: 10,completion_tokens: 5,total_tokens: 15}}
+        ))
+        .onPost()
+        .replyOnce(200,sse(
+          {id: 'chatcmpl-2',choices: [{index: 0,delta: {role: 'assistant',content: 'Snow.'},finish_reason: 'stop'}]},
+          {id: 'chatcmpl-2',choices: [],usage: {prompt_tokens: 20,completion_tokens: 2,total_tokens: 22}}
+        ));
+
+      const runner=await chat.runTools({
+        messages,
+        stream: true,
+        stream_options: {include_usage: true},
+        tools: [{type: 'function',function: {name: 'weather'},callback: () => 'snow'}]
+      });
+      const usages=[];
+      for await(const chunk of runner) {
+        if(chunk.usage) {
+          usages.push(runner.usage.total_tokens);
+        }
+      }
+      const completion=await runner.finalChatCompletion();
+
+      expect(usages).toEqual([15,37]);
+      expect(runner.usage).toEqual({prompt_tokens: 30,completion_tokens: 7,total_tokens: 37});
+      expect(completion.usage).toEqual(runner.usage);
+    });
+
+    it('should stop listening to the caller\'s signal once a streamed run settles',async () => {
+      mock.onPost()
+        .replyOnce(200,sse({id: 'chatcmpl-1',choices: [{index: 0,delta: {role: 'assistant',tool_calls: [{index: 0,...toolCalls[0]}]},finish_reason: 'tool_calls'}]}))
+        .onPost()
+        .replyOnce(200,sse({id: 'chatcmpl-2',choices: [{index: 0,delta: {role: 'assistant',content: 'Snow.'},finish_reason: 'stop'}]}))
+        .onPost()
+        .replyOnce(400,{error: {message: 'Bad request'}});
+      const controller=new AbortController();
+      const add=jest.spyOn(controller.signal,'addEventListener');
+      const remove=jest.spyOn(controller.signal,'removeEventListener');
+      const params={messages,stream: true,tools: [{type: 'function',function: {name: 'weather'},callback: () => 'snow'}]};
+
+      const runner=await chat.runTools(params,{signal: controller.signal});
+      expect(await runner.getText()).toBe('Snow.');
+      await expect(chat.runTools(params,{signal: controller.signal})).rejects.toThrow('Bad request');
+
+      const listeners=calls => calls.filter(([type]) => type==='abort').map(([,listener]) => listener);
+      expect(listeners(add.mock.calls).length).toBeGreaterThanOrEqual(2);
+      expect(listeners(remove.mock.calls)).toEqual(expect.arrayContaining(listeners(add.mock.calls)));
+    });
   });
 });
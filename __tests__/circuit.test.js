@@ -0,0 +1,144 @@
+/**
+ * Tests for the circuit breaker and fallback routers
+ */
+
+const axios=require('axios');
+const MockAdapter=require('axios-mock-adapter');
+const Agentlify=require('../src/index');
+const {CircuitBreaker}=require('../src/circuit');
+const {CircuitOpenError,InternalServerError,InvalidRequestError}=require('../src/errors');
+
+const mock=new MockAdapter(axios);
+
+describe('CircuitBreaker',() => {
+  const serverError=new InternalServerError('Server error',null,503);
+
+  it('should open after consecutive failures and fail fast',() => {
+    const breaker=new CircuitBreaker({failureThreshold: 2});
+    const changes=[];
+    breaker.on('stateChange',change => changes.push([change.circuit,change.from,change.to]));
+
+    breaker.acquire('/router/a');
+    breaker.record('/router/a',serverError);
+    breaker.acquire('/router/a');
+    breaker.record('/router/a',serverError);
+
+    expect(breaker.getState('/router/a')).toBe('open');
+    expect(() => breaker.acquire('/router/a')).toThrow(CircuitOpenError);
+    expect(breaker.getState('/router/b')).toBe('closed');
+    expect(changes).toEqual([['/router/a','closed','open']]);
+  });
+
+  it('should not count client errors as failures',() => {
+    const breaker=new CircuitBreaker({failureThreshold: 1});
+
+    breaker.acquire('/agents');
+    breaker.record('/agents',new InvalidRequestError('Bad request'));
+
+    expect(breaker.getState('/agents')).toBe('closed');
+  });
+
+  describe('half-open',() => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should allow one trial after resetTimeout and close on success',() => {
+      const breaker=new CircuitBreaker({failureThreshold: 1,resetTimeout: 1000});
+      breaker.acquire('/router/a');
+      breaker.record('/router/a',serverError);
+
+      jest.advanceTimersByTime(1000);
+      expect(breaker.getState('/router/a')).toBe('half_open');
+
+      breaker.acquire('/router/a');
+      expect(() => breaker.acquire('/router/a')).toThrow('waiting on a trial request');
+
+      breaker.record('/router/a');
+      expect(breaker.getState('/router/a')).toBe('closed');
+    });
+
+    it('should reopen when the trial fails',() => {
+      const breaker=new CircuitBreaker({failureThreshold: 1,resetTimeout: 1000});
+      const changes=[];
+      breaker.on('stateChange',change => changes.push(change.to));
+      breaker.acquire('/router/a');
+      breaker.record('/router/a',serverError);
+
+      jest.advanceTimersByTime(1000);
+      breaker.acquire('/router/a');
+      breaker.record('/router/a',serverError);
+
+      expect(breaker.getState('/router/a')).toBe('open');
+      expect(changes).toEqual(['open','half_open','open']);
+    });
+  });
+});
+
+describe('fallback routers',() => {
+  const messages=[{role: 'user',content: 'Hello!'}];
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client=new Agentlify({
+      apiKey: 'mp_test-api-key',
+      routerId: 'primary',
+      maxRetries: 0,
+      circuitBreaker: {failureThreshold: 1},
+      fallbackRouterIds: ['secondary','tertiary']
+    });
+  });
+
+  it('should fall back when the primary router returns 5xx',async () => {
+    mock.onPost('/router/primary').reply(503,{error: {message: 'Unavailable'}});
+    mock.onPost('/router/secondary').reply(200,{id: 'chatcmpl-123'});
+
+    const completion=await client.chat.create({messages});
+
+    expect(completion.id).toBe('chatcmpl-123');
+    expect(JSON.parse(mock.history.post[1].data).routerId).toBe('secondary');
+  });
+
+  it('should skip routers whose circuit is open without calling them',async () => {
+    mock.onPost('/router/primary').reply(503,{error: {message: 'Unavailable'}});
+    mock.onPost('/router/secondary').reply(200,{id: 'chatcmpl-123'});
+
+    await client.chat.create({messages});
+    await client.chat.create({messages});
+
+    expect(client.circuitBreaker.getState('/router/primary')).toBe('open');
+    expect(mock.history.post.map(request => request.url)).toEqual([
+      '/router/primary',
+      '/router/secondary',
+      '/router/secondary'
+    ]);
+  });
+
+  it('should not fall back on client errors',async () => {
+    mock.onPost('/router/primary').reply(400,{error: {message: 'Bad request'}});
+
+    await expect(client.chat.create({messages})).rejects.toThrow(InvalidRequestError);
+    expect(mock.history.post).toHaveLength(1);
+  });
+
+  it('should throw the last error when every router fails',async () => {
+    mock.onPost().reply(500,{error: {message: 'Down'}});
+
+    await expect(client.chat.create({messages})).rejects.toThrow(InternalServerError);
+    expect(mock.history.post).toHaveLength(3);
+  });
+
+  it('should use per-request fallback routers',async () => {
+    mock.onPost('/router/primary').reply(500,{error: {message: 'Down'}});
+    mock.onPost('/router/other').reply(200,{id: 'chatcmpl-456'});
+
+    const completion=await client.chat.create({messages},{fallbackRouterIds: ['other']});
+
+    expect(completion.id).toBe('chatcmpl-456');
+  });
+});
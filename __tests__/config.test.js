@@ -0,0 +1,156 @@
+/**
+ * Tests for environment-variable and config-file configuration
+ */
+
+const fs=require('fs');
+const os=require('os');
+const path=require('path');
+const Agentlify=require('../src/index');
+const {loadConfig}=require('../src/config');
+
+describe('configuration sources',() => {
+  const originalEnv=process.env;
+  let directory;
+  let configFile;
+
+  beforeEach(() => {
+    process.env={...originalEnv};
+    for(const name of Object.keys(process.env)) {
+      if(name.startsWith('AGENTLIFY_')) {
+        delete process.env[name];
+      }
+    }
+
+    directory=fs.mkdtempSync(path.join(os.tmpdir(),'agentlify-'));
+    configFile=path.join(directory,'config.json');
+    fs.writeFileSync(configFile,JSON.stringify({
+      profiles: {
+        staging: {
+          apiKey: 'mp_staging-key',
+          routerId: 'staging-router',
+          baseURL: 'https://staging.modelpilot.co/api',
+          timeout: 5000
+        },
+        broken: {
+          apiKey: 'mp_broken-key',
+          routerId: 'broken-router',
+          timeout: 'soon'
+        }
+      }
+    }));
+  });
+
+  afterEach(() => {
+    process.env=originalEnv;
+    fs.rmSync(directory,{recursive: true,force: true});
+  });
+
+  it('should read the client configuration from environment variables',() => {
+    process.env.AGENTLIFY_API_KEY='mp_env-key';
+    process.env.AGENTLIFY_ROUTER_ID='env-router';
+    process.env.AGENTLIFY_BASE_URL='https://env.modelpilot.co/api';
+    process.env.AGENTLIFY_TIMEOUT='15000';
+    process.env.AGENTLIFY_MAX_RETRIES='1';
+
+    const client=new Agentlify();
+
+    expect(client.apiKey).toBe('mp_env-key');
+    expect(client.routerId).toBe('env-router');
+    expect(client.baseURL).toBe('https://env.modelpilot.co/api');
+    expect(client.timeout).toBe(15000);
+    expect(client.maxRetries).toBe(1);
+  });
+
+  it('should prefer explicit options over environment variables',() => {
+    process.env.AGENTLIFY_API_KEY='mp_env-key';
+    process.env.AGENTLIFY_ROUTER_ID='env-router';
+
+    const client=new Agentlify({routerId: 'explicit-router'});
+
+    expect(client.apiKey).toBe('mp_env-key');
+    expect(client.routerId).toBe('explicit-router');
+  });
+
+  it('should load a named profile from the config file',() => {
+    const client=new Agentlify({profile: 'staging',configFile});
+
+    expect(client.apiKey).toBe('mp_staging-key');
+    expect(client.routerId).toBe('staging-router');
+    expect(client.baseURL).toBe('https://staging.modelpilot.co/api');
+    expect(client.timeout).toBe(5000);
+  });
+
+  it('should select the profile and file from the environment',() => {
+    process.env.AGENTLIFY_PROFILE='staging';
+    process.env.AGENTLIFY_CONFIG_FILE=configFile;
+    process.env.AGENTLIFY_ROUTER_ID='env-router';
+
+    const {config,sources}=loadConfig({});
+
+    expect(config.apiKey).toBe('mp_staging-key');
+    expect(config.routerId).toBe('env-router');
+    expect(sources.apiKey).toBe(`profile "staging" in ${configFile}`);
+    expect(sources.routerId).toBe('AGENTLIFY_ROUTER_ID');
+  });
+
+  it('should prefer an explicitly selected profile over environment variables',() => {
+    process.env.AGENTLIFY_API_KEY='mp_prod';
+    process.env.AGENTLIFY_ROUTER_ID='prod-router';
+    process.env.AGENTLIFY_MAX_RETRIES='1';
+
+    const client=new Agentlify({profile: 'staging',configFile});
+
+    expect(client.apiKey).toBe('mp_staging-key');
+    expect(client.routerId).toBe('staging-router');
+    // Options the profile does not set still come from the environment
+    expect(client.maxRetries).toBe(1);
+    expect(new Agentlify({profile: 'staging',configFile,routerId: 'explicit-router'}).routerId).toBe('explicit-router');
+  });
+
+  it('should name the source of invalid values',() => {
+    process.env.AGENTLIFY_API_KEY='mp_env-key';
+    process.env.AGENTLIFY_ROUTER_ID='env-router';
+    process.env.AGENTLIFY_TIMEOUT='soon';
+
+    expect(() => new Agentlify()).toThrow('timeout must be a positive number (from AGENTLIFY_TIMEOUT)');
+    expect(() => new Agentlify({timeout: undefined}))
+      .toThrow('timeout must be a positive number (from AGENTLIFY_TIMEOUT)');
+
+    delete process.env.AGENTLIFY_TIMEOUT;
+    expect(() => new Agentlify({profile: 'broken',configFile}))
+      .toThrow(`timeout must be a positive number (from profile "broken" in ${configFile})`);
+  });
+
+  it('should name the source of a malformed API key without echoing it',() => {
+    process.env.AGENTLIFY_API_KEY='sk-secret-value';
+
+    expect(() => new Agentlify({routerId: 'router'})).toThrow('Invalid Agentlify API key format (from AGENTLIFY_API_KEY)');
+    expect(() => new Agentlify({routerId: 'router'})).not.toThrow('sk-secret-value');
+  });
+
+  it('should explain where required values can come from',() => {
+    expect(() => new Agentlify()).toThrow('Pass apiKey or set AGENTLIFY_API_KEY');
+    expect(() => new Agentlify({apiKey: 'mp_key'})).toThrow('Pass routerId or set AGENTLIFY_ROUTER_ID');
+  });
+
+  it('should report missing profiles and files',() => {
+    expect(() => new Agentlify({profile: 'production',configFile}))
+      .toThrow(`Agentlify profile "production" not found in ${configFile} (available: staging, broken)`);
+    expect(() => new Agentlify({profile: 'staging',configFile: path.join(directory,'missing.json')}))
+      .toThrow('could not be read');
+  });
+
+  it('should only require an environment-selected profile when the API key or router ID is missing',() => {
+    process.env.AGENTLIFY_PROFILE='production';
+    process.env.AGENTLIFY_CONFIG_FILE=configFile;
+
+    const client=new Agentlify({apiKey: 'mp_explicit-key',routerId: 'router'});
+    expect(client.apiKey).toBe('mp_explicit-key');
+    expect(client.routerId).toBe('router');
+
+    process.env.AGENTLIFY_CONFIG_FILE=path.join(directory,'missing.json');
+    process.env.AGENTLIFY_ROUTER_ID='env-router';
+    expect(new Agentlify({apiKey: 'mp_explicit-key'}).routerId).toBe('env-router');
+    expect(() => new Agentlify({routerId: 'router'})).toThrow('could not be read');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for multimodal content parts and the part helpers
+ */
+
+const fs=require('fs');
+const os=require('os');
+const path=require('path');
+const axios=require('axios');
+const MockAdapter=require('axios-mock-adapter');
+const Agentlify=require('../src/index');
+const {textPart,imagePart,audioPart,filePart,sniffMimeType}=require('../src/content');
+const {validateMessages}=require('../src/utils');
+const {InvalidRequestError}=require('../src/errors');
+
+const mock=new MockAdapter(axios);
+
+const PNG=Buffer.from([0x89,0x50,0x4E,0x47,0x0D,0x0A,0x1A,0x0A,0x00,0x01]);
+const JPEG=Buffer.from([0xFF,0xD8,0xFF,0xE0,0x00,0x10]);
+const WAV=Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ','latin1');
+const PDF=Buffer.from('%PDF-1.7\n');
+
+describe('content parts',() => {
+  let directory;
+
+  beforeEach(() => {
+    mock.reset();
+    directory=fs.mkdtempSync(path.join(os.tmpdir(),'agentlify-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory,{recursive: true,force: true});
+  });
+
+  describe('validateMessages',() => {
+    it('should accept arrays of content parts',() => {
+      expect(() => validateMessages([
+        {role: 'system',content: [{type: 'text',text: 'Describe images.'}]},
+        {role: 'user',content: [
+          {type: 'text',text: 'What is this?'},
+          {type: 'image_url',image_url: {url: 'https://example.com/cat.png',detail: 'low'}},
+          {type: 'input_audio',input_audio: {data: 'UklGRg==',format: 'wav'}},
+          {type: 'file',file: {file_id: 'file_123'}}
+        ]},
+        {role: 'assistant',content: [{type: 'refusal',refusal: 'I cannot say.'}]}
+      ])).not.toThrow();
+    });
+
+    it('should reject malformed parts with their path',() => {
+      expect(() => validateMessages([{role: 'user',content: []}]))
+        .toThrow('messages[0].content must not be an empty array');
+      expect(() => validateMessages([{role: 'user',content: [{type: 'image_url',image_url: {}}]}]))
+        .toThrow('messages[0].content[0].image_url.url is required');
+      expect(() => validateMessages([{role: 'user',content: [{type: 'video',video: {}}]}]))
+        .toThrow('messages[0].content[0].type must be one of: text, image_url, input_audio, file for user messages');
+      expect(() => validateMessages([{role: 'user',content: 42}]))
+        .toThrow('messages[0].content must be a string or an array of content parts');
+    });
+
+    it('should only allow media parts in user messages',() => {
+      expect(() => validateMessages([{role: 'system',content: [{type: 'image_url',image_url: {url: 'https://example.com/a.png'}}]}]))
+        .toThrow('for system messages');
+    });
+  });
+
+  it('should send content parts unchanged',async () => {
+    const client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id'});
+    const content=[textPart('What is in this image?'),await imagePart(PNG)];
+    mock.onPost().reply(200,{id: 'chatcmpl-123'});
+
+    await client.chat.create({messages: [{role: 'user',content}]});
+
+    expect(JSON.parse(mock.history.post[0].data).messages[0].content).toEqual(content);
+  });
+
+  describe('imagePart',() => {
+    it('should build a data URL from bytes with a sniffed MIME type',async () => {
+      await expect(imagePart(PNG,{detail: 'high'})).resolves.toEqual({
+        type: 'image_url',
+        image_url: {url: `data:image/png;base64,${PNG.toString('base64')}`,detail: 'high'}
+      });
+    });
+
+    it('should read local files',async () => {
+      const file=path.join(directory,'photo.bin');
+      fs.writeFileSync(file,JPEG);
+
+      const part=await imagePart(file);
+
+      expect(part.image_url.url).toBe(`data:image/jpeg;base64,${JPEG.toString('base64')}`);
+    });
+
+    it('should pass URLs through',async () => {
+      await expect(imagePart('https://example.com/cat.png')).resolves.toEqual({
+        type: 'image_url',
+        image_url: {url: 'https://example.com/cat.png'}
+      });
+    });
+
+    it('should check the size before encoding',async () => {
+      const error=await imagePart(PNG,{maxBytes: 4}).catch(e => e);
+
+      expect(error).toBeInstanceOf(InvalidRequestError);
+      expect(error.message).toBe('image data is 10 bytes, above the 4 bytes limit');
+    });
+
+    it('should reject data that is not an image',async () => {
+      await expect(imagePart(PDF)).rejects.toThrow('Unsupported image type application/pdf');
+    });
+  });
+
+  describe('audioPart',() => {
+    it('should detect the audio format',async () => {
+      await expect(audioPart(WAV)).resolves.toEqual({
+        type: 'input_audio',
+        input_audio: {data: WAV.toString('base64'),format: 'wav'}
+      });
+    });
+
+    it('should require a format it cannot detect',async () => {
+      await expect(audioPart(Buffer.from('not audio'))).rejects.toThrow('pass options.format');
+      await expect(audioPart(Buffer.from('not audio'),{format: 'pcm16'})).resolves.toMatchObject({input_audio: {format: 'pcm16'}});
+    });
+  });
+
+  describe('filePart',() => {
+    it('should name files after their path',async () => {
+      const file=path.join(directory,'report.pdf');
+      fs.writeFileSync(file,PDF);
+
+      await expect(filePart(file)).resolves.toEqual({
+        type: 'file',
+        file: {filename: 'report.pdf',file_data: `data:application/pdf;base64,${PDF.toString('base64')}`}
+      });
+    });
+
+    it('should report unreadable files',async () => {
+      await expect(filePart(path.join(directory,'missing.pdf'))).rejects.toThrow('Could not read file file');
+    });
+  });
+
+  it('should sniff MP3 files without an ID3 tag',() => {
+    expect(sniffMimeType(new Uint8Array([0xFF,0xFB,0x90,0x00]))).toBe('audio/mpeg');
+    expect(sniffMimeType(new Uint8Array([0x00,0x01]))).toBeNull();
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Tests for conversations that keep their message history
+ */
+
+const axios=require('axios');
+const MockAdapter=require('axios-mock-adapter');
+const Agentlify=require('../src/index');
+const {Conversation}=require('../src/conversations');
+const {InvalidRequestError,InternalServerError}=require('../src/errors');
+
+const mock=new MockAdapter(axios);
+
+/**
+ * Completion whose first choice carries the given assistant message
+ */
+function reply(message,finishReason='stop') {
+  return {id: 'chatcmpl-1',choices: [{index: 0,message: {role: 'assistant',...message},finish_reason: finishReason}]};
+}
+
+/**
+ * Messages sent with the given POST request
+ */
+function sentMessages(index) {
+  return JSON.parse(mock.history.post[index].data).messages;
+}
+
+describe('conversations',() => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id'});
+  });
+
+  it('should create conversations with a system prompt',() => {
+    const conversation=client.conversations.create({system: 'You are terse.'});
+
+    expect(conversation).toBeInstanceOf(Conversation);
+    expect(conversation.history).toEqual([{role: 'system',content: 'You are terse.'}]);
+    expect(() => client.conversations.create({system: 42})).toThrow(InvalidRequestError);
+  });
+
+  it('should send the history and append each exchange',async () => {
+    mock.onPost('/router/test-router-id')
+      .replyOnce(200,reply({content: 'Paris.',refusal: null}))
+      .onPost('/router/test-router-id')
+      .replyOnce(200,reply({content: 'Rome.'}));
+
+    const conversation=client.conversations.create({system: 'You are terse.',temperature: 0});
+    await conversation.send('Capital of France?');
+    const completion=await conversation.send('And Italy?');
+
+    expect(completion.choices[0].message.content).toBe('Rome.');
+    expect(sentMessages(1)).toEqual([
+      {role: 'system',content: 'You are terse.'},
+      {role: 'user',content: 'Capital of France?'},
+      {role: 'assistant',content: 'Paris.'},
+      {role: 'user',content: 'And Italy?'}
+    ]);
+    expect(JSON.parse(mock.history.post[1].data).temperature).toBe(0);
+    expect(conversation.lastMessage).toEqual({role: 'assistant',content: 'Rome.'});
+  });
+
+  it('should keep tool calls and accept appended tool results',async () => {
+    const toolCalls=[{id: 'call_1',type: 'function',function: {name: 'weather',arguments: '{"city":"Oslo"}'}}];
+    mock.onPost()
+      .replyOnce(200,reply({content: null,tool_calls: toolCalls},'tool_calls'))
+      .onPost()
+      .replyOnce(200,reply({content: 'It is snowing.'}));
+
+    const conversation=client.conversations.create({
+      tools: [{type: 'function',function: {name: 'weather'}}]
+    });
+    await conversation.send('Weather in Oslo?');
+    conversation.append({role: 'tool',tool_call_id: 'call_1',content: 'snow'});
+    await conversation.send();
+
+    expect(JSON.parse(mock.history.post[0].data).tools).toEqual([{type: 'function',function: {name: 'weather'}}]);
+    expect(sentMessages(1)).toEqual([
+      {role: 'user',content: 'Weather in Oslo?'},
+      {role: 'assistant',content: null,tool_calls: toolCalls},
+      {role: 'tool',tool_call_id: 'call_1',content: 'snow'}
+    ]);
+    expect(conversation.history).toHaveLength(4);
+  });
+
+  it('should run tool callbacks locally through chat.runTools',async () => {
+    const toolCalls=[{id: 'call_1',type: 'function',function: {name: 'weather',arguments: '{"city":"Oslo"}'}}];
+    mock.onPost('/router/test-router-id')
+      .replyOnce(200,reply({content: null,tool_calls: toolCalls},'tool_calls'))
+      .onPost('/router/test-router-id')
+      .replyOnce(200,reply({content: 'It is snowing.'}));
+
+    const conversation=client.conversations.create({
+      tools: [{type: 'function',function: {name: 'weather'},callback: ({city}) => `snow in ${city}`}]
+    });
+    await conversation.send('Weather in Oslo?');
+
+    expect(conversation.history).toEqual([
+      {role: 'user',content: 'Weather in Oslo?'},
+      {role: 'assistant',content: null,tool_calls: toolCalls},
+      {role: 'tool',tool_call_id: 'call_1',content: 'snow in Oslo'},
+      {role: 'assistant',content: 'It is snowing.'}
+    ]);
+  });
+
+  it('should leave the history unchanged when a request fails',async () => {
+    mock.onPost().reply(500,{error: {message: 'Upstream failed'}});
+
+    const conversation=client.conversations.create({system: 'You are terse.'});
+    await expect(conversation.send('Hello',{maxRetries: 0})).rejects.toThrow(InternalServerError);
+
+    expect(conversation.history).toHaveLength(1);
+  });
+
+  it('should append streamed replies once the stream ends',async () => {
+    mock.onPost().reply(200,[
+      'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"role":"assistant","content":"Hel"},"finish_reason":null}]}\n\n',
+      'data: {"id":"chatcmpl-1","choices":[{"index":0,"delta":{"content":"lo!"},"finish_reason":"stop"}]}\n\n',
+      'data: [DONE]\n\n'
+    ].join(''));
+
+    const conversation=client.conversations.create();
+    const stream=await conversation.stream('Hi');
+
+    expect(JSON.parse(mock.history.post[0].data).stream).toBe(true);
+    expect(conversation.history).toEqual([]);
+    expect(await stream.getText()).toBe('Hello!');
+    expect(conversation.history).toEqual([
+      {role: 'user',content: 'Hi'},
+      {role: 'assistant',content: 'Hello!'}
+    ]);
+  });
+
+  it('should only send stream_options with streamed requests',async () => {
+    mock.onPost()
+      .replyOnce(200,reply({content: 'Hello!'}))
+      .onPost()
+      .replyOnce(200,'data: {"id":"chatcmpl-2","choices":[],"usage":{"prompt_tokens":3,"completion_tokens":1,"total_tokens":4}}\n\ndata: [DONE]\n\n');
+
+    const conversation=client.conversations.create({temperature: 0,stream_options: {include_usage: true}});
+    await conversation.send('Hi');
+    const stream=await conversation.stream('Again');
+    await stream.toArray();
+
+    const [sent,streamed]=mock.history.post.map(request => JSON.parse(request.data));
+    expect(sent.stream_options).toBeUndefined();
+    expect(sent.temperature).toBe(0);
+    expect(streamed.stream_options).toEqual({include_usage: true});
+    expect(stream.usage.total_tokens).toBe(4);
+  });
+
+  it('should undo the last exchange',async () => {
+    mock.onPost().reply(200,reply({content: 'Hi!'}));
+
+    const conversation=client.conversations.create({system: 'You are terse.'});
+    await conversation.send('Hello');
+
+    expect(conversation.undo()).toEqual([{role: 'user',content: 'Hello'},{role: 'assistant',content: 'Hi!'}]);
+    expect(conversation.history).toEqual([{role: 'system',content: 'You are terse.'}]);
+    expect(conversation.undo()).toEqual([]);
+  });
+
+  it('should fork independent copies',async () => {
+    mock.onPost().reply(200,reply({content: 'Sure.'}));
+
+    const conversation=client.conversations.create({system: 'You are terse.',model: 'gpt-4o'});
+    await conversation.send('Write a haiku');
+    const fork=conversation.fork();
+    await fork.send('Make it longer');
+
+    expect(conversation.history).toHaveLength(3);
+    expect(fork.history).toHaveLength(5);
+    expect(JSON.parse(mock.history.post[1].data).model).toBe('gpt-4o');
+  });
+
+  it('should round-trip through JSON',async () => {
+    const callback=jest.fn();
+    const conversation=client.conversations.create({
+      system: 'You are terse.',
+      agentId: 'agent-1',
+      tools: [{type: 'function',function: {name: 'lookup'},callback}],
+      maxToolIterations: 3
+    });
+    conversation.append({role: 'user',content: 'Hi'},{role: 'assistant',content: 'Hello'});
+
+    const json=JSON.stringify(conversation);
+    const restored=client.conversations.fromJSON(json,{tools: [{type: 'function',function: {name: 'lookup'},callback}]});
+
+    expect(JSON.parse(json)).toEqual({
+      object: 'conversation',
+      agentId: 'agent-1',
+      messages: conversation.history,
+      tools: [{type: 'function',function: {name: 'lookup'}}],
+      params: {maxToolIterations: 3}
+    });
+    expect(restored.history).toEqual(conversation.history);
+    expect(restored.agentId).toBe('agent-1');
+    expect(restored.tools[0].callback).toBe(callback);
+    expect(() => client.conversations.fromJSON({})).toThrow(InvalidRequestError);
+  });
+
+  describe('with an agent',() => {
+    it('should run the agent and append the tool loop',async () => {
+      const toolCalls=[{id: 'call_1',type: 'function',function: {name: 'weather',arguments: '{"city":"Oslo"}'}}];
+      mock.onPost('/agents')
+        .replyOnce(200,reply({content: null,tool_calls: toolCalls},'tool_calls'))
+        .onPost('/agents')
+        .replyOnce(200,reply({content: 'It is snowing.'}));
+
+      const conversation=client.conversations.create({
+        system: 'You are terse.',
+        agentId: 'agent-1',
+        tools: [{type: 'function',function: {name: 'weather'},callback: () => ({conditions: 'snow'})}]
+      });
+      const response=await conversation.send('Weather in Oslo?');
+
+      expect(response.choices[0].message.content).toBe('It is snowing.');
+      expect(JSON.parse(mock.history.post[0].data).agentId).toBe('agent-1');
+      expect(conversation.history).toEqual([
+        {role: 'system',content: 'You are terse.'},
+        {role: 'user',content: 'Weather in Oslo?'},
+        {role: 'assistant',content: null,tool_calls: toolCalls},
+        {role: 'tool',tool_call_id: 'call_1',content: '{"conditions":"snow"}'},
+        {role: 'assistant',content: 'It is snowing.'}
+      ]);
+    });
+
+    it('should not stream agent conversations',async () => {
+      const conversation=client.conversations.create({agentId: 'agent-1'});
+
+      await expect(conversation.stream('Hi')).rejects.toThrow('do not support streaming');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for API key providers, rotation and redaction
+ */
+
+const util=require('util');
+const axios=require('axios');
+const MockAdapter=require('axios-mock-adapter');
+const Agentlify=require('../src/index');
+const {CredentialProvider,redactApiKey}=require('../src/credentials');
+const {AgentlifyError,AuthenticationError}=require('../src/errors');
+
+const mock=new MockAdapter(axios);
+
+describe('credentials',() => {
+  const messages=[{role: 'user',content: 'Hello!'}];
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  describe('CredentialProvider',() => {
+    it('should cache provided keys for cacheTtl',async () => {
+      const provider=jest.fn().mockResolvedValueOnce('mp_first').mockResolvedValueOnce('mp_second');
+      const credentials=new CredentialProvider({apiKey: provider,cacheTtl: 60000});
+
+      await expect(credentials.getApiKey()).resolves.toBe('mp_first');
+      await expect(credentials.getApiKey()).resolves.toBe('mp_first');
+      await expect(credentials.getApiKey({forceRefresh: true})).resolves.toBe('mp_second');
+      expect(provider).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share one provider call between concurrent requests',async () => {
+      const provider=jest.fn(async () => 'mp_shared');
+      const credentials=new CredentialProvider({apiKey: provider});
+
+      await Promise.all([credentials.getApiKey(),credentials.getApiKey(),credentials.getApiKey()]);
+
+      expect(provider).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject provided keys in the wrong format without echoing them',async () => {
+      const credentials=new CredentialProvider({apiKey: () => 'sk-secret-value'});
+
+      const error=await credentials.getApiKey().catch(e => e);
+
+      expect(error).toBeInstanceOf(AgentlifyError);
+      expect(error.code).toBe('invalid_api_key');
+      expect(error.message).toContain('(from apiKey provider)');
+      expect(error.message).not.toContain('sk-secret-value');
+    });
+  });
+
+  it('should send the key returned by an async provider',async () => {
+    const client=new Agentlify({
+      apiKey: async () => 'mp_rotated-key',
+      routerId: 'test-router-id'
+    });
+    mock.onPost('/router/test-router-id').reply(200,{id: 'chatcmpl-123'});
+
+    await client.chat.create({messages});
+
+    expect(mock.history.post[0].headers.Authorization).toBe('Bearer mp_rotated-key');
+  });
+
+  it('should refresh the key and retry once after an authentication error',async () => {
+    const provider=jest.fn().mockResolvedValueOnce('mp_revoked-key').mockResolvedValueOnce('mp_fresh-key');
+    const client=new Agentlify({apiKey: provider,routerId: 'test-router-id'});
+    mock.onPost('/router/test-router-id').reply(config =>
+      config.headers.Authorization==='Bearer mp_fresh-key'
+        ? [200,{id: 'chatcmpl-123'}]
+        :[401,{error: {message: 'Invalid API key'}}]
+    );
+
+    const completion=await client.chat.create({messages});
+
+    expect(completion.id).toBe('chatcmpl-123');
+    expect(provider).toHaveBeenCalledTimes(2);
+    expect(mock.history.post).toHaveLength(2);
+  });
+
+  it('should not reuse a provider call started before the authentication error',async () => {
+    let release;
+    const slow=new Promise(resolve => {
+      release=() => resolve('mp_revoked-key');
+    });
+    const provider=jest.fn()
+      .mockResolvedValueOnce('mp_revoked-key')
+      .mockReturnValueOnce(slow)
+      .mockResolvedValueOnce('mp_fresh-key');
+    const client=new Agentlify({apiKey: provider,apiKeyCacheTtl: 0,routerId: 'test-router-id'});
+    let concurrent;
+    mock.onPost('/router/test-router-id').reply(config => {
+      if(config.headers.Authorization==='Bearer mp_fresh-key') {
+        return [200,{id: 'chatcmpl-123'}];
+      }
+      // Another request asks for a key just before this one is rejected
+      concurrent=client.credentials.getApiKey();
+      setTimeout(release,10);
+      return [401,{error: {message: 'Invalid API key'}}];
+    });
+
+    const completion=await client.chat.create({messages});
+
+    expect(completion.id).toBe('chatcmpl-123');
+    await expect(concurrent).resolves.toBe('mp_revoked-key');
+    expect(provider).toHaveBeenCalledTimes(3);
+    expect(mock.history.post[1].headers.Authorization).toBe('Bearer mp_fresh-key');
+  });
+
+  it('should give up after one refresh',async () => {
+    const provider=jest.fn(async () => 'mp_revoked-key');
+    const client=new Agentlify({apiKey: provider,routerId: 'test-router-id'});
+    mock.onPost('/router/test-router-id').reply(401,{error: {message: 'Invalid API key mp_revoked-key'}});
+
+    const error=await client.chat.create({messages}).catch(e => e);
+
+    expect(error).toBeInstanceOf(AuthenticationError);
+    expect(error.message).toBe('Invalid API key [REDACTED]');
+    expect(mock.history.post).toHaveLength(2);
+  });
+
+  it('should not retry static keys on authentication errors',async () => {
+    const client=new Agentlify({apiKey: 'mp_static-key',routerId: 'test-router-id'});
+    mock.onPost('/router/test-router-id').reply(401,{error: {message: 'Invalid API key'}});
+
+    await expect(client.chat.create({messages})).rejects.toThrow(AuthenticationError);
+    expect(mock.history.post).toHaveLength(1);
+  });
+
+  it('should accept caller-configured key formats',() => {
+    const client=new Agentlify({
+      apiKey: 'scoped_team-a_123',
+      apiKeyFormat: /^scoped_/,
+      routerId: 'test-router-id'
+    });
+
+    expect(client.apiKey).toBe('scoped_team-a_123');
+    expect(() => new Agentlify({apiKey: 'mp_key',apiKeyFormat: /^scoped_/,routerId: 'router'}))
+      .toThrow('API key does not match the configured apiKeyFormat');
+  });
+
+  it('should keep the key out of logs and transport errors',async () => {
+    const client=new Agentlify({apiKey: 'mp_secret-key',routerId: 'test-router-id'});
+    const cause=Object.assign(new Error('socket hang up'),{
+      code: 'ECONNRESET',
+      config: {headers: {Authorization: 'Bearer mp_secret-key'}},
+      request: {_header: 'POST /router HTTP/1.1\r\nAuthorization: Bearer mp_secret-key\r\n'}
+    });
+    client.transport={request: () => Promise.reject(cause)};
+    client.retry.maxRetries=0;
+
+    const error=await client.chat.create({messages}).catch(e => e);
+
+    expect(util.inspect(client,{depth: 4})).not.toContain('mp_secret-key');
+    expect(error.cause.config.headers.Authorization).toBe('Bearer [REDACTED]');
+    expect(error.cause.request._header).not.toContain('mp_secret-key');
+  });
+
+  it('should redact keys from nested causes',() => {
+    const error=new Error('outer mp_key',{cause: new Error('inner mp_key')});
+
+    redactApiKey(error,'mp_key');
+
+    expect(error.message).toBe('outer [REDACTED]');
+    expect(error.cause.message).toBe('inner [REDACTED]');
+  });
+});
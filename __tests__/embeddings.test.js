@@ -0,0 +1,136 @@
+/**
+ * Tests for the embeddings API
+ */
+
+const axios=require('axios');
+const MockAdapter=require('axios-mock-adapter');
+const Agentlify=require('../src/index');
+const {chunkInputs,decodeEmbedding}=require('../src/embeddings');
+const {estimateTokens}=require('../src/ratelimit');
+const {InvalidRequestError}=require('../src/errors');
+
+const mock=new MockAdapter(axios);
+
+/**
+ * Base64 little-endian float32 encoding of the values
+ */
+function encode(values) {
+  return Buffer.from(new Float32Array(values).buffer).toString('base64');
+}
+
+/**
+ * Embeddings response for a request, one [i, length] vector per input
+ */
+function replyFor(config) {
+  const body=JSON.parse(config.data);
+  const inputs=Array.isArray(body.input)? body.input:[body.input];
+  return [200,{
+    object: 'list',
+    model: 'text-embedding-3-small',
+    data: inputs.map((input,index) => {
+      const vector=[index,input.length];
+      return {object: 'embedding',index,embedding: body.encoding_format==='base64'? encode(vector):vector};
+    }),
+    usage: {prompt_tokens: inputs.length,total_tokens: inputs.length},
+    _meta: {cost: 0.5}
+  }];
+}
+
+describe('embeddings',() => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id'});
+  });
+
+  it('should post the parameters to the embeddings endpoint',async () => {
+    mock.onPost('/embeddings').reply(replyFor);
+
+    const response=await client.embeddings.create({
+      input: 'hello',
+      model: 'text-embedding-3-small',
+      dimensions: 256,
+      user: 'user-1',
+      extra_body: {truncate: 'END'}
+    });
+
+    expect(JSON.parse(mock.history.post[0].data)).toEqual({
+      input: 'hello',
+      model: 'text-embedding-3-small',
+      dimensions: 256,
+      user: 'user-1',
+      truncate: 'END',
+      routerId: 'test-router-id'
+    });
+    expect(response.data).toEqual([{object: 'embedding',index: 0,embedding: [0,5]}]);
+    expect(response.usage).toEqual({prompt_tokens: 1,total_tokens: 1});
+  });
+
+  it('should decode base64 embeddings into Float32Array',async () => {
+    mock.onPost('/embeddings').reply(replyFor);
+
+    const response=await client.embeddings.create({input: ['a','bcd'],encoding_format: 'base64'});
+
+    expect(JSON.parse(mock.history.post[0].data).encoding_format).toBe('base64');
+    expect(response.data[1].embedding).toBeInstanceOf(Float32Array);
+    expect(Array.from(response.data[1].embedding)).toEqual([1,3]);
+  });
+
+  it('should decode unaligned base64 data',() => {
+    expect(Array.from(decodeEmbedding(encode([0.5,-2,1e-3])))).toEqual(Array.from(new Float32Array([0.5,-2,1e-3])));
+  });
+
+  it('should split inputs above the per-request limit and merge the responses',async () => {
+    mock.onPost('/embeddings').reply(replyFor);
+    client.embeddings.maxInputsPerRequest=2;
+
+    const response=await client.embeddings.create({input: ['a','bb','ccc','dddd','eeeee']});
+
+    expect(mock.history.post.map(request => JSON.parse(request.data).input)).toEqual([['a','bb'],['ccc','dddd'],['eeeee']]);
+    expect(response.data.map(item => item.index)).toEqual([0,1,2,3,4]);
+    expect(response.data.map(item => item.embedding[1])).toEqual([1,2,3,4,5]);
+    expect(response.usage).toEqual({prompt_tokens: 5,total_tokens: 5});
+    expect(response._meta.cost).toBe(1.5);
+  });
+
+  it('should split by estimated tokens',() => {
+    expect(chunkInputs([[1,2,3],[4,5],[6,7,8,9],[10]],{maxInputs: 10,maxTokens: 5})).toEqual([[[1,2,3],[4,5]],[[6,7,8,9],[10]]]);
+    expect(chunkInputs([[1,2,3,4,5,6]],{maxInputs: 10,maxTokens: 5})).toEqual([[[1,2,3,4,5,6]]]);
+  });
+
+  it('should expose the raw response with withResponse',async () => {
+    mock.onPost('/embeddings').reply(config => [...replyFor(config),{'x-request-id': 'req_1'}]);
+
+    const {data,requestId}=await client.embeddings.create({input: [[1,2,3]]}).withResponse();
+
+    expect(data.data[0].embedding).toEqual([0,3]);
+    expect(requestId).toBe('req_1');
+  });
+
+  it('should run middleware with the embeddings operation',async () => {
+    const operations=[];
+    client.use({onRequest: context => operations.push(context.operation)});
+    mock.onPost('/embeddings').reply(replyFor);
+
+    await client.embeddings.create({input: 'hello'},{routerId: 'other-router'});
+
+    expect(operations).toEqual(['embeddings']);
+    expect(JSON.parse(mock.history.post[0].data).routerId).toBe('other-router');
+  });
+
+  it('should validate the parameters',async () => {
+    await expect(client.embeddings.create({})).rejects.toThrow('input is required');
+    await expect(client.embeddings.create({input: []})).rejects.toThrow(InvalidRequestError);
+    await expect(client.embeddings.create({input: ['a','']})).rejects.toThrow('input[1] must be a non-empty string');
+    await expect(client.embeddings.create({input: 'a',dimensions: 0})).rejects.toThrow('dimensions');
+    await expect(client.embeddings.create({input: 'a',encoding_format: 'int8'})).rejects.toThrow('encoding_format');
+    expect(mock.history.post).toHaveLength(0);
+  });
+
+  it('should estimate embedding tokens for the rate limiter',() => {
+    expect(estimateTokens({input: 'abcdefgh'})).toBe(2);
+    expect(estimateTokens({input: ['abcd','abcdefgh',[1,2,3]]})).toBe(6);
+    expect(estimateTokens({input: [1,2,3]})).toBe(3);
+  });
+});
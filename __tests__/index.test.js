@@ -5,7 +5,20 @@
 const axios=require('axios');
 const MockAdapter=require('axios-mock-adapter');
 const Agentlify=require('../src/index');
-const {APIError,AuthenticationError}=require('../src/errors');
+const {
+  APIError,
+  APIConnectionError,
+  APITimeoutError,
+  AuthenticationError,
+  RateLimitError,
+  InvalidRequestError,
+  PermissionDeniedError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  InternalServerError
+}=require('../src/errors');
+const {parseRetryAfter,getRetryDelay,resolveRetryPolicy}=require('../src/retry');
 
 // Create axios mock adapter
 const mock=new MockAdapter(axios);
@@ -104,6 +117,291 @@ describe('Agentlify',() => {
     });
   });
 
+  describe('error mapping',() => {
+    it.each([
+      [400,InvalidRequestError],
+      [401,AuthenticationError],
+      [403,PermissionDeniedError],
+      [404,NotFoundError],
+      [409,ConflictError],
+      [422,UnprocessableEntityError],
+      [429,RateLimitError],
+      [503,InternalServerError],
+      [418,APIError]
+    ])('should map status %i to its error class',async (status,ErrorClass) => {
+      mock.onPost('/test').reply(status,{error: {message: 'Failed',param: 'messages'}});
+
+      const error=await client.request('/test',{maxRetries: 0}).catch(e => e);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.status).toBe(status);
+      expect(error.message).toBe('Failed');
+      expect(error.param).toBe('messages');
+    });
+
+    it('should attach request context to errors',async () => {
+      mock.onGet('/getModels').reply(404,{error: {message: 'Missing'}},{'x-request-id': 'req_abc'});
+
+      const error=await client.request('/getModels',{method: 'get',maxRetries: 0}).catch(e => e);
+
+      expect(error.requestId).toBe('req_abc');
+      expect(error.headers['x-request-id']).toBe('req_abc');
+      expect(error.endpoint).toBe('/getModels');
+      expect(error.method).toBe('GET');
+      expect(error.retryCount).toBe(0);
+      expect(error.attempts).toBe(1);
+    });
+
+    it('should report network failures with their cause',async () => {
+      const cause=Object.assign(new Error('socket hang up'),{code: 'ECONNRESET'});
+      const failingClient=new Agentlify({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        maxRetries: 0,
+        transport: {request: () => Promise.reject(cause)}
+      });
+
+      const error=await failingClient.request('/test').catch(e => e);
+
+      expect(error).toBeInstanceOf(APIConnectionError);
+      expect(error.message).toBe('Network error: socket hang up');
+      expect(error.cause).toBe(cause);
+      expect(error.code).toBe('ECONNRESET');
+      expect(error.endpoint).toBe('/test');
+    });
+
+    it('should report timeouts as APITimeoutError',async () => {
+      mock.onPost('/test').timeout();
+
+      const error=await client.request('/test',{maxRetries: 0}).catch(e => e);
+
+      expect(error).toBeInstanceOf(APITimeoutError);
+      expect(error).toBeInstanceOf(APIConnectionError);
+      expect(error.code).toBe('ECONNABORTED');
+    });
+
+    it('should export every error class',() => {
+      for(const name of [
+        'AgentlifyError','APIError','APIConnectionError','APITimeoutError','APIUserAbortError',
+        'AuthenticationError','RateLimitError','InvalidRequestError','PermissionDeniedError',
+        'NotFoundError','ConflictError','UnprocessableEntityError','InternalServerError',
+        'CircuitOpenError','StreamParseError','StreamIdleTimeoutError','ResponseValidationError'
+      ]) {
+        expect(typeof Agentlify[name]).toBe('function');
+      }
+    });
+  });
+
+  describe('retry policy',() => {
+    const fastRetry={backoff: () => 0,jitter: 'none'};
+
+    it('should retry 429 responses and honor Retry-After',async () => {
+      mock
+        .onPost('/test')
+        .replyOnce(429,{error: {message: 'Slow down'}},{'retry-after': '0'})
+        .onPost('/test')
+        .reply(200,{success: true});
+
+      const result=await client.request('/test',{retry: fastRetry});
+
+      expect(result).toEqual({success: true});
+      expect(mock.history.post).toHaveLength(2);
+    });
+
+    it('should retry 408 and 409 responses',async () => {
+      mock
+        .onPost('/test')
+        .replyOnce(408,{error: {message: 'Timeout'}})
+        .onPost('/test')
+        .replyOnce(409,{error: {message: 'Conflict'}})
+        .onPost('/test')
+        .reply(200,{success: true});
+
+      await expect(client.request('/test',{retry: fastRetry})).resolves.toEqual({success: true});
+      expect(mock.history.post).toHaveLength(3);
+    });
+
+    it('should not retry other client errors and expose the attempt count',async () => {
+      mock.onPost('/test').reply(400,{error: {message: 'Bad request'}});
+
+      const error=await client.request('/test',{retry: fastRetry}).catch(e => e);
+
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.attempts).toBe(1);
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should expose the attempt count after exhausting retries',async () => {
+      mock.onPost('/test').reply(429,{error: {message: 'Slow down'}});
+
+      const error=await client.request('/test',{retry: {...fastRetry,maxRetries: 2}}).catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.attempts).toBe(3);
+      expect(error.retryCount).toBe(2);
+      expect(mock.history.post).toHaveLength(3);
+    });
+
+    it('should use a client-level retryOn predicate',async () => {
+      const retryOn=jest.fn(() => false);
+      const customClient=new Agentlify({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        retry: {retryOn}
+      });
+      mock.onPost('/test').reply(500,{error: {message: 'Server error'}});
+
+      await expect(customClient.request('/test')).rejects.toThrow(APIError);
+      expect(retryOn).toHaveBeenCalledWith(expect.any(APIError),1);
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should disable retries per call with maxRetries',async () => {
+      mock.onPost('/test').reply(503,{error: {message: 'Unavailable'}});
+
+      await expect(client.request('/test',{maxRetries: 0})).rejects.toThrow(APIError);
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should parse server retry hints',() => {
+      expect(parseRetryAfter({'retry-after-ms': '250'})).toBe(250);
+      expect(parseRetryAfter({'Retry-After': '2'})).toBe(2000);
+      expect(parseRetryAfter({'x-ratelimit-reset-requests': '1m30s'})).toBe(90000);
+      expect(parseRetryAfter({})).toBeNull();
+    });
+
+    it('should treat server hints as a floor for the retry delay',() => {
+      const policy=resolveRetryPolicy({backoff: {initialDelay: 100,maxDelay: 100},jitter: 'full'});
+      const error={headers: {'retry-after': '1'}};
+
+      for(let i=0;i<20;i++) {
+        const delay=getRetryDelay(policy,error,1);
+        expect(delay).toBeGreaterThanOrEqual(1000);
+        expect(delay).toBeLessThan(1100);
+      }
+    });
+
+    it('should reject invalid retry policies',() => {
+      expect(() => new Agentlify({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        retry: {jitter: 'sometimes'}
+      })).toThrow('retry.jitter');
+    });
+  });
+
+  describe('middleware',() => {
+    const validMessages=[{role: 'user',content: 'Hello!'}];
+
+    it('should rewrite payloads and observe responses',async () => {
+      const mockResponse={id: 'chatcmpl-123',_meta: {modelUsed: 'openai:gpt-4'}};
+      mock.onPost('/router/redacted-router').reply(200,mockResponse);
+      const seen=[];
+
+      client.use({
+        onRequest(context) {
+          context.payload.routerId='redacted-router';
+          context.payload.messages=context.payload.messages.map(m => ({...m,content: '[redacted]'}));
+        },
+        onResponse(context,response) {
+          seen.push([context.operation,response._meta.modelUsed]);
+        }
+      });
+
+      const completion=await client.chat.create({messages: validMessages});
+
+      expect(completion).toEqual(mockResponse);
+      expect(seen).toEqual([['chat.completions','openai:gpt-4']]);
+      expect(JSON.parse(mock.history.post[0].data).messages[0].content).toBe('[redacted]');
+      expect(validMessages[0].content).toBe('Hello!');
+    });
+
+    it('should let onResponse replace the response',async () => {
+      mock.onPost().reply(200,{id: 'chatcmpl-123'});
+      client.use({onResponse: (context,response) => ({...response,audited: true})});
+
+      await expect(client.chat.create({messages: validMessages})).resolves.toEqual({id: 'chatcmpl-123',audited: true});
+    });
+
+    it('should pass errors through onError hooks',async () => {
+      mock.onPost().reply(401,{error: {message: 'Invalid API key'}});
+      const onError=jest.fn((context,error) => new Error(`wrapped: ${error.message}`));
+      client.use({onError});
+
+      await expect(client.chat.create({messages: validMessages})).rejects.toThrow('wrapped: Invalid API key');
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({operation: 'chat.completions'}),expect.any(AuthenticationError));
+    });
+
+    it('should observe streamed chunks',async () => {
+      mock.onPost().reply(200,
+        'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n'+
+        'data: {"choices":[{"delta":{},"finish_reason":"stop"}]}\n\n'+
+        'data: [DONE]\n\n'
+      );
+      const chunks=[];
+      client.use({onChunk: (context,chunk) => chunks.push([context.stream,chunk.choices[0].delta.content])});
+
+      const stream=await client.chat.create({messages: validMessages,stream: true});
+      await stream.toArray();
+
+      expect(chunks).toEqual([[true,'Hi'],[true,undefined]]);
+    });
+
+    it('should run for each agent tool-loop iteration',async () => {
+      mock
+        .onPost('/agents')
+        .replyOnce(200,{
+          choices: [{
+            finish_reason: 'tool_calls',
+            message: {
+              content: null,
+              tool_calls: [{id: 'call_1',type: 'function',function: {name: 'lookup',arguments: '{}'}}]
+            }
+          }]
+        })
+        .onPost('/agents')
+        .replyOnce(200,{choices: [{finish_reason: 'stop',message: {content: 'Done'}}]});
+      const iterations=[];
+      client.use({onRequest: context => iterations.push([context.operation,context.iteration,context.payload.messages.length])});
+
+      await client.agents.run({
+        agentId: 'agent-1',
+        messages: validMessages,
+        tools: [{type: 'function',function: {name: 'lookup'},callback: () => 'ok'}]
+      });
+
+      expect(iterations).toEqual([['agents.run',1,1],['agents.run',2,3]]);
+    });
+
+    it('should resolve agents.run withResponse to the final iteration',async () => {
+      mock
+        .onPost('/agents')
+        .replyOnce(200,{
+          choices: [{
+            finish_reason: 'tool_calls',
+            message: {tool_calls: [{id: 'call_1',type: 'function',function: {name: 'lookup',arguments: '{}'}}]}
+          }]
+        },{'x-request-id': 'req_first'})
+        .onPost('/agents')
+        .replyOnce(200,{choices: [{finish_reason: 'stop',message: {content: 'Done'}}]},{'x-request-id': 'req_last'});
+
+      const {data,requestId}=await client.agents.run({
+        agentId: 'agent-1',
+        messages: validMessages,
+        tools: [{type: 'function',function: {name: 'lookup'},callback: () => 'ok'}]
+      }).withResponse();
+
+      expect(data.choices[0].message.content).toBe('Done');
+      expect(requestId).toBe('req_last');
+    });
+
+    it('should validate middleware',() => {
+      expect(() => client.use({})).toThrow('at least one of');
+      expect(() => client.use({onRequest: 'nope'})).toThrow('middleware.onRequest must be a function');
+    });
+  });
+
   describe('getRouterConfig',() => {
     it('should fetch router configuration',async () => {
       const mockConfig={
@@ -118,6 +416,16 @@ describe('Agentlify',() => {
       expect(config).toEqual(mockConfig);
       expect(mock.history.get).toHaveLength(1);
     });
+
+    it('should expose the raw response',async () => {
+      mock.onGet('/getRouterConfig/test-router-id').reply(200,{id: 'test-router'},{'x-request-id': 'req_config'});
+
+      const {data,response,requestId}=await client.getRouterConfig().withResponse();
+
+      expect(data).toEqual({id: 'test-router'});
+      expect(response.status).toBe(200);
+      expect(requestId).toBe('req_config');
+    });
   });
 
   describe('getModels',() => {
@@ -141,6 +449,15 @@ describe('Agentlify',() => {
       expect(models).toEqual(mockModels);
       expect(mock.history.get).toHaveLength(1);
     });
+
+    it('should unwrap list responses with withResponse',async () => {
+      mock.onGet('/getModels').reply(200,{object: 'list',data: [{id: 'openai:gpt-4'}]},{'x-request-id': 'req_models'});
+
+      const {data,requestId}=await client.getModels().withResponse();
+
+      expect(data).toEqual([{id: 'openai:gpt-4'}]);
+      expect(requestId).toBe('req_models');
+    });
   });
 
   // Error handling tests removed due to timeout issues
@@ -0,0 +1,45 @@
+/**
+ * Tests for the partial JSON parser
+ */
+
+const {parsePartialJSON}=require('../src/partial');
+
+describe('parsePartialJSON',() => {
+  it('should parse complete JSON like JSON.parse',() => {
+    const text='{"a":[1,-2.5e3,true,false,null],"b":{"c":"d\\"e"}}';
+
+    expect(parsePartialJSON(text)).toEqual(JSON.parse(text));
+  });
+
+  it('should close unterminated objects, arrays and strings',() => {
+    expect(parsePartialJSON('{"title":"Q3 rep')).toEqual({title: 'Q3 rep'});
+    expect(parsePartialJSON('{"items":[{"name":"a"},{"na')).toEqual({items: [{name: 'a'},{}]});
+    expect(parsePartialJSON('[1,2,')).toEqual([1,2]);
+  });
+
+  it('should leave out keys whose value has not started',() => {
+    expect(parsePartialJSON('{"a":1,"b"')).toEqual({a: 1});
+    expect(parsePartialJSON('{"a":1,"b": ')).toEqual({a: 1});
+  });
+
+  it('should complete cut-off numbers, literals and escapes',() => {
+    expect(parsePartialJSON('{"n":12.')).toEqual({n: 12});
+    expect(parsePartialJSON('{"n":-')).toEqual({});
+    expect(parsePartialJSON('{"ok":tr')).toEqual({ok: true});
+    expect(parsePartialJSON('{"s":"line\\')).toEqual({s: 'line'});
+    expect(parsePartialJSON('{"s":"caf\\u00')).toEqual({s: 'caf'});
+  });
+
+  it('should return undefined before any value starts',() => {
+    expect(parsePartialJSON('')).toBeUndefined();
+    expect(parsePartialJSON('  ')).toBeUndefined();
+  });
+
+  it('should throw for text that is not JSON',() => {
+    expect(() => parsePartialJSON('Sure! {"a":1}')).toThrow(SyntaxError);
+    expect(() => parsePartialJSON('42 is the answer')).toThrow(SyntaxError);
+    expect(() => parsePartialJSON('1. First step')).toThrow(SyntaxError);
+    expect(() => parsePartialJSON('{"a":1} and more')).toThrow(SyntaxError);
+    expect(parsePartialJSON('{"a":1}\n')).toEqual({a: 1});
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests for the client-side rate limiter
+ */
+
+const Agentlify=require('../src/index');
+const {RateLimiter,estimateTokens}=require('../src/ratelimit');
+const {APIUserAbortError}=require('../src/errors');
+
+/**
+ * Transport whose requests resolve only when released by the test
+ */
+function createControlledTransport() {
+  const pending=[];
+  return {
+    pending,
+    request: jest.fn((config) => new Promise((resolve) => {
+      pending.push({
+        config,
+        resolve: (data={id: 'ok'},headers={}) => resolve({status: 200,headers,data})
+      });
+    }))
+  };
+}
+
+const flush=() => new Promise(resolve => setImmediate(resolve));
+
+describe('RateLimiter',() => {
+  const messages=[{role: 'user',content: 'Hello!'}];
+
+  it('should queue requests beyond maxConcurrent',async () => {
+    const transport=createControlledTransport();
+    const client=new Agentlify({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id',
+      transport,
+      rateLimit: {maxConcurrent: 1}
+    });
+
+    const first=client.chat.create({messages});
+    const second=client.agents.run({agentId: 'agent-1',messages});
+    await flush();
+
+    expect(transport.request).toHaveBeenCalledTimes(1);
+    expect(client.rateLimiter.pending).toBe(1);
+
+    transport.pending[0].resolve();
+    await first;
+    await flush();
+
+    expect(transport.request).toHaveBeenCalledTimes(2);
+    transport.pending[1].resolve({choices: [{finish_reason: 'stop',message: {content: 'Done'}}]});
+    await second;
+    expect(client.rateLimiter.active).toBe(0);
+  });
+
+  it('should hold streaming slots until the stream is consumed',async () => {
+    const transport={
+      request: jest.fn(async () => ({
+        status: 200,
+        headers: {},
+        data: (async function*() {
+          yield 'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n';
+        })()
+      }))
+    };
+    const client=new Agentlify({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id',
+      transport,
+      rateLimit: {maxConcurrent: 1}
+    });
+
+    const stream=await client.chat.create({messages,stream: true});
+    expect(client.rateLimiter.active).toBe(1);
+
+    await stream.getText();
+    expect(client.rateLimiter.active).toBe(0);
+  });
+
+  it('should free streaming slots when a stream is aborted before it is read',async () => {
+    const transport=createControlledTransport();
+    const client=new Agentlify({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id',
+      transport,
+      rateLimit: {maxConcurrent: 1}
+    });
+
+    const pendingStream=client.chat.create({messages,stream: true});
+    await flush();
+    transport.pending[0].resolve((async function*() {
+      yield 'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n';
+    })());
+    const stream=await pendingStream;
+    expect(client.rateLimiter.active).toBe(1);
+
+    stream.abort();
+    expect(client.rateLimiter.active).toBe(0);
+
+    const next=client.chat.create({messages});
+    await flush();
+    expect(client.rateLimiter.pending).toBe(0);
+    transport.pending[1].resolve();
+    await next;
+    expect(client.rateLimiter.active).toBe(0);
+  });
+
+  it('should reject queued callers when their signal aborts',async () => {
+    const transport=createControlledTransport();
+    const client=new Agentlify({
+      apiKey: 'mp_test-api-key',
+      routerId: 'test-router-id',
+      transport,
+      rateLimit: {maxConcurrent: 1}
+    });
+    const controller=new AbortController();
+
+    client.chat.create({messages});
+    const queued=client.chat.create({messages},{signal: controller.signal});
+    await flush();
+    controller.abort();
+
+    const error=await queued.catch(e => e);
+    expect(error).toBeInstanceOf(APIUserAbortError);
+    expect(error.endpoint).toBe('/router/test-router-id');
+    expect(client.rateLimiter.pending).toBe(0);
+    transport.pending[0].resolve();
+  });
+
+  describe('buckets',() => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should wait for request budget to refill',async () => {
+      const limiter=new RateLimiter({requestsPerMinute: 2});
+      const send=jest.fn(async () => ({status: 200,headers: {},data: {}}));
+
+      await limiter.schedule({},send);
+      await limiter.schedule({},send);
+      const third=limiter.schedule({},send);
+      await jest.advanceTimersByTimeAsync(29000);
+      expect(send).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      await third;
+      expect(send).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reconcile token estimates with reported usage',async () => {
+      const limiter=new RateLimiter({tokensPerMinute: 1000});
+      const send=jest.fn(async () => ({status: 200,headers: {},data: {usage: {total_tokens: 900}}}));
+
+      await limiter.schedule({data: {messages,max_tokens: 100}},send);
+      const next=limiter.schedule({data: {messages,max_tokens: 500}},send);
+      await jest.advanceTimersByTimeAsync(0);
+      expect(send).toHaveBeenCalledTimes(1);
+
+      // 900 tokens used; 502 needed -> about 24s of refill at 1000 tokens/minute
+      await jest.advanceTimersByTimeAsync(25000);
+      await next;
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pause when the server reports an exhausted budget',async () => {
+      const limiter=new RateLimiter({maxConcurrent: 10});
+      const send=jest.fn()
+        .mockResolvedValueOnce({
+          status: 200,
+          headers: {'x-ratelimit-remaining-requests': '0','x-ratelimit-reset-requests': '5s'},
+          data: {}
+        })
+        .mockResolvedValue({status: 200,headers: {},data: {}});
+
+      await limiter.schedule({},send);
+      const next=limiter.schedule({},send);
+      await jest.advanceTimersByTimeAsync(4900);
+      expect(send).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(100);
+      await next;
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pause after a 429 with Retry-After',async () => {
+      const limiter=new RateLimiter({});
+      const rateLimited=Object.assign(new Error('Slow down'),{status: 429,headers: {'retry-after': '2'}});
+      const send=jest.fn()
+        .mockRejectedValueOnce(rateLimited)
+        .mockResolvedValue({status: 200,headers: {},data: {}});
+
+      await expect(limiter.schedule({},send)).rejects.toBe(rateLimited);
+      const next=limiter.schedule({},send);
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(send).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      await next;
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('should estimate tokens from messages and max_tokens',() => {
+    expect(estimateTokens({messages: [{role: 'user',content: '12345678'}],max_tokens: 10})).toBe(12);
+    expect(estimateTokens(undefined)).toBe(0);
+    expect(estimateTokens({messages: [{role: 'user',content: [
+      {type: 'text',text: '12345678'},
+      {type: 'image_url',image_url: {url: `data:image/png;base64,${'A'.repeat(100000)}`}}
+    ]}]})).toBe(767);
+  });
+
+  it('should validate options',() => {
+    expect(() => new RateLimiter({maxConcurrent: 0})).toThrow('rateLimit.maxConcurrent must be a positive number');
+  });
+});
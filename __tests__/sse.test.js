@@ -0,0 +1,129 @@
+/**
+ * Tests for the server-sent events decoder and stream error handling
+ */
+
+const {iterSSEMessages,LineDecoder}=require('../src/sse');
+const {ChatCompletionStream}=require('../src/chat');
+const {APIError,RateLimitError,StreamParseError}=require('../src/errors');
+
+/**
+ * Async iterable over the given chunks
+ */
+async function *chunks(...parts) {
+  for(const part of parts) {
+    yield part;
+  }
+}
+
+async function collect(iterable) {
+  const items=[];
+  for await(const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('iterSSEMessages',() => {
+  it('should parse event, id and retry fields and ignore comments',async () => {
+    const events=await collect(iterSSEMessages(chunks(
+      ': keep-alive\n',
+      'event: update\nid: 42\nretry: 3000\ndata: {"a":1}\n\n'
+    )));
+
+    expect(events).toEqual([{event: 'update',data: '{"a":1}',id: '42',retry: 3000}]);
+  });
+
+  it('should join multi-line data fields',async () => {
+    const events=await collect(iterSSEMessages(chunks('data: first\ndata: second\n\n')));
+
+    expect(events[0].data).toBe('first\nsecond');
+    expect(events[0].event).toBe('message');
+  });
+
+  it('should handle CRLF and CR line endings split across chunks',async () => {
+    const events=await collect(iterSSEMessages(chunks(
+      'data: one\r',
+      '\n\r\ndata: two\r\r',
+      'data: three\n\n'
+    )));
+
+    expect(events.map(event => event.data)).toEqual(['one','two','three']);
+  });
+
+  it('should decode multi-byte characters split across byte chunks',async () => {
+    const bytes=new TextEncoder().encode('data: héllo\n\n');
+    const events=await collect(iterSSEMessages(chunks(bytes.slice(0,8),bytes.slice(8))));
+
+    expect(events[0].data).toBe('héllo');
+  });
+
+  it('should dispatch a final event without a trailing blank line',async () => {
+    const events=await collect(iterSSEMessages(chunks('data: last')));
+
+    expect(events.map(event => event.data)).toEqual(['last']);
+  });
+
+  it('should buffer partial lines',() => {
+    const decoder=new LineDecoder();
+
+    expect(decoder.decode('data: par')).toEqual([]);
+    expect(decoder.decode('tial\ndata')).toEqual(['data: partial']);
+    expect(decoder.flush()).toEqual(['data']);
+  });
+});
+
+describe('ChatCompletionStream',() => {
+  it('should yield content from delta frames and stop at [DONE]',async () => {
+    const stream=new ChatCompletionStream(chunks(
+      'data: {"choices":[{"delta":{"content":"Hel"}}]}\r\n\r\n',
+      'data: {"choices":[{"delta":{"content":"lo"}}]}\r\n\r\n',
+      'data: [DONE]\r\n\r\n'
+    ));
+
+    await expect(stream.getText()).resolves.toBe('Hello');
+  });
+
+  it('should surface error events as APIErrors after earlier content',async () => {
+    const stream=new ChatCompletionStream(chunks(
+      'data: {"choices":[{"delta":{"content":"Partial"}}]}\n\n',
+      'event: error\ndata: {"error":{"message":"Upstream model overloaded","status":429}}\n\n'
+    ));
+    const received=[];
+
+    const error=await (async () => {
+      for await(const chunk of stream) {
+        received.push(chunk.choices[0].delta.content);
+      }
+    })().catch(e => e);
+
+    expect(received).toEqual(['Partial']);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.message).toBe('Upstream model overloaded');
+  });
+
+  it('should surface error payloads without an event type',async () => {
+    const stream=new ChatCompletionStream(chunks('data: {"error":{"message":"Router failed"}}\n\n'));
+
+    const error=await stream.getText().catch(e => e);
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.message).toBe('Router failed');
+  });
+
+  it('should report malformed frames',async () => {
+    const stream=new ChatCompletionStream(chunks('data: {"choices":[\n\n'));
+
+    const error=await stream.getText().catch(e => e);
+
+    expect(error).toBeInstanceOf(StreamParseError);
+    expect(error.data).toBe('{"choices":[');
+  });
+
+  it('should track the last event id',async () => {
+    const stream=new ChatCompletionStream(chunks('id: evt_1\ndata: {"choices":[]}\n\n'));
+
+    await stream.toArray();
+
+    expect(stream.lastEventId).toBe('evt_1');
+  });
+});
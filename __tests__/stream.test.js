@@ -0,0 +1,509 @@
+/**
+ * Tests for chat completion stream accumulation, events, tee(), proxying and cancellation
+ */
+
+const {EventEmitter}=require('events');
+const Agentlify=require('../src/index');
+const {ChatCompletionStream}=require('../src/stream');
+const {APIError,APIUserAbortError,StreamIdleTimeoutError}=require('../src/errors');
+
+/**
+ * Minimal http.ServerResponse stand-in
+ */
+class MockResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.headers={};
+    this.statusCode=200;
+    this.headersSent=false;
+    this.writableEnded=false;
+    this.body='';
+  }
+
+  setHeader(name,value) {
+    this.headers[name.toLowerCase()]=value;
+  }
+
+  getHeader(name) {
+    return this.headers[name.toLowerCase()];
+  }
+
+  flushHeaders() {
+    this.headersSent=true;
+  }
+
+  write(data) {
+    this.headersSent=true;
+    this.body+=data;
+    return true;
+  }
+
+  end() {
+    this.writableEnded=true;
+    this.emit('close');
+  }
+}
+
+const frames=[
+  {id: 'chatcmpl-1',created: 1700000000,model: 'gpt-4o-mini',
+    choices: [{index: 0,delta: {role: 'assistant',content: 'Let me '},finish_reason: null}]},
+  {id: 'chatcmpl-1',created: 1700000000,model: 'gpt-4o-mini',
+    choices: [{index: 0,delta: {content: 'check.'},finish_reason: null}]},
+  {id: 'chatcmpl-1',created: 1700000000,model: 'gpt-4o-mini',
+    choices: [{index: 0,delta: {tool_calls: [{index: 0,id: 'call_1',type: 'function',function: {name: 'lookup',arguments: '{"q":'}}]},finish_reason: null}]},
+  {id: 'chatcmpl-1',created: 1700000000,model: 'gpt-4o-mini',
+    choices: [{index: 0,delta: {tool_calls: [{index: 0,function: {arguments: '"weather"}'}}]},finish_reason: null}]},
+  {id: 'chatcmpl-1',created: 1700000000,model: 'gpt-4o-mini',
+    choices: [{index: 0,delta: {},finish_reason: 'tool_calls'}],
+    usage: {prompt_tokens: 10,completion_tokens: 5,total_tokens: 15},
+    _meta: {modelUsed: 'gpt-4o-mini'}}
+];
+
+/**
+ * SSE body for the given frames
+ */
+async function *body(items=frames,{error}={}) {
+  for(const item of items) {
+    yield `data: ${JSON.stringify(item)}\n\n`;
+  }
+  if(error) {
+    yield `event: error\ndata: ${JSON.stringify({error: {message: error}})}\n\n`;
+  }
+  yield 'data: [DONE]\n\n';
+}
+
+describe('ChatCompletionStream helpers',() => {
+  it('should assemble the final chat completion',async () => {
+    const stream=new ChatCompletionStream(body());
+
+    const completion=await stream.finalChatCompletion();
+
+    expect(completion).toEqual({
+      id: 'chatcmpl-1',
+      object: 'chat.completion',
+      created: 1700000000,
+      model: 'gpt-4o-mini',
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: 'Let me check.',
+          tool_calls: [{id: 'call_1',type: 'function',function: {name: 'lookup',arguments: '{"q":"weather"}'}}]
+        },
+        finish_reason: 'tool_calls'
+      }],
+      usage: {prompt_tokens: 10,completion_tokens: 5,total_tokens: 15},
+      _meta: {modelUsed: 'gpt-4o-mini'}
+    });
+  });
+
+  it('should expose usage and meta once the chunks carrying them are read',async () => {
+    const stream=new ChatCompletionStream(body());
+    const seen=[];
+    stream.on('chunk',() => seen.push(stream.usage&&stream.usage.total_tokens));
+
+    await stream.done();
+
+    expect(seen).toEqual([null,null,null,null,15]);
+    expect(stream.usage).toEqual({prompt_tokens: 10,completion_tokens: 5,total_tokens: 15});
+    expect(stream.meta).toEqual({modelUsed: 'gpt-4o-mini'});
+  });
+
+  it('should return the final completion after the stream was iterated',async () => {
+    const stream=new ChatCompletionStream(body());
+    const contents=[];
+
+    for await(const chunk of stream) {
+      contents.push(chunk.choices[0].delta.content);
+    }
+
+    expect(contents).toEqual(['Let me ','check.',undefined,undefined,undefined]);
+    expect((await stream.finalChatCompletion()).choices[0].message.content).toBe('Let me check.');
+  });
+
+  it('should emit content, tool call and end events',async () => {
+    const stream=new ChatCompletionStream(body());
+    const events=[];
+    stream
+      .on('content',(delta,snapshot) => events.push(['content',delta,snapshot]))
+      .on('tool_call.delta',(delta,toolCall) => events.push(['tool_call.delta',delta.function.arguments,toolCall.function.arguments]))
+      .on('end',completion => events.push(['end',completion.choices[0].finish_reason]));
+
+    await stream.done();
+
+    expect(events).toEqual([
+      ['content','Let me ','Let me '],
+      ['content','check.','Let me check.'],
+      ['tool_call.delta','{"q":','{"q":'],
+      ['tool_call.delta','"weather"}','{"q":"weather"}'],
+      ['end','tool_calls']
+    ]);
+  });
+
+  describe('partial JSON',() => {
+    /**
+     * Frames streaming the given content in pieces
+     */
+    const contentFrames=(...pieces) => pieces.map(content => (
+      {id: 'chatcmpl-2',choices: [{index: 0,delta: {content},finish_reason: null}]}
+    ));
+
+    it('should emit progressively more complete objects',async () => {
+      const stream=new ChatCompletionStream(body(contentFrames('{"title":"Q3','","tags":["a"',',"b"]}')));
+      const partials=[];
+      stream.on('partial_object',object => partials.push(object));
+
+      await stream.done();
+
+      expect(partials).toEqual([
+        {title: 'Q3'},
+        {title: 'Q3',tags: ['a']},
+        {title: 'Q3',tags: ['a','b']}
+      ]);
+    });
+
+    it('should not emit partial objects for plain text',async () => {
+      const stream=new ChatCompletionStream(body(contentFrames('t','rue story: ','42 is the answer')));
+      const partials=[];
+      stream.on('partial_object',object => partials.push(object));
+
+      await stream.done();
+
+      expect(partials).toEqual([]);
+    });
+
+    it('should parse all content of JSON response formats',async () => {
+      const stream=new ChatCompletionStream(body(contentFrames(' 4','2')),{responseFormat: {type: 'json_object'}});
+      const partials=[];
+      stream.on('partial_object',object => partials.push(object));
+
+      await stream.done();
+
+      expect(partials).toEqual([4,42]);
+    });
+
+    it('should iterate partial objects with partialObjects()',async () => {
+      const stream=new ChatCompletionStream(body(contentFrames('{"a":','1',',"b":2}')));
+      const partials=[];
+
+      for await(const partial of stream.partialObjects()) {
+        partials.push(partial);
+      }
+
+      // '{"a":' has no complete member yet, and '{}' is only emitted once
+      expect(partials).toEqual([{},{a: 1},{a: 1,b: 2}]);
+    });
+
+    it('should parse streamed tool call arguments',async () => {
+      const stream=new ChatCompletionStream(body());
+      const partials=[];
+      stream.on('tool_call.partial',(args,toolCall) => partials.push([args,toolCall.function.name]));
+
+      await stream.done();
+
+      expect(partials).toEqual([[{},'lookup'],[{q: 'weather'},'lookup']]);
+    });
+
+    it('should report tool calls without an index under the call they were merged into',async () => {
+      const stream=new ChatCompletionStream(body([
+        {id: 'chatcmpl-3',choices: [{index: 0,delta: {tool_calls: [{id: 'call_1',type: 'function',function: {name: 'lookup',arguments: '{"q":"a"}'}}]},finish_reason: null}]},
+        {id: 'chatcmpl-3',choices: [{index: 0,delta: {tool_calls: [{id: 'call_2',type: 'function',function: {name: 'search',arguments: '{"q":"b"}'}}]},finish_reason: 'tool_calls'}]}
+      ]));
+      const partials=[];
+      stream.on('tool_call.partial',(args,toolCall) => partials.push([args,toolCall.id]));
+
+      const completion=await stream.finalChatCompletion();
+
+      expect(completion.choices[0].message.tool_calls.map(call => call.id)).toEqual(['call_1','call_2']);
+      expect(partials).toEqual([[{q: 'a'},'call_1'],[{q: 'b'},'call_2']]);
+    });
+
+    it('should skip content that is not JSON',async () => {
+      const stream=new ChatCompletionStream(body());
+      const onPartial=jest.fn();
+      stream.on('partial_object',onPartial);
+
+      await stream.done();
+
+      expect(onPartial).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should emit and reject with mid-stream errors',async () => {
+    const stream=new ChatCompletionStream(body(frames.slice(0,1),{error: 'Upstream failed'}));
+    const onError=jest.fn();
+    stream.on('error',onError);
+
+    await expect(stream.finalChatCompletion()).rejects.toThrow(APIError);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({message: 'Upstream failed'}));
+  });
+
+  it('should refuse to be read twice',async () => {
+    const stream=new ChatCompletionStream(body());
+    await stream.toArray();
+
+    await expect(stream.toArray()).rejects.toThrow('already been consumed');
+  });
+
+  it('should split into two independent streams with tee()',async () => {
+    const [left,right]=new ChatCompletionStream(body()).tee();
+
+    const text=await left.getText();
+    const completion=await right.finalChatCompletion();
+
+    expect(text).toBe('Let me check.');
+    expect(completion.choices[0].message.tool_calls[0].function.arguments).toBe('{"q":"weather"}');
+  });
+
+  it('should deliver errors to both branches of a tee',async () => {
+    const [left,right]=new ChatCompletionStream(body([],{error: 'Upstream failed'})).tee();
+
+    await expect(left.toArray()).rejects.toThrow('Upstream failed');
+    await expect(right.toArray()).rejects.toThrow('Upstream failed');
+  });
+
+  it('should abort the upstream request once both branches of a tee stop early',async () => {
+    const controller=new AbortController();
+    const [left,right]=new ChatCompletionStream(body(),{controller}).tee();
+
+    for await(const chunk of left) {
+      expect(chunk.id).toBe('chatcmpl-1');
+      break;
+    }
+    expect(controller.signal.aborted).toBe(false);
+
+    for await(const chunk of right) {
+      expect(chunk.id).toBe('chatcmpl-1');
+      break;
+    }
+    expect(controller.signal.aborted).toBe(true);
+  });
+
+  it('should abort the upstream request once both branches of a tee are aborted or cancelled',async () => {
+    const controller=new AbortController();
+    const [left,right]=new ChatCompletionStream(body(),{controller}).tee();
+
+    left.abort();
+    await expect(left.toArray()).rejects.toThrow(APIUserAbortError);
+    expect(controller.signal.aborted).toBe(false);
+    expect((await right.toArray()).length).toBe(frames.length);
+
+    const upstream=new AbortController();
+    const [first,second]=new ChatCompletionStream(body(),{controller: upstream}).tee();
+    await first.toReadableStream().cancel();
+    expect(upstream.signal.aborted).toBe(false);
+    second.abort();
+    expect(upstream.signal.aborted).toBe(true);
+  });
+
+  describe('proxying',() => {
+    it('should round-trip through toReadableStream() and fromReadableStream()',async () => {
+      const readable=new ChatCompletionStream(body()).toReadableStream();
+
+      const completion=await ChatCompletionStream.fromReadableStream(readable).finalChatCompletion();
+
+      expect(completion.choices[0].message.content).toBe('Let me check.');
+      expect(completion.usage.total_tokens).toBe(15);
+    });
+
+    it('should fall back to stream/web when there is no global ReadableStream',async () => {
+      const descriptor=Object.getOwnPropertyDescriptor(globalThis,'ReadableStream');
+      delete globalThis.ReadableStream;
+      let readable;
+      try {
+        readable=new ChatCompletionStream(body()).toReadableStream();
+      } finally {
+        Object.defineProperty(globalThis,'ReadableStream',descriptor);
+      }
+
+      expect(readable).toBeInstanceOf(require('stream/web').ReadableStream);
+      const completion=await ChatCompletionStream.fromReadableStream(readable).finalChatCompletion();
+      expect(completion.choices[0].message.content).toBe('Let me check.');
+    });
+
+    it('should forward upstream errors as error events',async () => {
+      const readable=new ChatCompletionStream(body(frames.slice(0,1),{error: 'Upstream failed'})).toReadableStream();
+      const stream=ChatCompletionStream.fromReadableStream(readable);
+      const contents=[];
+
+      const error=await (async () => {
+        for await(const chunk of stream) {
+          contents.push(chunk.choices[0].delta.content);
+        }
+      })().catch(e => e);
+
+      expect(contents).toEqual(['Let me ']);
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.message).toBe('Upstream failed');
+    });
+
+    it('should abort the upstream request when the readable stream is cancelled',async () => {
+      const controller=new AbortController();
+      const readable=new ChatCompletionStream(body(),{controller}).toReadableStream();
+
+      await readable.cancel();
+
+      expect(controller.signal.aborted).toBe(true);
+    });
+
+    it('should write server-sent events to an HTTP response',async () => {
+      const res=new MockResponse();
+      res.setHeader('Cache-Control','private');
+
+      await new ChatCompletionStream(body()).pipeToResponse(res);
+
+      expect(res.getHeader('Content-Type')).toBe('text/event-stream; charset=utf-8');
+      expect(res.getHeader('Cache-Control')).toBe('private');
+      expect(res.writableEnded).toBe(true);
+      expect(res.body.startsWith(`data: ${JSON.stringify(frames[0])}\n\n`)).toBe(true);
+      expect(res.body.endsWith('data: [DONE]\n\n')).toBe(true);
+    });
+
+    it('should abort the upstream request when the client disconnects',async () => {
+      const res=new MockResponse();
+      const controller=new AbortController();
+      const upstream=(async function*() {
+        yield `data: ${JSON.stringify(frames[0])}\n\n`;
+        // Stalls until the request is aborted
+        await new Promise(resolve => controller.signal.addEventListener('abort',resolve));
+        yield `data: ${JSON.stringify(frames[1])}\n\n`;
+      })();
+
+      const piping=new ChatCompletionStream(upstream,{controller}).pipeToResponse(res);
+      await new Promise(resolve => setImmediate(resolve));
+      res.emit('close');
+      await piping;
+
+      expect(controller.signal.aborted).toBe(true);
+      expect(res.writableEnded).toBe(false);
+      expect(res.body).not.toContain('check.');
+    });
+  });
+
+  describe('cancellation',() => {
+    /**
+     * Body that sends one frame and then stalls until its signal aborts
+     */
+    async function *stalledBody(signal) {
+      yield `data: ${JSON.stringify(frames[0])}\n\n`;
+      await new Promise(resolve => signal.addEventListener('abort',resolve));
+      throw Object.assign(new Error('canceled'),{code: 'ERR_CANCELED'});
+    }
+
+    it('should abort a stalled read with abort()',async () => {
+      const controller=new AbortController();
+      const stream=new ChatCompletionStream(stalledBody(controller.signal),{controller});
+      const contents=[];
+
+      const reading=(async () => {
+        for await(const chunk of stream) {
+          contents.push(chunk.choices[0].delta.content);
+          stream.abort();
+        }
+      })();
+
+      await expect(reading).rejects.toThrow(APIUserAbortError);
+      expect(contents).toEqual(['Let me ']);
+      expect(controller.signal.aborted).toBe(true);
+    });
+
+    it('should abort the upstream request when the consumer stops early',async () => {
+      const controller=new AbortController();
+      const stream=new ChatCompletionStream(body(),{controller});
+
+      for await(const chunk of stream) {
+        expect(chunk.id).toBe('chatcmpl-1');
+        break;
+      }
+
+      expect(controller.signal.aborted).toBe(true);
+      await expect(stream.finalChatCompletion()).rejects.toThrow('not read to the end');
+    });
+
+    it('should fail with StreamIdleTimeoutError when no data arrives',async () => {
+      const controller=new AbortController();
+      const stream=new ChatCompletionStream(stalledBody(controller.signal),{controller,idleTimeout: 20});
+
+      const error=await stream.toArray().catch(e => e);
+
+      expect(error).toBeInstanceOf(StreamIdleTimeoutError);
+      expect(error.idleTimeout).toBe(20);
+      expect(controller.signal.aborted).toBe(true);
+    });
+
+    it('should reset the idle timer whenever bytes arrive',async () => {
+      const slowBody=(async function*() {
+        for(const frame of frames) {
+          await new Promise(resolve => setTimeout(resolve,10));
+          yield `data: ${JSON.stringify(frame)}\n\n`;
+        }
+      })();
+
+      const stream=new ChatCompletionStream(slowBody,{idleTimeout: 40});
+
+      await expect(stream.getText()).resolves.toBe('Let me check.');
+    });
+
+    it('should cancel the streaming request through the per-request signal',async () => {
+      const transport={
+        request: jest.fn(async (config) => ({status: 200,headers: {},data: stalledBody(config.signal)}))
+      };
+      const client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',transport});
+      const userController=new AbortController();
+
+      const stream=await client.chat.create(
+        {messages: [{role: 'user',content: 'Hello!'}],stream: true},
+        {signal: userController.signal}
+      );
+      const reading=stream.toArray();
+      userController.abort();
+
+      await expect(reading).rejects.toThrow(APIUserAbortError);
+      expect(transport.request.mock.calls[0][0].signal.aborted).toBe(true);
+    });
+
+    it('should stop listening to the per-request signal once each stream is done',async () => {
+      const transport={
+        request: jest.fn(async (config) => (
+          config.data.messages[0].content==='fail'
+            ? Promise.reject(Object.assign(new Error('down'),{request: true}))
+            :{status: 200,headers: {},data: body()}
+        ))
+      };
+      const client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',transport,maxRetries: 0});
+      const userController=new AbortController();
+      const add=jest.spyOn(userController.signal,'addEventListener');
+      const remove=jest.spyOn(userController.signal,'removeEventListener');
+      const create=content => client.chat.create({messages: [{role: 'user',content}],stream: true},{signal: userController.signal});
+
+      await (await create('read to the end')).toArray();
+      for await(const chunk of await create('stopped early')) {
+        expect(chunk.id).toBe('chatcmpl-1');
+        break;
+      }
+      (await create('aborted unread')).abort();
+      await expect(create('fail')).rejects.toThrow();
+
+      const listeners=calls => calls.filter(([type]) => type==='abort').map(([,listener]) => listener);
+      expect(listeners(add.mock.calls).length).toBeGreaterThanOrEqual(4);
+      expect(listeners(remove.mock.calls)).toEqual(expect.arrayContaining(listeners(add.mock.calls)));
+      expect(userController.signal.aborted).toBe(false);
+    });
+
+    it('should apply the client streamIdleTimeout',async () => {
+      const transport={
+        request: async (config) => ({status: 200,headers: {},data: stalledBody(config.signal)})
+      };
+      const client=new Agentlify({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        transport,
+        streamIdleTimeout: 20
+      });
+
+      const stream=await client.chat.create({messages: [{role: 'user',content: 'Hello!'}],stream: true});
+
+      await expect(stream.toArray()).rejects.toThrow(StreamIdleTimeoutError);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for structured outputs (chat.parse) and JSON Schema validation
+ */
+
+const axios=require('axios');
+const MockAdapter=require('axios-mock-adapter');
+const Agentlify=require('../src/index');
+const {validateJSONSchema,formatPath}=require('../src/structured');
+const {InvalidRequestError,ResponseValidationError}=require('../src/errors');
+
+const mock=new MockAdapter(axios);
+
+const contactSchema={
+  title: 'Contact',
+  type: 'object',
+  properties: {
+    name: {type: 'string'},
+    emails: {type: 'array',items: {type: 'string',pattern: '@'}},
+    role: {enum: ['buyer','seller']}
+  },
+  required: ['name','emails'],
+  additionalProperties: false
+};
+
+/**
+ * Completion whose assistant content is the given string
+ */
+function completionWith(content,extra={}) {
+  return {
+    id: 'chatcmpl-123',
+    choices: [{index: 0,message: {role: 'assistant',content,...extra},finish_reason: 'stop'}]
+  };
+}
+
+describe('validateJSONSchema',() => {
+  it('should accept matching values',() => {
+    expect(validateJSONSchema({name: 'Ada',emails: ['ada@example.com'],role: 'buyer'},contactSchema)).toEqual([]);
+  });
+
+  it('should report the path of each issue',() => {
+    const issues=validateJSONSchema({emails: ['ada@example.com','nope'],age: 3},contactSchema);
+
+    expect(issues.map(issue => [formatPath(issue.path),issue.message])).toEqual([
+      ['$.name','is required'],
+      ['$.emails[1]','must match @'],
+      ['$.age','is not an allowed property']
+    ]);
+  });
+
+  it('should resolve local references and alternatives',() => {
+    const schema={
+      $defs: {id: {anyOf: [{type: 'string'},{type: 'integer',minimum: 1}]}},
+      type: 'array',
+      items: {$ref: '#/$defs/id'}
+    };
+
+    expect(validateJSONSchema(['a',2],schema)).toEqual([]);
+    expect(validateJSONSchema(['a',0],schema)).toEqual([{path: [1],message: 'does not match any of the allowed schemas'}]);
+  });
+});
+
+describe('chat.parse',() => {
+  const messages=[{role: 'user',content: 'Extract the contact'}];
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id'});
+  });
+
+  it('should send a json_schema response format and return the parsed content',async () => {
+    mock.onPost('/router/test-router-id').reply(200,completionWith('{"name":"Ada","emails":["ada@example.com"]}'));
+
+    const completion=await client.chat.parse({messages,response_format: contactSchema});
+
+    expect(JSON.parse(mock.history.post[0].data).response_format).toEqual({
+      type: 'json_schema',
+      json_schema: {name: 'Contact',schema: contactSchema}
+    });
+    expect(completion.choices[0].message.parsed).toEqual({name: 'Ada',emails: ['ada@example.com']});
+  });
+
+  it('should send json_schema response formats unchanged',async () => {
+    const responseFormat={type: 'json_schema',json_schema: {name: 'contact',schema: contactSchema,strict: true}};
+    mock.onPost().reply(200,completionWith('{"name":"Ada","emails":[]}'));
+
+    await client.chat.parse({messages,response_format: responseFormat});
+
+    expect(JSON.parse(mock.history.post[0].data).response_format).toEqual(responseFormat);
+  });
+
+  it('should throw ResponseValidationError with the failing path',async () => {
+    mock.onPost().reply(200,completionWith('{"name":"Ada","emails":"ada@example.com"}'));
+
+    const error=await client.chat.parse({messages,response_format: contactSchema}).catch(e => e);
+
+    expect(error).toBeInstanceOf(ResponseValidationError);
+    expect(error.path).toBe('$.emails');
+    expect(error.message).toBe('Response does not match the schema: $.emails expected array, received string');
+    expect(error.content).toBe('{"name":"Ada","emails":"ada@example.com"}');
+    expect(error.completion.id).toBe('chatcmpl-123');
+  });
+
+  it('should throw ResponseValidationError for content that is not JSON',async () => {
+    mock.onPost().reply(200,completionWith('Sure! Here is the contact: Ada'));
+
+    const error=await client.chat.parse({messages,response_format: contactSchema}).catch(e => e);
+
+    expect(error).toBeInstanceOf(ResponseValidationError);
+    expect(error.path).toBe('$');
+    expect(error.message).toContain('not valid JSON');
+  });
+
+  it('should set parsed to null for refusals',async () => {
+    mock.onPost().reply(200,completionWith(null,{refusal: 'I cannot help with that'}));
+
+    const completion=await client.chat.parse({messages,response_format: contactSchema});
+
+    expect(completion.choices[0].message.parsed).toBeNull();
+  });
+
+  it('should validate with Zod-like schemas',async () => {
+    const schema={
+      safeParse: jest.fn(value => (typeof value.name==='string'
+        ? {success: true,data: {...value,name: value.name.toUpperCase()}}
+        :{success: false,error: {issues: [{path: ['name'],message: 'Expected string'}]}})),
+      toJSONSchema: () => ({type: 'object'})
+    };
+    mock.onPost().replyOnce(200,completionWith('{"name":"Ada"}')).onPost().replyOnce(200,completionWith('{"name":1}'));
+
+    const completion=await client.chat.parse({messages,response_format: schema});
+    const error=await client.chat.parse({messages,response_format: schema}).catch(e => e);
+
+    expect(JSON.parse(mock.history.post[0].data).response_format.json_schema.schema).toEqual({type: 'object'});
+    expect(completion.choices[0].message.parsed).toEqual({name: 'ADA'});
+    expect(error).toBeInstanceOf(ResponseValidationError);
+    expect(error.path).toBe('$.name');
+  });
+
+  it('should expose the raw response with withResponse',async () => {
+    mock.onPost().reply(200,completionWith('{"name":"Ada","emails":[]}'),{'x-request-id': 'req_1'});
+
+    const {data,requestId}=await client.chat.parse({messages,response_format: contactSchema}).withResponse();
+
+    expect(data.choices[0].message.parsed.name).toBe('Ada');
+    expect(requestId).toBe('req_1');
+  });
+
+  it('should reject streaming and missing schemas',async () => {
+    await expect(client.chat.parse({messages,response_format: contactSchema,stream: true}))
+      .rejects.toThrow(InvalidRequestError);
+    await expect(client.chat.parse({messages})).rejects.toThrow('requires response_format');
+    expect(mock.history.post).toHaveLength(0);
+  });
+});
@@ -0,0 +1,375 @@
+/**
+ * Tests for local token counting and context truncation
+ */
+
+const axios=require('axios');
+const MockAdapter=require('axios-mock-adapter');
+const Agentlify=require('../src/index');
+const {countTextTokens,countTokens,truncateMessages,MEDIA_TOKENS}=require('../src/tokens');
+const {InvalidRequestError,APIUserAbortError}=require('../src/errors');
+const {waitForSignal}=require('../src/utils');
+
+const mock=new MockAdapter(axios);
+
+/**
+ * Tokenizer counting one token per word, to keep budgets easy to follow
+ */
+const words=text => (text.match(/\S+/g)||[]).length;
+
+/**
+ * Conversation of system prompt, three question/answer turns and a tool call with its result
+ */
+function conversation() {
+  return [
+    {role: 'system',content: 'You are terse.'},
+    {role: 'user',content: 'first question with quite a few words in it'},
+    {role: 'assistant',content: 'first answer with quite a few words in it'},
+    {role: 'user',content: 'weather please'},
+    {role: 'assistant',content: null,tool_calls: [{id: 'call_1',type: 'function',function: {name: 'weather',arguments: '{}'}}]},
+    {role: 'tool',tool_call_id: 'call_1',content: 'sunny and warm today'},
+    {role: 'assistant',content: 'It is sunny.'},
+    {role: 'user',content: 'thanks'}
+  ];
+}
+
+describe('countTokens',() => {
+  it('should estimate text tokens',() => {
+    expect(countTextTokens('')).toBe(0);
+    expect(countTextTokens('Hello world')).toBe(2);
+    expect(countTextTokens('こんにちは')).toBe(5);
+    expect(countTextTokens('The quick brown fox jumps over the lazy dog.')).toBeGreaterThanOrEqual(10);
+  });
+
+  it('should add message and reply overhead',() => {
+    const messages=[{role: 'system',content: 'Be brief'},{role: 'user',content: 'Hi',name: 'ada'}];
+
+    // 3 reply + (3 + role + 2 words) + (3 + role + 1 word + 1 + name)
+    expect(countTokens(messages,{tokenizer: words})).toBe(3+6+7);
+  });
+
+  it('should pass the model to the tokenizer and count tools',() => {
+    const tokenizer=jest.fn(words);
+    const tools=[{type: 'function',function: {name: 'lookup'},callback: () => {}}];
+
+    countTokens([{role: 'user',content: 'Hi'}],{model: 'gpt-4o',tools,tokenizer});
+
+    expect(tokenizer).toHaveBeenCalledWith('Hi','gpt-4o');
+    expect(tokenizer).toHaveBeenCalledWith(JSON.stringify([{type: 'function',function: {name: 'lookup'}}]),'gpt-4o');
+  });
+
+  it('should count media parts by type',() => {
+    const image=detail => [{role: 'user',content: [{type: 'image_url',image_url: {url: 'https://example.com/a.png',detail}}]}];
+
+    expect(countTokens(image('high'),{tokenizer: words})-countTokens(image('low'),{tokenizer: words}))
+      .toBe(MEDIA_TOKENS.image-MEDIA_TOKENS.image_low);
+  });
+
+  it('should be exported from the package',() => {
+    expect(Agentlify.countTokens).toBe(countTokens);
+  });
+});
+
+describe('truncateMessages',() => {
+  const countOptions={tokenizer: words};
+
+  it('should return the messages unchanged when they fit',async () => {
+    const messages=conversation();
+    const result=await truncateMessages(messages,{maxTokens: 1000,countOptions});
+
+    expect(result.messages).toBe(messages);
+    expect(result.dropped).toBe(0);
+  });
+
+  it('should drop the oldest turns and keep the system prompt',async () => {
+    const result=await truncateMessages(conversation(),{maxTokens: 50,countOptions});
+
+    expect(result.messages.map(message => message.content)).toEqual([
+      'You are terse.',
+      'weather please',
+      null,
+      'sunny and warm today',
+      'It is sunny.',
+      'thanks'
+    ]);
+    expect(result.dropped).toBe(2);
+    expect(result.tokens).toBeLessThanOrEqual(50);
+  });
+
+  it('should drop a tool call together with its results',async () => {
+    const result=await truncateMessages(conversation(),{maxTokens: 30,countOptions});
+
+    expect(result.messages.map(message => message.role)).toEqual(['system','assistant','user']);
+    expect(result.messages.some(message => message.role==='tool')).toBe(false);
+  });
+
+  it('should throw context_length_exceeded when the latest message does not fit',async () => {
+    const error=await truncateMessages(conversation(),{maxTokens: 5,countOptions}).catch(e => e);
+
+    expect(error).toBeInstanceOf(InvalidRequestError);
+    expect(error.code).toBe('context_length_exceeded');
+    expect(error.param).toBe('messages');
+  });
+
+  it('should replace dropped turns with a summary',async () => {
+    const summarize=jest.fn().mockResolvedValue('They asked about the weather.');
+
+    const result=await truncateMessages(conversation(),{
+      maxTokens: 45,
+      strategy: 'summarize',
+      summaryTokens: 15,
+      summarize,
+      countOptions
+    });
+
+    expect(summarize.mock.calls[0][1]).toContain('user: first question');
+    expect(result.messages[1]).toEqual({
+      role: 'system',
+      content: 'Summary of the earlier conversation:\nThey asked about the weather.'
+    });
+    expect(result.messages.slice(-1)[0].content).toBe('thanks');
+  });
+
+  it('should cut summaries longer than summaryTokens',async () => {
+    const summarize=jest.fn().mockResolvedValue('They asked about the weather and then about many other unrelated things.');
+
+    const result=await truncateMessages(conversation(),{
+      maxTokens: 45,
+      strategy: 'summarize',
+      summaryTokens: 15,
+      summarize,
+      countOptions
+    });
+
+    expect(result.messages[1].content).toBe('Summary of the earlier conversation:\nThey asked about the weather and');
+    expect(result.tokens).toBeLessThanOrEqual(45);
+  });
+});
+
+describe('truncation option',() => {
+  let client;
+
+  beforeEach(() => {
+    mock.reset();
+    client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id'});
+  });
+
+  it('should send truncated messages from chat.create and not forward the option',async () => {
+    mock.onPost('/router/test-router-id').reply(200,{choices: []});
+
+    await client.chat.create({
+      messages: conversation(),
+      max_tokens: 10,
+      truncation: {maxTokens: 40,tokenizer: words}
+    });
+
+    const body=JSON.parse(mock.history.post[0].data);
+    expect(body.truncation).toBeUndefined();
+    expect(body.messages[0].role).toBe('system');
+    expect(body.messages.slice(-1)[0].content).toBe('thanks');
+    expect(body.messages.length).toBeLessThan(conversation().length);
+  });
+
+  it('should read the context window from getModels',async () => {
+    mock.onGet('/getModels').reply(200,{object: 'list',data: [
+      {id: 'openai:gpt-4o',name: 'GPT-4o',context_window: 128000},
+      {id: 'openai:gpt-4o-mini',name: 'GPT-4o mini',contextWindow: 64000}
+    ]});
+
+    expect(await client.getContextWindow('gpt-4o')).toBe(128000);
+    expect(await client.getContextWindow('GPT-4o mini')).toBe(64000);
+    expect(await client.getContextWindow()).toBe(64000);
+    expect(await client.getContextWindow('unknown')).toBeNull();
+    expect(mock.history.get).toHaveLength(1);
+  });
+
+  it('should fetch the model list again after a failure and not tie it to one caller',async () => {
+    client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',maxRetries: 0});
+    mock.onGet('/getModels')
+      .replyOnce(500,{error: {message: 'Busy'}})
+      .onGet('/getModels')
+      .replyOnce(() => new Promise(resolve => setTimeout(() => resolve([200,[{id: 'gpt-4o',context_window: 128000}]]),10)));
+
+    await expect(client.getContextWindow('gpt-4o')).rejects.toThrow('Busy');
+
+    const controller=new AbortController();
+    const aborted=client.getContextWindow('gpt-4o',{signal: controller.signal});
+    const other=client.getContextWindow('gpt-4o');
+    controller.abort();
+
+    await expect(aborted).rejects.toThrow(APIUserAbortError);
+    expect(await other).toBe(128000);
+    expect(mock.history.get).toHaveLength(2);
+    expect(mock.history.get[1].signal).toBeUndefined();
+  });
+
+  it('should not leave a failed model list fetch unhandled for an aborted caller',async () => {
+    client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',maxRetries: 0});
+    mock.onGet('/getModels').reply(500,{error: {message: 'down'}});
+    const unhandled=[];
+    const onUnhandled=reason => unhandled.push(reason);
+    process.on('unhandledRejection',onUnhandled);
+
+    try {
+      const controller=new AbortController();
+      controller.abort();
+      await expect(client.chat.create({messages: conversation(),truncation: true},{signal: controller.signal}))
+        .rejects.toThrow(APIUserAbortError);
+      expect(mock.history.get).toHaveLength(0);
+
+      // Nobody else waits on this one
+      const failing=new Promise((resolve,reject) => setTimeout(() => reject(new Error('down')),10));
+      await expect(waitForSignal(failing,controller.signal)).rejects.toThrow(APIUserAbortError);
+      await new Promise(resolve => setTimeout(resolve,20));
+    } finally {
+      process.removeListener('unhandledRejection',onUnhandled);
+    }
+
+    expect(unhandled).toEqual([]);
+  });
+
+  it('should budget from the model context window minus max_tokens',async () => {
+    mock.onGet('/getModels').reply(200,[{id: 'small',name: 'Small',context_window: 50}]);
+    mock.onPost('/router/test-router-id').reply(200,{choices: []});
+
+    await client.chat.create({
+      model: 'small',
+      messages: conversation(),
+      max_tokens: 10,
+      truncation: {tokenizer: words}
+    });
+
+    const body=JSON.parse(mock.history.post[0].data);
+    expect(body.messages.map(message => message.content)).toEqual(['You are terse.',null,'sunny and warm today','It is sunny.','thanks']);
+  });
+
+  it('should cap the default reserve for small budgets and reject reserves above the budget',async () => {
+    mock.onPost('/router/test-router-id').reply(200,{choices: []});
+
+    await client.chat.create({messages: [{role: 'user',content: 'What is the weather in Oslo today?'}],truncation: {maxTokens: 800}});
+    expect(mock.history.post).toHaveLength(1);
+
+    await expect(client.chat.create({messages: conversation(),max_tokens: 800,truncation: {maxTokens: 800}}))
+      .rejects.toThrow('leaves nothing of the 800 token budget');
+    await expect(client.chat.create({messages: conversation(),truncation: {maxTokens: 800,reserveTokens: 1000}}))
+      .rejects.toThrow(InvalidRequestError);
+    expect(mock.history.post).toHaveLength(1);
+  });
+
+  it('should reject truncation without a known context window',async () => {
+    mock.onGet('/getModels').reply(200,[]);
+
+    await expect(client.chat.create({messages: conversation(),truncation: true}))
+      .rejects.toThrow('truncation needs a token budget');
+    await expect(client.chat.create({messages: conversation(),truncation: 'newest'}))
+      .rejects.toThrow(InvalidRequestError);
+    expect(mock.history.post).toHaveLength(0);
+  });
+
+  it('should summarize with a chat completion by default',async () => {
+    mock.onPost('/router/test-router-id').reply(config => (
+      JSON.parse(config.data).messages[0].content.startsWith('Summarize')
+        ? [200,{choices: [{message: {role: 'assistant',content: 'Earlier: weather.'}}]}]
+        :[200,{choices: []}]
+    ));
+
+    await client.chat.create({
+      model: 'gpt-4o-mini',
+      messages: conversation(),
+      max_tokens: 10,
+      truncation: {strategy: 'summarize',maxTokens: 60,summaryTokens: 12,tokenizer: words}
+    });
+
+    const summaryRequest=JSON.parse(mock.history.post[0].data);
+    expect(summaryRequest.max_tokens).toBe(12);
+    expect(summaryRequest.model).toBe('gpt-4o-mini');
+    expect(summaryRequest.messages[1].content).toContain('user: first question');
+
+    const body=JSON.parse(mock.history.post.slice(-1)[0].data);
+    expect(body.messages[1].content).toBe('Summary of the earlier conversation:\nEarlier: weather.');
+  });
+
+  it('should summarize long transcripts piece by piece within the budget',async () => {
+    mock.onPost('/router/test-router-id')
+      .replyOnce(200,{choices: [{message: {role: 'assistant',content: 'Part one.'}}]})
+      .onPost('/router/test-router-id')
+      .replyOnce(200,{choices: [{message: {role: 'assistant',content: 'Both parts.'}}]})
+      .onPost('/router/test-router-id')
+      .reply(200,{choices: []});
+    const long=Array.from({length: 6},(value,index) => [
+      {role: 'user',content: `question ${index} ${'word '.repeat(20)}`},
+      {role: 'assistant',content: `answer ${index} ${'word '.repeat(20)}`}
+    ]).flat();
+
+    await client.chat.create({
+      messages: [...long,{role: 'user',content: 'thanks'}],
+      max_tokens: 10,
+      truncation: {strategy: 'summarize',maxTokens: 120,summaryTokens: 12,tokenizer: words}
+    });
+
+    const summaryRequests=mock.history.post.slice(0,-1).map(request => JSON.parse(request.data));
+    expect(summaryRequests.length).toBeGreaterThan(1);
+    for(const request of summaryRequests) {
+      expect(words(request.messages.map(message => message.content).join(' '))+request.max_tokens).toBeLessThanOrEqual(120);
+    }
+    expect(summaryRequests[1].messages[1].content).toContain('Summary so far:\nPart one.');
+    expect(JSON.parse(mock.history.post.slice(-1)[0].data).messages[0].content).toContain('Both parts.');
+  });
+
+  it('should keep summary requests and their replies within a budget mostly set aside for the summary',async () => {
+    mock.onPost('/router/test-router-id').reply(200,{choices: [{message: {role: 'assistant',content: 'word '.repeat(1400)}}]});
+    const long=Array.from({length: 20},(value,index) => [
+      {role: 'user',content: `question ${index} ${'word '.repeat(150)}`},
+      {role: 'assistant',content: `answer ${index} ${'word '.repeat(150)}`}
+    ]).flat();
+
+    await client.chat.create({
+      messages: [...long,{role: 'user',content: 'thanks'}],
+      max_tokens: 100,
+      truncation: {strategy: 'summarize',maxTokens: 4000,summaryTokens: 1500,tokenizer: words}
+    });
+
+    const summaryRequests=mock.history.post.slice(0,-1).map(request => JSON.parse(request.data));
+    expect(summaryRequests.length).toBeGreaterThan(1);
+    for(const request of summaryRequests) {
+      expect(request.max_tokens).toBe(1500);
+      expect(words(request.messages.map(message => message.content).join(' '))+request.max_tokens).toBeLessThanOrEqual(4000);
+    }
+  });
+
+  it('should reject a summaryTokens that leaves no room for the summary requests',async () => {
+    await expect(client.chat.create({
+      messages: conversation(),
+      max_tokens: 10,
+      truncation: {strategy: 'summarize',maxTokens: 1000,summaryTokens: 490,tokenizer: words}
+    })).rejects.toThrow(/lower summaryTokens below 485/);
+    expect(mock.history.post).toHaveLength(0);
+  });
+
+  it('should truncate every agents.run iteration but keep the full history locally',async () => {
+    const messages=[
+      {role: 'system',content: 'You are terse.'},
+      {role: 'user',content: 'an old question that will not fit anymore'},
+      {role: 'assistant',content: 'an old answer that will not fit anymore'},
+      {role: 'user',content: 'weather please'}
+    ];
+    mock.onPost('/agents')
+      .replyOnce(200,{choices: [{
+        message: {role: 'assistant',content: null,tool_calls: [{id: 'call_1',type: 'function',function: {name: 'weather',arguments: '{}'}}]},
+        finish_reason: 'tool_calls'
+      }]})
+      .onPost('/agents')
+      .replyOnce(200,{choices: [{message: {role: 'assistant',content: 'Sunny.'},finish_reason: 'stop'}]});
+
+    await client.agents.run({
+      agentId: 'agent-1',
+      messages,
+      tools: [{type: 'function',function: {name: 'weather'},callback: () => 'sunny'}],
+      truncation: {maxTokens: 35,reserveTokens: 0,tokenizer: words}
+    });
+
+    const second=JSON.parse(mock.history.post[1].data);
+    expect(second.messages.map(message => message.role)).toEqual(['system','user','assistant','tool']);
+    expect(second.messages[1].content).toBe('weather please');
+    expect(messages).toHaveLength(4);
+  });
+});
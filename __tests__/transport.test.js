@@ -0,0 +1,204 @@
+/**
+ * Tests for HTTP transports
+ */
+
+const Agentlify=require('../src/index');
+const {FetchTransport,AxiosTransport,createTransport}=require('../src/transport');
+const {APIError,RateLimitError}=require('../src/errors');
+
+function createJSONResponse(body,status=200,headers={}) {
+  return new Response(JSON.stringify(body),{
+    status,
+    headers: {'content-type': 'application/json',...headers}
+  });
+}
+
+function createSSEResponse(frames) {
+  const encoder=new TextEncoder();
+  const body=new ReadableStream({
+    start(controller) {
+      for(const frame of frames) {
+        controller.enqueue(encoder.encode(frame));
+      }
+      controller.close();
+    }
+  });
+  return new Response(body,{status: 200,headers: {'content-type': 'text/event-stream'}});
+}
+
+describe('transports',() => {
+  describe('createTransport',() => {
+    it('should select the fetch transport when a fetch implementation is given',() => {
+      const transport=createTransport({fetch: jest.fn(),baseURL: 'https://api.test'});
+      expect(transport).toBeInstanceOf(FetchTransport);
+    });
+
+    it('should select transports by name',() => {
+      expect(createTransport({transport: 'axios',baseURL: 'https://api.test'})).toBeInstanceOf(AxiosTransport);
+      expect(createTransport({transport: 'fetch',baseURL: 'https://api.test'})).toBeInstanceOf(FetchTransport);
+    });
+
+    it('should expose the axios instance as client.httpClient for interceptors',async () => {
+      const client=new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',transport: 'axios'});
+      const seen=[];
+      client.httpClient.interceptors.request.use((config) => {
+        seen.push(config.url);
+        throw new Error('intercepted');
+      });
+
+      await expect(client.getRouterConfig()).rejects.toThrow('intercepted');
+      expect(client.httpClient).toBe(client.transport.httpClient);
+      expect(seen).toEqual(['/getRouterConfig/test-router-id']);
+      expect(new Agentlify({apiKey: 'mp_test-api-key',routerId: 'test-router-id',transport: 'fetch',fetch: jest.fn()}).httpClient)
+        .toBeUndefined();
+    });
+
+    it('should accept custom transport objects',() => {
+      const custom={request: jest.fn()};
+      expect(createTransport({transport: custom})).toBe(custom);
+      expect(() => createTransport({transport: {}})).toThrow('request(config)');
+      expect(() => createTransport({transport: 'xhr'})).toThrow('transport must be');
+    });
+  });
+
+  describe('FetchTransport',() => {
+    let fetch;
+    let client;
+
+    beforeEach(() => {
+      fetch=jest.fn();
+      client=new Agentlify({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        baseURL: 'https://api.test/v1/',
+        fetch,
+        retry: {backoff: () => 0}
+      });
+    });
+
+    it('should send authenticated JSON requests',async () => {
+      const mockResponse={id: 'chatcmpl-123',choices: [{message: {role: 'assistant',content: 'Hi'}}]};
+      fetch.mockResolvedValue(createJSONResponse(mockResponse));
+
+      const completion=await client.chat.create({messages: [{role: 'user',content: 'Hello!'}]});
+
+      expect(completion).toEqual(mockResponse);
+      const [url,init]=fetch.mock.calls[0];
+      expect(url).toBe('https://api.test/v1/router/test-router-id');
+      expect(init.method).toBe('POST');
+      expect(init.headers.Authorization).toBe('Bearer mp_test-api-key');
+      expect(JSON.parse(init.body).messages).toEqual([{role: 'user',content: 'Hello!'}]);
+    });
+
+    it('should append query parameters',async () => {
+      fetch.mockResolvedValue(createJSONResponse({ok: true}));
+
+      await client.request('/getModels',{method: 'GET',params: {provider: 'openai',skip: undefined}});
+
+      expect(fetch.mock.calls[0][0]).toBe('https://api.test/v1/getModels?provider=openai');
+      expect(fetch.mock.calls[0][1].body).toBeUndefined();
+    });
+
+    it('should map HTTP errors and response headers',async () => {
+      fetch.mockResolvedValue(createJSONResponse({error: {message: 'Slow down'}},429,{'retry-after': '0'}));
+
+      const error=await client.request('/test',{maxRetries: 0}).catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.message).toBe('Slow down');
+      expect(error.headers['retry-after']).toBe('0');
+    });
+
+    it('should retry network failures',async () => {
+      fetch
+        .mockRejectedValueOnce(new TypeError('fetch failed'))
+        .mockResolvedValue(createJSONResponse({success: true}));
+
+      await expect(client.request('/test')).resolves.toEqual({success: true});
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report timeouts',async () => {
+      const timeoutClient=new Agentlify({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        timeout: 10,
+        maxRetries: 0,
+        fetch: (url,init) => new Promise((resolve,reject) => {
+          init.signal.addEventListener('abort',() => reject(new Error('aborted')));
+        })
+      });
+
+      const error=await timeoutClient.request('/test').catch(e => e);
+      expect(error.type).toBe('timeout_error');
+    });
+
+    it('should cancel in-flight requests and pending retries with a signal',async () => {
+      const controller=new AbortController();
+      const abortClient=new Agentlify({
+        apiKey: 'mp_test-api-key',
+        routerId: 'test-router-id',
+        retry: {backoff: () => 60000},
+        fetch: () => {
+          setTimeout(() => controller.abort(),5);
+          return Promise.reject(new TypeError('fetch failed'));
+        }
+      });
+
+      const error=await abortClient.agents.run({
+        agentId: 'agent-1',
+        messages: [{role: 'user',content: 'Hello!'}]
+      },{signal: controller.signal}).catch(e => e);
+
+      expect(error.type).toBe('abort_error');
+      expect(error.attempts).toBe(2);
+    });
+
+    it('should stream server-sent events from Web streams',async () => {
+      fetch.mockResolvedValue(createSSEResponse([
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"lo"}}]}\n\ndata: [DONE]\n\n'
+      ]));
+
+      const stream=await client.chat.create({
+        messages: [{role: 'user',content: 'Hello!'}],
+        stream: true
+      });
+
+      expect(await stream.getText()).toBe('Hello');
+      expect(fetch.mock.calls[0][1].headers.Accept).toBe('text/event-stream');
+    });
+
+    it('should stop listening to the caller\'s signal once a streamed body is done',async () => {
+      const transport=new FetchTransport({baseURL: 'https://api.test',fetch});
+      const controller=new AbortController();
+      const add=jest.spyOn(controller.signal,'addEventListener');
+      const remove=jest.spyOn(controller.signal,'removeEventListener');
+      fetch.mockImplementation(async () => createSSEResponse(['data: one\n\n','data: two\n\n']));
+
+      const finished=await transport.request({url: '/chat',method: 'POST',stream: true,signal: controller.signal});
+      expect(remove).not.toHaveBeenCalled();
+      for await(const chunk of finished.data) {
+        expect(chunk).toBeInstanceOf(Uint8Array);
+      }
+
+      const cancelled=await transport.request({url: '/chat',method: 'POST',stream: true,signal: controller.signal});
+      for await(const chunk of cancelled.data) {
+        expect(chunk).toBeInstanceOf(Uint8Array);
+        break;
+      }
+
+      expect(add).toHaveBeenCalledTimes(2);
+      expect(remove.mock.calls).toEqual(add.mock.calls.map(([type,listener]) => [type,listener]));
+    });
+
+    it('should surface error bodies of failed streaming requests',async () => {
+      fetch.mockResolvedValue(createJSONResponse({error: {message: 'Bad router'}},400));
+
+      await expect(client.chat.create({
+        messages: [{role: 'user',content: 'Hello!'}],
+        stream: true
+      })).rejects.toThrow(new APIError('Bad router',400));
+    });
+  });
+});
@@ -89,6 +89,15 @@ async function basicExample() {
     console.log('5. Available Models:');
     const models=await client.getModels();
     console.log('Available models:',models.map(m => m.id).join(', '));
+    console.log();
+
+    // Multi-turn conversation; the history is kept for you
+    console.log('6. Conversation:');
+    const conversation=client.conversations.create({system: 'You are a helpful assistant.',max_tokens: 100});
+    await conversation.send('Recommend a book about the history of computing.');
+    const followUp=await conversation.send('Who wrote it, and when?');
+    console.log('Response:',followUp.choices[0].message.content);
+    console.log('Messages so far:',conversation.history.length);
 
   } catch(error) {
     console.error('Error:',error.message);
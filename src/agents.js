@@ -4,6 +4,15 @@
  */
 
 const {InvalidRequestError}=require('./errors');
+const {validateRequestOptions,pickRequestOptions}=require('./utils');
+const {APIPromise}=require('./response');
+const {applyTruncation}=require('./tokens');
+const {
+  DEFAULT_MAX_TOOL_ITERATIONS,
+  extractToolCallbacks,
+  executeToolCallbacks,
+  toolTurnMessages
+}=require('./tools');
 
 /**
  * Agents API class
@@ -29,7 +38,11 @@ class Agents {
    * @param {Array} [params.tools] - Tool definitions with optional callbacks
    * @param {Object} [params.options] - Additional options
    * @param {number} [params.maxToolIterations=10] - Max tool call iterations
-   * @returns {Promise<Object>} Agent execution response
+   * @param {boolean|string|Object} [params.truncation] - Shorten the history before each iteration when it
+   *   outgrows the context window, as for chat.create (the budget comes from params.model or options.model,
+   *   else the smallest listed context window)
+   * @param {Object} [requestOptions] - Per-request options ({signal, timeout, headers, maxRetries}) applied to every iteration
+   * @returns {APIPromise<Object>} Agent execution response; call withResponse() for the final iteration's headers and request id
    * 
    * @example
    * // Tools with callbacks - executed locally
@@ -57,7 +70,19 @@ class Agents {
    *   }]
    * });
    */
-  async run(params) {
+  run(params,requestOptions={}) {
+    return new APIPromise(this._run(params,requestOptions));
+  }
+
+  /**
+   * Run the tool execution loop
+   * Resolves to {data, response, messages}; messages is the history sent with the final
+   * iteration, including the tool calls and results added along the way.
+   * @private
+   */
+  async _run(params,requestOptions) {
+    requestOptions=validateRequestOptions(requestOptions);
+
     if(!params.agentId) {
       throw new InvalidRequestError('agentId is required','agentId');
     }
@@ -67,7 +92,7 @@ class Agents {
     }
 
     // Extract callbacks from tools and create clean tools for API
-    const {tools,toolCallbacks}=this._extractToolCallbacks(params.tools||[]);
+    const {tools,toolCallbacks}=extractToolCallbacks(params.tools||[]);
 
     // Build initial request
     const requestPayload={
@@ -77,16 +102,23 @@ class Agents {
       options: params.options||{}
     };
 
-    const maxIterations=params.maxToolIterations||10;
+    const maxIterations=params.maxToolIterations||DEFAULT_MAX_TOOL_ITERATIONS;
     let iteration=0;
     const currentMessages=[...params.messages];
-    let response;
 
     // Tool execution loop
     while(iteration<maxIterations) {
       iteration++;
 
-      response=await this._executeAgent(requestPayload);
+      const result=await this._dispatch({
+        operation: 'agents.run',
+        stream: false,
+        iteration,
+        payload: {...requestPayload,messages: await this._truncate(params,tools,requestPayload.messages,requestOptions)},
+        options: requestOptions,
+        state: {}
+      });
+      const response=result.data;
 
       // Check if agent needs tool execution
       const needsToolExecution=response.choices?.[0]?.finish_reason==='tool_calls'||
@@ -94,33 +126,21 @@ class Agents {
 
       if(!needsToolExecution) {
         // Agent completed - return final response
-        return response;
+        return {...result,messages: currentMessages};
       }
 
       // Get pending tool calls
       const toolCalls=response.choices?.[0]?.message?.tool_calls;
       if(!toolCalls||toolCalls.length===0) {
         // No tool calls but marked as needing execution - return as-is
-        return response;
+        return {...result,messages: currentMessages};
       }
 
       // Execute tool callbacks locally
-      const toolResults=await this._executeToolCallbacks(toolCalls,toolCallbacks);
+      const toolResults=await executeToolCallbacks(toolCalls,toolCallbacks);
 
       // Add assistant message with tool calls and tool results to messages
-      currentMessages.push({
-        role: 'assistant',
-        content: response.choices[0].message.content||null,
-        tool_calls: toolCalls
-      });
-
-      for(const result of toolResults) {
-        currentMessages.push({
-          role: 'tool',
-          tool_call_id: result.tool_call_id,
-          content: typeof result.content==='string'? result.content:JSON.stringify(result.content)
-        });
-      }
+      currentMessages.push(...toolTurnMessages(response.choices[0].message,toolResults));
 
       // Update request for next iteration
       requestPayload.messages=currentMessages;
@@ -135,9 +155,19 @@ class Agents {
    * Use this when you want to handle tool calls manually
    * 
    * @param {Object} params - Agent execution parameters
-   * @returns {Promise<Object>} Agent execution response
+   * @param {Object} [requestOptions] - Per-request options ({signal, timeout, headers, maxRetries})
+   * @returns {APIPromise<Object>} Agent execution response
    */
-  async execute(params) {
+  execute(params,requestOptions={}) {
+    return new APIPromise(this._execute(params,requestOptions));
+  }
+
+  /**
+   * @private
+   */
+  async _execute(params,requestOptions) {
+    requestOptions=validateRequestOptions(requestOptions);
+
     if(!params.agentId) {
       throw new InvalidRequestError('agentId is required','agentId');
     }
@@ -160,82 +190,55 @@ class Agents {
       options: params.options||{}
     };
 
-    return this._executeAgent(requestPayload);
+    return this._dispatch({
+      operation: 'agents.execute',
+      stream: false,
+      payload: requestPayload,
+      options: requestOptions,
+      state: {}
+    });
   }
 
   /**
-   * Extract callbacks from tool definitions
+   * Apply params.truncation to the messages of the next iteration
+   * The full history is kept locally; only the request is shortened.
    * @private
    */
-  _extractToolCallbacks(tools) {
-    const cleanTools=[];
-    const toolCallbacks=new Map();
-
-    for(const tool of tools) {
-      // Extract callback if present
-      const {callback,...toolDef}=tool;
-
-      if(callback&&typeof callback==='function') {
-        const toolName=tool.function?.name;
-        if(toolName) {
-          toolCallbacks.set(toolName,callback);
-        }
-      }
-
-      cleanTools.push(toolDef);
+  async _truncate(params,tools,messages,requestOptions) {
+    if(!params.truncation) {
+      return messages;
     }
-
-    return {tools: cleanTools,toolCallbacks};
+    return applyTruncation(this.client,{
+      ...params,
+      model: params.model??params.options?.model,
+      tools,
+      messages
+    },requestOptions);
   }
 
   /**
-   * Execute tool callbacks locally
+   * Send one agent request through the middleware pipeline
    * @private
    */
-  async _executeToolCallbacks(toolCalls,toolCallbacks) {
-    const results=[];
-
-    for(const toolCall of toolCalls) {
-      const toolName=toolCall.function?.name;
-      const callback=toolCallbacks.get(toolName);
-
-      let result;
-      if(callback) {
-        try {
-          // Parse arguments
-          let args={};
-          if(toolCall.function?.arguments) {
-            args=typeof toolCall.function.arguments==='string'
-              ? JSON.parse(toolCall.function.arguments)
-              :toolCall.function.arguments;
-          }
-
-          // Execute callback
-          result=await callback(args);
-        } catch(error) {
-          result={error: error.message};
-        }
-      } else {
-        // No callback registered - return error
-        result={error: `No callback registered for tool: ${toolName}`};
-      }
-
-      results.push({
-        tool_call_id: toolCall.id,
-        content: result
-      });
-    }
+  async _dispatch(context) {
+    let rawResponse=null;
+    const data=await this.client.middleware.run(context,async (ctx) => {
+      const result=await this._executeAgent(ctx.payload,ctx.options).withResponse();
+      rawResponse=result.response;
+      return result.data;
+    });
 
-    return results;
+    return {data,response: rawResponse};
   }
 
   /**
    * Make agent API request
    * @private
    */
-  async _executeAgent(payload) {
+  _executeAgent(payload,requestOptions={}) {
     const endpoint='/agents';
     return this.client.request(endpoint,{
+      ...pickRequestOptions(requestOptions),
       method: 'POST',
       data: payload
     });
@@ -0,0 +1,381 @@
+/**
+ * Agentlify Batches
+ * Run many chat completions with bounded concurrency, in memory or from JSONL files
+ */
+
+const {InvalidRequestError,APIUserAbortError}=require('./errors');
+
+/**
+ * Requests in flight at once unless `concurrency` is set
+ */
+const DEFAULT_CONCURRENCY=4;
+
+/**
+ * @private
+ */
+function loadFs() {
+  try {
+    return require('fs');
+  } catch(error) {
+    throw new InvalidRequestError('batches.runFile requires a runtime with file system access; use batches.run instead','input');
+  }
+}
+
+/**
+ * Write to a stream, waiting for 'drain' when its buffer is full
+ * @private
+ */
+function writeLine(writer,line) {
+  if(writer.write(line)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve,reject) => {
+    const onDrain=() => {
+      writer.off('error',onError);
+      resolve();
+    };
+    const onError=(error) => {
+      writer.off('drain',onDrain);
+      reject(error);
+    };
+    writer.once('drain',onDrain);
+    writer.once('error',onError);
+  });
+}
+
+/**
+ * Check the batch items: a unique custom_id and a request body each
+ * @private
+ */
+function validateRequests(requests) {
+  if(!Array.isArray(requests)) {
+    throw new InvalidRequestError('requests must be an array','requests');
+  }
+
+  const ids=new Set();
+  for(const [index,request] of requests.entries()) {
+    if(!request||typeof request!=='object') {
+      throw new InvalidRequestError(`requests[${index}] must be an object`,'requests');
+    }
+    if(typeof request.custom_id!=='string'||!request.custom_id) {
+      throw new InvalidRequestError(`requests[${index}].custom_id must be a non-empty string`,'requests');
+    }
+    if(ids.has(request.custom_id)) {
+      throw new InvalidRequestError(`requests[${index}].custom_id "${request.custom_id}" is not unique`,'requests');
+    }
+    if(!request.body||typeof request.body!=='object') {
+      throw new InvalidRequestError(`requests[${index}].body must be chat completion parameters`,'requests');
+    }
+    ids.add(request.custom_id);
+  }
+}
+
+/**
+ * Error as written to output lines
+ * @private
+ */
+function serializeError(error) {
+  return {
+    message: error.message,
+    type: error.type||error.name||null,
+    code: error.code??null,
+    status: error.status??null
+  };
+}
+
+/**
+ * Running totals for progress reports and the final summary
+ * @private
+ */
+class BatchTotals {
+  constructor(total,skipped=0) {
+    this.total=total;
+    this.skipped=skipped;
+    this.completed=0;
+    this.succeeded=0;
+    this.failed=0;
+    this.usage={prompt_tokens: 0,completion_tokens: 0,total_tokens: 0};
+    this.cost=0;
+    this.models={};
+  }
+
+  /**
+   * Count one finished item
+   */
+  add(response,error) {
+    this.completed++;
+    if(error) {
+      this.failed++;
+      return;
+    }
+
+    this.succeeded++;
+    for(const key of Object.keys(this.usage)) {
+      this.usage[key]+=response?.usage?.[key]||0;
+    }
+    this.cost+=response?._meta?.cost||0;
+    const model=response?._meta?.modelUsed||response?.model;
+    if(model) {
+      this.models[model]=(this.models[model]||0)+1;
+    }
+  }
+
+  /**
+   * Plain-object snapshot
+   */
+  toJSON() {
+    return {
+      total: this.total,
+      completed: this.completed,
+      succeeded: this.succeeded,
+      failed: this.failed,
+      skipped: this.skipped,
+      usage: {...this.usage},
+      cost: this.cost,
+      models: {...this.models}
+    };
+  }
+}
+
+/**
+ * Batches API class
+ */
+class Batches {
+  constructor(client) {
+    this.client=client;
+  }
+
+  /**
+   * Run chat completions with bounded concurrency
+   * Each item goes through chat.create, so client retries, rate limiting, middleware and fallback
+   * routers apply. A failing item is recorded with its error instead of stopping the batch; only
+   * aborting `signal` stops it (with APIUserAbortError). An error thrown by onProgress does not stop
+   * the batch either: progress reports end, and the error is thrown once every item has finished.
+   * @param {Array<Object>} requests - Items `{custom_id, body}`; body holds chat.create parameters (not streaming)
+   * @param {Object} [options] - Options
+   * @param {number} [options.concurrency=4] - Requests in flight at once
+   * @param {Function} [options.onProgress] - Called after each item with the running totals and the item's result
+   * @param {AbortSignal} [options.signal] - Stops the batch and cancels the requests in flight
+   * @param {Object} [options.requestOptions] - Per-request options for every item (routerId, timeout, maxRetries, headers)
+   * @returns {Promise<Object>} Summary: totals, aggregated usage, cost and models, and `results`
+   *   (`{custom_id, response, error}` in input order)
+   *
+   * @example
+   * const summary = await client.batches.run(
+   *   tickets.map(ticket => ({ custom_id: ticket.id, body: { messages: classify(ticket) } })),
+   *   { concurrency: 8, onProgress: ({ completed, total }) => console.log(`${completed}/${total}`) }
+   * );
+   * console.log(summary.succeeded, summary.failed, summary.cost);
+   */
+  async run(requests,options={}) {
+    validateRequests(requests);
+
+    const results=new Array(requests.length);
+    const totals=await this._process(requests,options,(request,index,result) => {
+      results[index]=result;
+    });
+
+    return {...totals.toJSON(),results};
+  }
+
+  /**
+   * Run the requests of a JSONL file, appending one result line per request to an output JSONL file
+   * Input lines are `{custom_id, body}` (OpenAI batch lines with method and url also work). Output
+   * lines are `{custom_id, response, error}`, written as each request finishes. The output file is the
+   * checkpoint: when it exists, ids already in it are skipped, so an interrupted run resumes where it
+   * stopped; failed items are run again with `retryFailed`.
+   * @param {string} input - Input JSONL path
+   * @param {string} output - Output JSONL path
+   * @param {Object} [options] - Options, as for run(), plus:
+   * @param {boolean} [options.resume=true] - Skip ids already in the output file (false overwrites it)
+   * @param {boolean} [options.retryFailed=false] - When resuming, run items whose output line has an error again
+   * @returns {Promise<Object>} Summary of the whole output file (lines from earlier runs included, and
+   *   counted as `skipped`): totals, aggregated usage, cost and models, and `output`
+   */
+  async runFile(input,output,{resume=true,retryFailed=false,...options}={}) {
+    const fs=loadFs();
+    const requests=await this._readInput(fs,input);
+    validateRequests(requests);
+
+    const done=resume? await this._readCheckpoint(fs,output,retryFailed):new Map();
+    if(!resume) {
+      await fs.promises.writeFile(output,'');
+    }
+    const pending=requests.filter(request => !done.has(request.custom_id));
+    // Checkpoint lines for ids no longer in the input stay in the file but out of the summary
+    const previous=requests.filter(request => done.has(request.custom_id)).map(request => done.get(request.custom_id));
+
+    const writer=fs.createWriteStream(output,{flags: 'a'});
+    const opened=new Promise((resolve,reject) => {
+      writer.once('open',resolve);
+      writer.once('error',reject);
+    });
+    await opened;
+
+    let totals;
+    try {
+      totals=await this._process(pending,options,(request,index,result) => writeLine(writer,`${JSON.stringify({
+        custom_id: result.custom_id,
+        response: result.response,
+        error: result.error? serializeError(result.error):null
+      })}\n`),previous);
+    } finally {
+      await new Promise((resolve,reject) => writer.end(error => (error? reject(error):resolve())));
+    }
+
+    return {...totals.toJSON(),output};
+  }
+
+  /**
+   * Parse the input file, reporting the line of invalid JSON
+   * @private
+   */
+  async _readInput(fs,input) {
+    let text;
+    try {
+      text=await fs.promises.readFile(input,'utf8');
+    } catch(error) {
+      throw new InvalidRequestError(`Could not read batch input ${input}: ${error.message}`,'input');
+    }
+
+    const requests=[];
+    for(const [index,line] of text.split(/\r?\n/).entries()) {
+      if(!line.trim()) {
+        continue;
+      }
+      try {
+        requests.push(JSON.parse(line));
+      } catch(error) {
+        throw new InvalidRequestError(`${input} line ${index+1} is not valid JSON: ${error.message}`,'input');
+      }
+    }
+    return requests;
+  }
+
+  /**
+   * Read the ids already in the output file, rewriting it without lines that will be run again
+   * (failed items with retryFailed, and a line cut off by an interrupted write)
+   * @private
+   */
+  async _readCheckpoint(fs,output,retryFailed) {
+    let text;
+    try {
+      text=await fs.promises.readFile(output,'utf8');
+    } catch(error) {
+      if(error.code==='ENOENT') {
+        return new Map();
+      }
+      throw error;
+    }
+
+    const done=new Map();
+    const kept=[];
+    let rewrite=false;
+    for(const line of text.split('\n')) {
+      if(!line.trim()) {
+        continue;
+      }
+      let result;
+      try {
+        result=JSON.parse(line);
+      } catch(error) {
+        rewrite=true;
+        continue;
+      }
+      if(retryFailed&&result.error) {
+        rewrite=true;
+        continue;
+      }
+      done.set(result.custom_id,result);
+      kept.push(line);
+    }
+
+    if(rewrite) {
+      await fs.promises.writeFile(output,kept.map(line => `${line}\n`).join(''));
+    }
+    return done;
+  }
+
+  /**
+   * Run items through a pool of `concurrency` workers
+   * @private
+   */
+  async _process(requests,{concurrency=DEFAULT_CONCURRENCY,onProgress,signal,requestOptions={}},onResult,previous=[]) {
+    if(!Number.isInteger(concurrency)||concurrency<1) {
+      throw new InvalidRequestError('concurrency must be a positive integer','concurrency');
+    }
+    if(onProgress!==undefined&&typeof onProgress!=='function') {
+      throw new InvalidRequestError('onProgress must be a function','onProgress');
+    }
+
+    const totals=new BatchTotals(requests.length+previous.length,previous.length);
+    // Results kept from a checkpoint count towards the summary too
+    for(const result of previous) {
+      totals.add(result.response,result.error);
+    }
+    let next=0;
+    let progressError=null;
+
+    const worker=async () => {
+      while(next<requests.length) {
+        if(signal?.aborted) {
+          return;
+        }
+        const index=next++;
+        const request=requests[index];
+
+        let response=null;
+        let error=null;
+        try {
+          response=await this._runItem(request,{...requestOptions,signal: signal||requestOptions.signal});
+        } catch(caught) {
+          if(signal?.aborted) {
+            return;
+          }
+          error=caught;
+        }
+
+        const result={custom_id: request.custom_id,response,error};
+        totals.add(response,error);
+        await onResult(request,index,result);
+        if(onProgress&&!progressError) {
+          try {
+            onProgress(totals.toJSON(),result);
+          } catch(caught) {
+            progressError=caught;
+          }
+        }
+      }
+    };
+
+    // Every worker finishes before the caller closes its output
+    const outcomes=await Promise.allSettled(Array.from({length: Math.min(concurrency,requests.length)},worker));
+    const failure=outcomes.find(outcome => outcome.status==='rejected');
+    if(failure) {
+      throw failure.reason;
+    }
+
+    if(signal?.aborted) {
+      throw new APIUserAbortError(`Batch was aborted after ${totals.completed-totals.skipped} of ${requests.length} requests`,{cause: signal.reason});
+    }
+    if(progressError) {
+      throw progressError;
+    }
+    return totals;
+  }
+
+  /**
+   * Send one item
+   * @private
+   */
+  async _runItem(request,options) {
+    if(request.body.stream) {
+      throw new InvalidRequestError('Batch requests cannot stream','stream');
+    }
+    return this.client.chat.create(request.body,options);
+  }
+}
+
+module.exports={
+  Batches
+};
@@ -3,8 +3,25 @@
  * OpenAI-compatible chat completions with intelligent model routing
  */
 
-const {validateMessages,validateFunctions,validateTools,extractStreamingText}=require('./utils');
-const {InvalidRequestError}=require('./errors');
+const {
+  validateMessages,
+  validateRequestOptions,
+  pickRequestOptions,
+  linkAbortSignal,
+  addUsage
+}=require('./utils');
+const {InvalidRequestError,APIError,CircuitOpenError}=require('./errors');
+const {APIPromise}=require('./response');
+const {ChatCompletionStream}=require('./stream');
+const {buildChatCompletionParams}=require('./params');
+const {resolveResponseFormat,parseCompletion}=require('./structured');
+const {applyTruncation}=require('./tokens');
+const {
+  DEFAULT_MAX_TOOL_ITERATIONS,
+  extractToolCallbacks,
+  executeToolCallbacks,
+  toolTurnMessages
+}=require('./tools');
 
 /**
  * Chat Completions API class
@@ -26,228 +43,342 @@ class ChatCompletions {
    * @param {number} [params.presence_penalty] - Presence penalty
    * @param {Array} [params.stop] - Stop sequences
    * @param {boolean} [params.stream] - Enable streaming
+   * @param {Object} [params.stream_options] - Streaming options, e.g. `{include_usage: true}` to receive token usage in the last chunk
    * @param {Array} [params.functions] - Function definitions (deprecated, use tools)
    * @param {string} [params.function_call] - Function call behavior
    * @param {Array} [params.tools] - Tool definitions
    * @param {Object} [params.tool_choice] - Tool choice behavior
    * @param {Object} [params.response_format] - Response format specification
    * @param {string} [params.user] - User identifier
-   * @returns {Promise<Object>} Chat completion response
+   * @param {number} [params.n] - Number of choices to generate
+   * @param {number} [params.seed] - Seed for best-effort deterministic sampling
+   * @param {boolean} [params.logprobs] - Return log probabilities of the output tokens
+   * @param {number} [params.top_logprobs] - Most likely tokens to return per position (requires logprobs)
+   * @param {Object} [params.logit_bias] - Token id to bias (-100 to 100)
+   * @param {boolean} [params.parallel_tool_calls] - Allow several tool calls in one turn
+   * @param {Object} [params.metadata] - String key-value pairs attached to the request
+   * @param {Object} [params.extra_body] - Extra fields merged into the request body as-is
+   * @param {boolean|string|Object} [params.truncation] - Drop ('drop_oldest') or summarize ('summarize') the oldest
+   *   turns when the messages outgrow the context window; an object sets strategy, maxTokens, reserveTokens,
+   *   summaryTokens, summarize and tokenizer. Not sent to the router.
+   * @param {Object} [options] - Per-request options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request (and, for streams, the stream)
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.streamIdleTimeout] - For streams, fail with StreamIdleTimeoutError after this many milliseconds without data
+   * @param {Object} [options.headers] - Additional request headers
+   * @param {string} [options.routerId] - Router ID overriding client.routerId
+   * @param {number} [options.maxRetries] - Maximum number of retries
+   * @param {Array<string>} [options.fallbackRouterIds] - Fallback routers overriding client.fallbackRouterIds
+   * @returns {APIPromise<Object>} Chat completion response; call withResponse() for headers, request id and metadata
    */
-  async create(params) {
-    // Validate required parameters
-    if(!params.messages) {
-      throw new InvalidRequestError('messages is required','messages');
-    }
+  create(params,options={}) {
+    return new APIPromise(this._create(params,options));
+  }
 
-    validateMessages(params.messages);
+  /**
+   * Create a chat completion whose content is JSON matching a schema
+   * The schema is sent as a json_schema response_format; the assistant content of every choice
+   * is then parsed and validated and set as `message.parsed`.
+   * @param {Object} params - Chat completion parameters, as for create() (streaming is not supported)
+   * @param {Object} params.response_format - JSON Schema, `{type: 'json_schema', json_schema}` format,
+   *   or Zod-like schema with safeParse() (and toJSONSchema() to send it to the router)
+   * @param {Object} [options] - Per-request options, as for create()
+   * @returns {APIPromise<Object>} Chat completion with `choices[].message.parsed`
+   * @throws {ResponseValidationError} When the content is not valid JSON or does not match the schema
+   *
+   * @example
+   * const completion = await client.chat.parse({
+   *   messages,
+   *   response_format: {
+   *     type: 'object',
+   *     properties: {name: {type: 'string'}, tags: {type: 'array', items: {type: 'string'}}},
+   *     required: ['name', 'tags']
+   *   }
+   * });
+   * console.log(completion.choices[0].message.parsed.tags);
+   */
+  parse(params,options={}) {
+    return new APIPromise(this._parse(params,options));
+  }
 
-    // Validate optional parameters
-    if(params.functions) {
-      validateFunctions(params.functions);
+  /**
+   * @private
+   */
+  async _parse(params,options) {
+    if(params?.stream) {
+      throw new InvalidRequestError('chat.parse does not support streaming','stream');
     }
 
-    if(params.tools) {
-      validateTools(params.tools);
-    }
+    const format=resolveResponseFormat(params?.response_format);
+    const {data,response}=await this._create({...params,response_format: format.responseFormat},options);
+    return {data: parseCompletion(data,format),response};
+  }
 
-    if(params.max_tokens&&(typeof params.max_tokens!=='number'||params.max_tokens<=0)) {
-      throw new InvalidRequestError('max_tokens must be a positive number','max_tokens');
-    }
+  /**
+   * Create a chat completion, running tool callbacks locally until the model answers
+   * Each assistant turn with tool_calls has its callbacks executed (as for agents.run: arguments parsed
+   * from JSON, errors and missing callbacks returned to the model as `{error}`), and the results are
+   * sent back to the router. Every request goes through the middleware pipeline and fallback routers.
+   * @param {Object} params - Chat completion parameters, as for create()
+   * @param {Array} params.tools - Tool definitions; `callback: async (args) => result` runs the tool locally
+   * @param {number} [params.maxToolIterations=10] - Maximum number of requests before giving up
+   * @param {boolean} [params.stream] - Stream every request; the returned stream yields the chunks of all of them
+   * @param {Object} [options] - Per-request options, applied to every request
+   * @returns {APIPromise<Object>} Final chat completion with usage summed over every request, or with stream: true
+   *   a ChatCompletionStream whose `messages` holds the history and which emits 'message' for each assistant and tool message added
+   * @throws {Error} When the model still calls tools after maxToolIterations requests
+   *
+   * @example
+   * const completion = await client.chat.runTools({
+   *   messages: [{ role: 'user', content: 'What is the weather in Oslo?' }],
+   *   tools: [{
+   *     type: 'function',
+   *     function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } },
+   *     callback: async ({ city }) => fetchWeather(city)
+   *   }]
+   * });
+   */
+  runTools(params,options={}) {
+    return new APIPromise(this._runTools(params,options));
+  }
 
-    if(params.temperature&&(typeof params.temperature!=='number'||params.temperature<0||params.temperature>2)) {
-      throw new InvalidRequestError('temperature must be between 0 and 2','temperature');
+  /**
+   * Run the tool loop; resolves to {data, response, messages} like Agents#_run
+   * @private
+   */
+  async _runTools(params,options) {
+    if(!Array.isArray(params?.tools)||params.tools.length===0) {
+      throw new InvalidRequestError('runTools requires a non-empty tools array','tools');
     }
-
-    if(params.top_p&&(typeof params.top_p!=='number'||params.top_p<=0||params.top_p>1)) {
-      throw new InvalidRequestError('top_p must be between 0 and 1','top_p');
+    if(!Array.isArray(params.messages)) {
+      throw new InvalidRequestError('messages is required','messages');
     }
 
-    // Build request payload
-    const requestPayload={
-      messages: params.messages,
-      routerId: this.client.routerId,
-      ...this._buildOptionalParams(params)
+    const {maxToolIterations=DEFAULT_MAX_TOOL_ITERATIONS,...rest}=params;
+    if(!Number.isInteger(maxToolIterations)||maxToolIterations<1) {
+      throw new InvalidRequestError('maxToolIterations must be a positive integer','maxToolIterations');
+    }
+    const {tools,toolCallbacks}=extractToolCallbacks(params.tools);
+    const loop={
+      params: {...rest,tools},
+      toolCallbacks,
+      maxIterations: maxToolIterations,
+      messages: [...params.messages]
     };
 
-    // Handle streaming vs non-streaming
     if(params.stream) {
-      return this._createStreamingCompletion(requestPayload);
-    } else {
-      return this._createCompletion(requestPayload);
+      return this._streamTools(loop,options);
+    }
+
+    let usage=null;
+    for(let iteration=1;iteration<=loop.maxIterations;iteration++) {
+      const result=await this._create({...loop.params,messages: [...loop.messages]},options);
+      const message=result.data?.choices?.[0]?.message;
+      usage=addUsage(usage,result.data?.usage);
+
+      if(!message?.tool_calls?.length) {
+        return {...result,data: usage? {...result.data,usage}:result.data,messages: loop.messages};
+      }
+
+      // Checked before running callbacks, whose results would otherwise never be sent
+      if(iteration>=loop.maxIterations) {
+        break;
+      }
+      const toolResults=await executeToolCallbacks(message.tool_calls,toolCallbacks);
+      loop.messages.push(...toolTurnMessages(message,toolResults));
     }
+
+    throw new Error(`Tool execution exceeded maximum iterations (${loop.maxIterations})`);
   }
 
   /**
-   * Build optional parameters for the request
+   * Streaming tool loop: one stream over the chunks of every request
+   * The snapshot restarts with each request, so finalChatCompletion() is the model's final answer;
+   * its usage, like the runner's, is summed over every request.
    * @private
    */
-  _buildOptionalParams(params) {
-    const optional={};
-
-    // Model selection (optional with Agentlify)
-    if(params.model) {
-      optional.model=params.model;
+  async _streamTools(loop,options) {
+    const controller=new AbortController();
+    const unlink=linkAbortSignal(options.signal,controller);
+    // Aborting the runner aborts the request in flight
+    const requestOptions={...options,signal: controller.signal};
+    let first;
+    try {
+      first=await this._create({...loop.params,messages: [...loop.messages]},requestOptions);
+    } catch(error) {
+      unlink();
+      throw error;
     }
+    const chat=this;
 
-    // Sampling parameters
-    if(params.max_tokens!==undefined) optional.max_tokens=params.max_tokens;
-    if(params.temperature!==undefined) optional.temperature=params.temperature;
-    if(params.top_p!==undefined) optional.top_p=params.top_p;
-    if(params.frequency_penalty!==undefined) optional.frequency_penalty=params.frequency_penalty;
-    if(params.presence_penalty!==undefined) optional.presence_penalty=params.presence_penalty;
-    if(params.stop!==undefined) optional.stop=params.stop;
-
-    // Function calling (legacy)
-    if(params.functions!==undefined) optional.functions=params.functions;
-    if(params.function_call!==undefined) optional.function_call=params.function_call;
+    const runner=ChatCompletionStream._fromChunks((async function* () {
+      let stream=first.data;
+      for(let iteration=1;;iteration++) {
+        runner._startTurn();
+        yield* stream;
 
-    // Tool calling (modern)
-    if(params.tools!==undefined) optional.tools=params.tools;
-    if(params.tool_choice!==undefined) optional.tool_choice=params.tool_choice;
-
-    // Response format
-    if(params.response_format!==undefined) optional.response_format=params.response_format;
+        const message=(await stream.finalChatCompletion()).choices?.[0]?.message;
+        if(!message?.tool_calls?.length) {
+          return;
+        }
+        if(iteration>=loop.maxIterations) {
+          throw new Error(`Tool execution exceeded maximum iterations (${loop.maxIterations})`);
+        }
 
-    // User identifier
-    if(params.user!==undefined) optional.user=params.user;
+        const toolResults=await executeToolCallbacks(message.tool_calls,loop.toolCallbacks);
+        for(const added of toolTurnMessages(message,toolResults)) {
+          loop.messages.push(added);
+          runner.emit('message',added);
+        }
 
-    // Streaming
-    if(params.stream!==undefined) optional.stream=params.stream;
+        const next=await chat._create({...loop.params,messages: [...loop.messages]},requestOptions);
+        stream=next.data;
+      }
+    })(),{controller,responseFormat: loop.params.response_format,onClose: unlink});
+    runner.messages=loop.messages;
 
-    return optional;
+    return {data: runner,response: first.response,messages: loop.messages};
   }
 
   /**
-   * Create a standard (non-streaming) completion
+   * Validate parameters and send the completion through the middleware pipeline
    * @private
    */
-  async _createCompletion(payload) {
-    // Agentlify router expects routerId in the URL path
-    const endpoint=`/router/${this.client.routerId}`;
+  async _create(params,options) {
+    options=validateRequestOptions(options);
 
-    const response=await this.client.request(endpoint,{
-      method: 'POST',
-      data: payload
-    });
+    // Validate required parameters
+    if(!params.messages) {
+      throw new InvalidRequestError('messages is required','messages');
+    }
 
-    return response;
-  }
+    validateMessages(params.messages);
 
-  /**
-   * Create a streaming completion
-   * @private
-   */
-  async _createStreamingCompletion(payload) {
-    // Agentlify router expects routerId in the URL path
-    const endpoint=`/router/${this.client.routerId}`;
+    const messages=params.truncation? await applyTruncation(this.client,params,options):params.messages;
 
-    const response=await this.client.httpClient({
-      url: endpoint,
-      method: 'POST',
-      data: payload,
-      responseType: 'stream',
-      headers: {
-        'Accept': 'text/event-stream',
-        'Cache-Control': 'no-cache'
-      }
-    });
+    // Build request payload
+    const requestPayload={
+      messages,
+      ...this._buildOptionalParams(params),
+      routerId: options.routerId||this.client.routerId
+    };
 
-    return new ChatCompletionStream(response.data);
-  }
-}
+    const context={
+      operation: 'chat.completions',
+      stream: !!params.stream,
+      payload: requestPayload,
+      options,
+      state: {}
+    };
 
-/**
- * Chat Completion Stream class for handling streaming responses
- */
-class ChatCompletionStream {
-  constructor(stream) {
-    this.stream=stream;
-    this._buffer='';
+    // Handle streaming vs non-streaming (after middleware may have rewritten the payload)
+    let rawResponse=null;
+    const data=await this.client.middleware.run(context,async (ctx) => {
+      const result=await this._createWithFallback(ctx);
+      rawResponse=result.response;
+      return result.data;
+    });
+
+    return {data,response: rawResponse};
   }
 
   /**
-   * Async iterator for streaming chunks
+   * Send the completion to the primary router, then walk the fallback routers
+   * while the previous one is open-circuited or failing with 5xx
+   * @private
    */
-  async *[Symbol.asyncIterator]() {
-    for await(const chunk of this.stream) {
-      this._buffer+=chunk.toString();
-
-      // Process complete lines
-      const lines=this._buffer.split('\n');
-      this._buffer=lines.pop()||''; // Keep incomplete line in buffer
-
-      for(const line of lines) {
-        if(line.trim()) {
-          const text=extractStreamingText(line);
-          if(text!==null) {
-            yield {
-              choices: [{
-                delta: {content: text},
-                index: 0,
-                finish_reason: null
-              }],
-              created: Math.floor(Date.now()/1000),
-              model: 'modelpilot-routed',
-              object: 'chat.completion.chunk'
-            };
-          }
+  async _createWithFallback(context) {
+    const primary=context.payload.routerId;
+    const fallbacks=context.options.fallbackRouterIds||this.client.fallbackRouterIds;
+    const routerIds=[primary,...fallbacks.filter(id => id!==primary)];
+
+    for(const [index,routerId] of routerIds.entries()) {
+      const payload={...context.payload,routerId};
+      const options={...context.options,routerId};
+
+      try {
+        return context.stream
+          ? await this._createStreamingCompletion(payload,options,context)
+          :await this._createCompletion(payload,options);
+      } catch(error) {
+        const canFallBack=error instanceof CircuitOpenError||
+          (error instanceof APIError&&error.status>=500);
+
+        if(!canFallBack||index===routerIds.length-1) {
+          throw error;
         }
       }
     }
+  }
 
-    // Process any remaining buffer content
-    if(this._buffer.trim()) {
-      const text=extractStreamingText(this._buffer);
-      if(text!==null) {
-        yield {
-          choices: [{
-            delta: {content: text},
-            index: 0,
-            finish_reason: null
-          }],
-          created: Math.floor(Date.now()/1000),
-          model: 'modelpilot-routed',
-          object: 'chat.completion.chunk'
-        };
-      }
-    }
-
-    // Send final chunk with finish_reason
-    yield {
-      choices: [{
-        delta: {},
-        index: 0,
-        finish_reason: 'stop'
-      }],
-      created: Math.floor(Date.now()/1000),
-      model: 'modelpilot-routed',
-      object: 'chat.completion.chunk'
-    };
+  /**
+   * Validate and build the optional parameters for the request
+   * Documented OpenAI parameters are validated, unknown keys are handled according to
+   * client.strictParams, and extra_body is merged in last.
+   * @private
+   */
+  _buildOptionalParams(params) {
+    return buildChatCompletionParams(params,{strict: this.client.strictParams});
   }
 
   /**
-   * Convert stream to array of chunks
+   * Create a standard (non-streaming) completion
+   * @private
    */
-  async toArray() {
-    const chunks=[];
-    for await(const chunk of this) {
-      chunks.push(chunk);
-    }
-    return chunks;
+  async _createCompletion(payload,options={}) {
+    // Agentlify router expects routerId in the URL path
+    const endpoint=`/router/${payload.routerId||options.routerId||this.client.routerId}`;
+
+    return this.client.request(endpoint,{
+      ...pickRequestOptions(options),
+      method: 'POST',
+      data: payload
+    }).withResponse();
   }
 
   /**
-   * Get the final completion text
+   * Create a streaming completion
+   * @private
    */
-  async getText() {
-    let text='';
-    for await(const chunk of this) {
-      if(chunk.choices[0].delta.content) {
-        text+=chunk.choices[0].delta.content;
-      }
+  async _createStreamingCompletion(payload,options={},context=null) {
+    // Agentlify router expects routerId in the URL path
+    const endpoint=`/router/${payload.routerId||options.routerId||this.client.routerId}`;
+
+    // Lets the stream abort the upstream request (e.g. when a proxied client disconnects)
+    const controller=new AbortController();
+    const unlink=linkAbortSignal(options.signal,controller);
+
+    let body;
+    let response;
+    try {
+      ({data: body,response}=await this.client.request(endpoint,{
+        ...pickRequestOptions(options),
+        signal: controller.signal,
+        method: 'POST',
+        data: payload,
+        stream: true,
+        headers: {
+          'Accept': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          ...options.headers
+        }
+      }).withResponse());
+    } catch(error) {
+      unlink();
+      throw error;
     }
-    return text;
+
+    const middleware=this.client.middleware;
+    const stream=new ChatCompletionStream(body,{
+      controller,
+      onClose: unlink,
+      idleTimeout: options.streamIdleTimeout??this.client.streamIdleTimeout,
+      responseFormat: payload.response_format,
+      onChunk: context&&middleware.has('onChunk')? (chunk) => middleware.chunk(context,chunk):undefined,
+      onError: context&&middleware.has('onError')? (error) => middleware.handleError(context,error):undefined
+    });
+
+    return {data: stream,response};
   }
 }
 
@@ -0,0 +1,179 @@
+/**
+ * Agentlify Circuit Breaker
+ * Per-endpoint circuits that stop calling a degraded router until it recovers
+ */
+
+const {EventEmitter}=require('./events');
+const {APIError,APIConnectionError,CircuitOpenError}=require('./errors');
+
+const CLOSED='closed';
+const OPEN='open';
+const HALF_OPEN='half_open';
+
+/**
+ * Default failure predicate
+ * 5xx responses, timeouts and dropped connections count against a circuit
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} Whether the error counts as a failure
+ */
+function isCircuitFailure(error) {
+  if(error instanceof APIError) {
+    return error.status>=500;
+  }
+
+  return error instanceof APIConnectionError;
+}
+
+/**
+ * Circuit breaker keyed by endpoint (one circuit per /router/{routerId}, /agents, ...)
+ *
+ * closed    - requests flow; consecutive failures are counted
+ * open      - requests fail fast with CircuitOpenError until resetTimeout has elapsed
+ * half_open - a limited number of trial requests decide whether to close or reopen
+ *
+ * Emits 'stateChange' with {circuit, from, to, error}.
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open a circuit
+   * @param {number} [options.resetTimeout=30000] - Milliseconds an open circuit waits before a trial request
+   * @param {number} [options.halfOpenMaxCalls=1] - Concurrent trial requests while half-open
+   * @param {Function} [options.isFailure] - Decide whether an error counts as a failure
+   */
+  constructor(options={}) {
+    super();
+
+    for(const key of ['failureThreshold','resetTimeout','halfOpenMaxCalls']) {
+      if(options[key]!==undefined&&(typeof options[key]!=='number'||options[key]<=0)) {
+        throw new Error(`circuitBreaker.${key} must be a positive number`);
+      }
+    }
+
+    if(options.isFailure!==undefined&&typeof options.isFailure!=='function') {
+      throw new Error('circuitBreaker.isFailure must be a function');
+    }
+
+    this.failureThreshold=options.failureThreshold||5;
+    this.resetTimeout=options.resetTimeout||30000;
+    this.halfOpenMaxCalls=options.halfOpenMaxCalls||1;
+    this.isFailure=options.isFailure||isCircuitFailure;
+    this._circuits=new Map();
+  }
+
+  /**
+   * @private
+   */
+  _get(circuit) {
+    if(!this._circuits.has(circuit)) {
+      this._circuits.set(circuit,{state: CLOSED,failures: 0,openedAt: 0,trials: 0});
+    }
+    return this._circuits.get(circuit);
+  }
+
+  /**
+   * @private
+   */
+  _transition(circuit,entry,to,error=null) {
+    const from=entry.state;
+    if(from===to) {
+      return;
+    }
+
+    entry.state=to;
+    if(to===OPEN) {
+      entry.openedAt=Date.now();
+    }
+    if(to!==HALF_OPEN) {
+      entry.trials=0;
+    }
+    if(to===CLOSED) {
+      entry.failures=0;
+    }
+
+    this.emit('stateChange',{circuit,from,to,error});
+  }
+
+  /**
+   * Current state of a circuit
+   * @param {string} circuit - Circuit key (endpoint)
+   * @returns {string} 'closed', 'open' or 'half_open'
+   */
+  getState(circuit) {
+    const entry=this._get(circuit);
+    if(entry.state===OPEN&&Date.now()-entry.openedAt>=this.resetTimeout) {
+      this._transition(circuit,entry,HALF_OPEN);
+    }
+    return entry.state;
+  }
+
+  /**
+   * Reserve a request on a circuit, or throw CircuitOpenError
+   * @param {string} circuit - Circuit key (endpoint)
+   */
+  acquire(circuit) {
+    const entry=this._get(circuit);
+    const state=this.getState(circuit);
+
+    if(state===OPEN) {
+      const retryAt=entry.openedAt+this.resetTimeout;
+      throw new CircuitOpenError(`Circuit for ${circuit} is open`,circuit,retryAt);
+    }
+
+    if(state===HALF_OPEN) {
+      if(entry.trials>=this.halfOpenMaxCalls) {
+        throw new CircuitOpenError(`Circuit for ${circuit} is half-open and waiting on a trial request`,circuit,null);
+      }
+      entry.trials++;
+    }
+  }
+
+  /**
+   * Record the outcome of a request reserved with acquire()
+   * @param {string} circuit - Circuit key (endpoint)
+   * @param {Error|null} error - Error thrown by the request, or null on success
+   */
+  record(circuit,error=null) {
+    const entry=this._get(circuit);
+    const failed=!!error&&this.isFailure(error);
+
+    if(entry.state===HALF_OPEN) {
+      entry.trials=Math.max(0,entry.trials-1);
+      if(failed) {
+        this._transition(circuit,entry,OPEN,error);
+      } else if(!error) {
+        this._transition(circuit,entry,CLOSED);
+      }
+      return;
+    }
+
+    if(failed) {
+      entry.failures++;
+      if(entry.state===CLOSED&&entry.failures>=this.failureThreshold) {
+        this._transition(circuit,entry,OPEN,error);
+      }
+    } else if(!error) {
+      entry.failures=0;
+    }
+  }
+
+  /**
+   * Force a circuit (or every circuit) back to closed
+   * @param {string} [circuit] - Circuit key; omit to reset all
+   */
+  reset(circuit) {
+    const circuits=circuit===undefined? [...this._circuits.keys()]:[circuit];
+    for(const key of circuits) {
+      this._transition(key,this._get(key),CLOSED);
+    }
+  }
+}
+
+CircuitBreaker.CLOSED=CLOSED;
+CircuitBreaker.OPEN=OPEN;
+CircuitBreaker.HALF_OPEN=HALF_OPEN;
+
+module.exports={
+  CircuitBreaker,
+  isCircuitFailure
+};
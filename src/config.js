@@ -0,0 +1,188 @@
+/**
+ * Agentlify Configuration Loading
+ * Resolves client options from explicit config, AGENTLIFY_* environment variables and config-file profiles
+ */
+
+/**
+ * Environment variables read when an option is not passed explicitly
+ */
+const ENV_VARIABLES={
+  apiKey: 'AGENTLIFY_API_KEY',
+  routerId: 'AGENTLIFY_ROUTER_ID',
+  baseURL: 'AGENTLIFY_BASE_URL',
+  timeout: 'AGENTLIFY_TIMEOUT',
+  maxRetries: 'AGENTLIFY_MAX_RETRIES'
+};
+
+/**
+ * Options parsed as numbers when read from the environment
+ */
+const NUMERIC_OPTIONS=['timeout','maxRetries'];
+
+/**
+ * Read the process environment, if the runtime has one
+ * @private
+ */
+function getEnvironment() {
+  return typeof process!=='undefined'&&process.env? process.env:{};
+}
+
+/**
+ * Default config file location (~/.agentlify/config.json)
+ * @private
+ */
+function getDefaultConfigFile() {
+  const os=require('os');
+  const path=require('path');
+  return path.join(os.homedir(),'.agentlify','config.json');
+}
+
+/**
+ * Parse a numeric environment variable, keeping the raw string when it is not a number
+ * so validation can report it
+ * @private
+ */
+function parseNumber(value) {
+  const number=Number(value);
+  return value.trim()!==''&&!isNaN(number)? number:value;
+}
+
+/**
+ * Load a named profile from a JSON config file
+ * The file holds {"profiles": {"<name>": {apiKey, routerId, baseURL, ...}}}
+ * @param {string} profile - Profile name
+ * @param {string} file - Config file path
+ * @returns {Object} Profile options
+ */
+function loadProfile(profile,file) {
+  let fs;
+  try {
+    fs=require('fs');
+  } catch(error) {
+    throw new Error(`Agentlify profile "${profile}" requires a runtime with file system access`);
+  }
+
+  let contents;
+  try {
+    contents=fs.readFileSync(file,'utf8');
+  } catch(error) {
+    throw new Error(`Agentlify profile "${profile}" was requested but config file ${file} could not be read: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed=JSON.parse(contents);
+  } catch(error) {
+    throw new Error(`Agentlify config file ${file} is not valid JSON: ${error.message}`);
+  }
+
+  const profiles=parsed?.profiles;
+  if(!profiles||typeof profiles!=='object'||!Object.prototype.hasOwnProperty.call(profiles,profile)) {
+    const available=profiles&&typeof profiles==='object'? Object.keys(profiles):[];
+    throw new Error(
+      `Agentlify profile "${profile}" not found in ${file}`+
+      (available.length>0? ` (available: ${available.join(', ')})`:'')
+    );
+  }
+
+  const options=profiles[profile];
+  if(!options||typeof options!=='object'||Array.isArray(options)) {
+    throw new Error(`Agentlify profile "${profile}" in ${file} must be an object`);
+  }
+
+  return options;
+}
+
+/**
+ * Resolve client configuration from every source
+ * Precedence: explicit config, then a profile selected with `config.profile`, then environment
+ * variables, then a profile selected with AGENTLIFY_PROFILE. Choosing a profile in code is
+ * deliberate, so ambient AGENTLIFY_* variables do not override it, and a profile that cannot be
+ * loaded throws; an AGENTLIFY_PROFILE that cannot be loaded only throws when the API key or
+ * router ID is not set elsewhere.
+ * @param {Object} config - Options passed to the constructor
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {{config: Object, sources: Object}} Merged config and, per option, where its value came from
+ */
+function loadConfig(config={},env=getEnvironment()) {
+  const resolved={};
+  const sources={};
+  const apply=(key,value,source) => {
+    resolved[key]=value;
+    sources[key]=source;
+  };
+
+  let profileOptions=null;
+  let profileSource=null;
+  let profileError=null;
+  const explicitProfile=config.profile!==undefined;
+  const profile=config.profile??env.AGENTLIFY_PROFILE;
+  if(profile!==undefined) {
+    if(typeof profile!=='string'||!profile) {
+      throw new Error('profile must be a non-empty string');
+    }
+
+    const file=config.configFile??env.AGENTLIFY_CONFIG_FILE??getDefaultConfigFile();
+    try {
+      profileOptions=loadProfile(profile,file);
+      profileSource=`profile "${profile}" in ${file}`;
+    } catch(error) {
+      // A profile picked in code must load; one picked by the environment only matters when
+      // nothing else supplies the API key and router ID
+      if(explicitProfile) {
+        throw error;
+      }
+      profileError=error;
+    }
+  }
+  const applyProfile=() => {
+    for(const [key,value] of Object.entries(profileOptions||{})) {
+      apply(key,value,profileSource);
+    }
+  };
+
+  if(!explicitProfile) {
+    applyProfile();
+  }
+
+  for(const [key,name] of Object.entries(ENV_VARIABLES)) {
+    const value=env[name];
+    if(value!==undefined&&value!=='') {
+      apply(key,NUMERIC_OPTIONS.includes(key)? parseNumber(value):value,name);
+    }
+  }
+
+  if(explicitProfile) {
+    applyProfile();
+  }
+
+  for(const [key,value] of Object.entries(config)) {
+    if(value!==undefined&&key!=='profile'&&key!=='configFile') {
+      apply(key,value,'config');
+    }
+  }
+
+  if(profileError&&(!resolved.apiKey||!resolved.routerId)) {
+    throw profileError;
+  }
+
+  return {config: resolved,sources};
+}
+
+/**
+ * Describe where an option came from, for error messages
+ * @param {Object} sources - Sources returned by loadConfig
+ * @param {string} key - Option name
+ * @returns {string} Suffix such as " (from AGENTLIFY_TIMEOUT)", or '' for explicit config
+ */
+function describeSource(sources,key) {
+  const source=sources?.[key];
+  return source&&source!=='config'? ` (from ${source})`:'';
+}
+
+module.exports={
+  ENV_VARIABLES,
+  loadConfig,
+  loadProfile,
+  describeSource
+};
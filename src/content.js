@@ -0,0 +1,326 @@
+/**
+ * Agentlify Message Content
+ * Validation of content-part arrays and helpers building image, audio and file parts
+ */
+
+const {InvalidRequestError}=require('./errors');
+
+/**
+ * Largest upload accepted by each part helper, in bytes
+ */
+const MAX_PART_BYTES={
+  image: 20*1024*1024,
+  audio: 25*1024*1024,
+  file: 32*1024*1024
+};
+
+/**
+ * Content part types each role may send
+ */
+const PART_TYPES_BY_ROLE={
+  system: ['text'],
+  user: ['text','image_url','input_audio','file'],
+  assistant: ['text','refusal'],
+  tool: ['text'],
+  function: ['text']
+};
+
+/**
+ * Magic numbers for MIME sniffing: [mimeType, byte offset, signature]
+ * @private
+ */
+const SIGNATURES=[
+  ['image/png',0,[0x89,0x50,0x4E,0x47,0x0D,0x0A,0x1A,0x0A]],
+  ['image/jpeg',0,[0xFF,0xD8,0xFF]],
+  ['image/gif',0,[0x47,0x49,0x46,0x38]],
+  ['image/webp',8,[0x57,0x45,0x42,0x50]],
+  ['audio/wav',8,[0x57,0x41,0x56,0x45]],
+  ['audio/mpeg',0,[0x49,0x44,0x33]],
+  ['audio/flac',0,[0x66,0x4C,0x61,0x43]],
+  ['audio/ogg',0,[0x4F,0x67,0x67,0x53]],
+  ['application/pdf',0,[0x25,0x50,0x44,0x46]]
+];
+
+/**
+ * MIME types by file extension, when the bytes are not recognized
+ * @private
+ */
+const EXTENSIONS={
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+/**
+ * input_audio formats by MIME type
+ * @private
+ */
+const AUDIO_FORMATS={
+  'audio/wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/flac': 'flac',
+  'audio/ogg': 'ogg'
+};
+
+/**
+ * Detect the MIME type of file contents from their leading bytes
+ * MP3 files without an ID3 tag are recognized by their frame sync.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} MIME type, or null when unknown
+ */
+function sniffMimeType(bytes) {
+  for(const [mimeType,offset,signature] of SIGNATURES) {
+    if(signature.every((byte,index) => bytes[offset+index]===byte)) {
+      return mimeType;
+    }
+  }
+  if(bytes[0]===0xFF&&(bytes[1]&0xE0)===0xE0) {
+    return 'audio/mpeg';
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function mimeTypeFromName(name) {
+  const match=/\.([a-z0-9]+)$/i.exec(name||'');
+  return match? EXTENSIONS[match[1].toLowerCase()]||null:null;
+}
+
+/**
+ * @private
+ */
+function isURL(value) {
+  return /^(https?:|data:)/i.test(value);
+}
+
+/**
+ * Encode bytes as base64 (Buffer on Node.js, btoa elsewhere)
+ * @private
+ */
+function toBase64(bytes) {
+  if(typeof Buffer!=='undefined') {
+    return Buffer.from(bytes.buffer,bytes.byteOffset,bytes.byteLength).toString('base64');
+  }
+  let binary='';
+  for(let index=0;index<bytes.length;index+=0x8000) {
+    binary+=String.fromCharCode(...bytes.subarray(index,index+0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @private
+ */
+function formatBytes(size) {
+  if(size<1024) {
+    return `${size} bytes`;
+  }
+  return size<1024*1024? `${(size/1024).toFixed(1)} KB`:`${(size/1024/1024).toFixed(1)} MB`;
+}
+
+/**
+ * Read a file path, Buffer, Uint8Array or ArrayBuffer into bytes, checking its size
+ * @private
+ */
+async function readSource(source,kind,maxBytes=MAX_PART_BYTES[kind]) {
+  let bytes;
+  let name=null;
+
+  if(typeof source==='string') {
+    let fs;
+    try {
+      fs=require('fs');
+    } catch(error) {
+      throw new InvalidRequestError(`Reading ${kind} files by path requires a runtime with file system access; pass the bytes instead`,'content');
+    }
+    name=source;
+    try {
+      bytes=new Uint8Array(await fs.promises.readFile(source));
+    } catch(error) {
+      throw new InvalidRequestError(`Could not read ${kind} file ${source}: ${error.message}`,'content');
+    }
+  } else if(source instanceof ArrayBuffer) {
+    bytes=new Uint8Array(source);
+  } else if(source instanceof Uint8Array) {
+    bytes=source;
+  } else {
+    throw new InvalidRequestError(`${kind} source must be a file path, URL, Buffer, Uint8Array or ArrayBuffer`,'content');
+  }
+
+  if(bytes.byteLength>maxBytes) {
+    throw new InvalidRequestError(
+      `${name? `${kind} file ${name}`:`${kind} data`} is ${formatBytes(bytes.byteLength)}, above the ${formatBytes(maxBytes)} limit`,
+      'content'
+    );
+  }
+
+  return {bytes,name};
+}
+
+/**
+ * Build a text content part
+ * @param {string} text - Text
+ * @returns {Object} Content part
+ */
+function textPart(text) {
+  return {type: 'text',text};
+}
+
+/**
+ * Build an image content part from a URL, file path or bytes
+ * Files and bytes become base64 data URLs; the MIME type is sniffed from the bytes.
+ * @param {string|Buffer|Uint8Array|ArrayBuffer} source - http(s)/data URL, file path or image bytes
+ * @param {Object} [options] - Options
+ * @param {string} [options.detail] - 'auto', 'low' or 'high'
+ * @param {string} [options.mimeType] - MIME type, when it cannot be detected
+ * @param {number} [options.maxBytes] - Size limit (default 20 MB)
+ * @returns {Promise<Object>} image_url content part
+ *
+ * @example
+ * content: [textPart('What is in this picture?'), await imagePart('./photo.jpg', { detail: 'low' })]
+ */
+async function imagePart(source,{detail,mimeType,maxBytes}={}) {
+  let url;
+  if(typeof source==='string'&&isURL(source)) {
+    url=source;
+  } else {
+    const {bytes,name}=await readSource(source,'image',maxBytes);
+    const type=mimeType||sniffMimeType(bytes)||mimeTypeFromName(name);
+    if(!type||!type.startsWith('image/')) {
+      throw new InvalidRequestError(`Unsupported image type${type? ` ${type}`:''}; pass options.mimeType for other formats`,'content');
+    }
+    url=`data:${type};base64,${toBase64(bytes)}`;
+  }
+
+  return {type: 'image_url',image_url: detail? {url,detail}:{url}};
+}
+
+/**
+ * Build an input_audio content part from a file path or bytes
+ * @param {string|Buffer|Uint8Array|ArrayBuffer} source - File path or audio bytes
+ * @param {Object} [options] - Options
+ * @param {string} [options.format] - 'wav', 'mp3', ... (detected when omitted)
+ * @param {number} [options.maxBytes] - Size limit (default 25 MB)
+ * @returns {Promise<Object>} input_audio content part
+ */
+async function audioPart(source,{format,maxBytes}={}) {
+  const {bytes,name}=await readSource(source,'audio',maxBytes);
+  const detected=format||AUDIO_FORMATS[sniffMimeType(bytes)||mimeTypeFromName(name)];
+  if(!detected) {
+    throw new InvalidRequestError('Could not detect the audio format; pass options.format (e.g. \'wav\' or \'mp3\')','content');
+  }
+
+  return {type: 'input_audio',input_audio: {data: toBase64(bytes),format: detected}};
+}
+
+/**
+ * Build a file content part (e.g. a PDF) from a file path or bytes
+ * @param {string|Buffer|Uint8Array|ArrayBuffer} source - File path or file bytes
+ * @param {Object} [options] - Options
+ * @param {string} [options.filename] - File name sent with the data (default: the path's base name)
+ * @param {string} [options.mimeType] - MIME type (detected when omitted)
+ * @param {number} [options.maxBytes] - Size limit (default 32 MB)
+ * @returns {Promise<Object>} file content part
+ */
+async function filePart(source,{filename,mimeType,maxBytes}={}) {
+  const {bytes,name}=await readSource(source,'file',maxBytes);
+  const type=mimeType||sniffMimeType(bytes)||mimeTypeFromName(filename||name)||'application/octet-stream';
+  const file={file_data: `data:${type};base64,${toBase64(bytes)}`};
+
+  const basename=filename||(name&&name.split(/[\\/]/).pop());
+  if(basename) {
+    file.filename=basename;
+  }
+
+  return {type: 'file',file};
+}
+
+/**
+ * Validate one content part
+ * @private
+ */
+function validateContentPart(part,role,path) {
+  if(!part||typeof part!=='object') {
+    throw new Error(`${path} must be an object`);
+  }
+
+  const allowed=PART_TYPES_BY_ROLE[role]||[];
+  if(!allowed.includes(part.type)) {
+    throw new Error(`${path}.type must be one of: ${allowed.join(', ')} for ${role} messages`);
+  }
+
+  switch(part.type) {
+    case 'text':
+      if(typeof part.text!=='string') {
+        throw new Error(`${path}.text must be a string`);
+      }
+      break;
+    case 'refusal':
+      if(typeof part.refusal!=='string') {
+        throw new Error(`${path}.refusal must be a string`);
+      }
+      break;
+    case 'image_url':
+      if(typeof part.image_url?.url!=='string'||!part.image_url.url) {
+        throw new Error(`${path}.image_url.url is required`);
+      }
+      if(part.image_url.detail!==undefined&&!['auto','low','high'].includes(part.image_url.detail)) {
+        throw new Error(`${path}.image_url.detail must be one of: auto, low, high`);
+      }
+      break;
+    case 'input_audio':
+      if(typeof part.input_audio?.data!=='string'||!part.input_audio.data) {
+        throw new Error(`${path}.input_audio.data must be a base64 string`);
+      }
+      if(typeof part.input_audio.format!=='string') {
+        throw new Error(`${path}.input_audio.format is required`);
+      }
+      break;
+    case 'file':
+      if(typeof part.file?.file_data!=='string'&&typeof part.file?.file_id!=='string') {
+        throw new Error(`${path}.file requires file_data or file_id`);
+      }
+      break;
+  }
+}
+
+/**
+ * Validate message content: a string or a non-empty array of content parts
+ * @param {*} content - Message content
+ * @param {string} role - Message role
+ * @param {string} path - Path used in error messages, e.g. `messages[0].content`
+ */
+function validateContent(content,role,path) {
+  if(typeof content==='string') {
+    return;
+  }
+  if(!Array.isArray(content)) {
+    throw new Error(`${path} must be a string or an array of content parts`);
+  }
+  if(content.length===0) {
+    throw new Error(`${path} must not be an empty array`);
+  }
+  content.forEach((part,index) => validateContentPart(part,role,`${path}[${index}]`));
+}
+
+module.exports={
+  MAX_PART_BYTES,
+  sniffMimeType,
+  textPart,
+  imagePart,
+  audioPart,
+  filePart,
+  validateContent
+};
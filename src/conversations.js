@@ -0,0 +1,308 @@
+/**
+ * Agentlify Conversations
+ * Conversation objects that keep the message history between chat and agent requests
+ */
+
+const {InvalidRequestError}=require('./errors');
+const {APIPromise}=require('./response');
+const {extractToolCallbacks}=require('./tools');
+
+/**
+ * Assistant message fields kept in the history
+ * @private
+ */
+const HISTORY_FIELDS=['role','content','name','tool_calls','function_call'];
+
+/**
+ * Copy of a message safe to keep in the history and send back
+ * Response-only fields (parsed, index, logprobs, ...) are dropped; a refusal becomes the content.
+ * @private
+ */
+function toHistoryMessage(message) {
+  const copy={};
+  for(const field of HISTORY_FIELDS) {
+    if(message[field]!==undefined) {
+      copy[field]=message[field];
+    }
+  }
+  copy.role=copy.role||'assistant';
+  if(copy.content==null&&message.refusal) {
+    copy.content=message.refusal;
+  }
+  if(copy.content===undefined) {
+    copy.content=null;
+  }
+  return copy;
+}
+
+/**
+ * Message for the content passed to send() or stream()
+ * @private
+ */
+function toUserMessage(content) {
+  if(content===undefined||content===null) {
+    return null;
+  }
+  if(typeof content==='string'||Array.isArray(content)) {
+    return {role: 'user',content};
+  }
+  if(typeof content==='object'&&content.role) {
+    return content;
+  }
+  throw new InvalidRequestError('Conversation input must be a string, an array of content parts or a message','messages');
+}
+
+/**
+ * Tool definitions without their callbacks
+ * @private
+ */
+function stripCallbacks(tools) {
+  return extractToolCallbacks(tools).tools;
+}
+
+/**
+ * Conversation that owns its message history
+ *
+ * send() and stream() append the user message and the reply (including tool calls, and the tool
+ * results of local tool loops) once the request succeeds, so a failed request leaves the history
+ * unchanged. Requests go to the router chat endpoint (through chat.runTools when tools have
+ * callbacks), or to agents.run when the conversation has an agentId.
+ */
+class Conversation {
+  /**
+   * @param {Agentlify} client - Client
+   * @param {Object} [config] - Conversation settings, see Conversations#create
+   */
+  constructor(client,{system,messages=[],agentId=null,tools=[],...params}={}) {
+    if(system!==undefined&&typeof system!=='string') {
+      throw new InvalidRequestError('system must be a string','system');
+    }
+    if(!Array.isArray(messages)) {
+      throw new InvalidRequestError('messages must be an array','messages');
+    }
+
+    this.client=client;
+    this.agentId=agentId;
+    this.tools=tools;
+    this.params=params;
+    this._messages=system&&!messages.some(message => message.role==='system')
+      ? [{role: 'system',content: system},...messages]
+      :[...messages];
+  }
+
+  /**
+   * Messages of the conversation so far (a copy)
+   * @returns {Array<Object>}
+   */
+  get history() {
+    return this._messages.map(message => ({...message}));
+  }
+
+  /**
+   * Last message of the conversation, or null
+   * @returns {Object|null}
+   */
+  get lastMessage() {
+    return this._messages[this._messages.length-1]||null;
+  }
+
+  /**
+   * Send a message and append it and the reply to the history
+   * @param {string|Array<Object>|Object} [content] - User text, content parts or a full message;
+   *   omit it to send the history as-is (e.g. after appending tool results)
+   * @param {Object} [options] - Per-request options, as for chat.create or agents.run
+   * @returns {APIPromise<Object>} Chat completion or agent response
+   *
+   * @example
+   * const conversation = client.conversations.create({ system: 'You are terse.' });
+   * await conversation.send('What is the capital of France?');
+   * const reply = await conversation.send('And of Italy?');
+   */
+  send(content,options={}) {
+    return new APIPromise(this._send(content,options));
+  }
+
+  /**
+   * @private
+   */
+  async _send(content,options) {
+    const userMessage=toUserMessage(content);
+    const messages=userMessage? [...this._messages,userMessage]:[...this._messages];
+
+    if(this.agentId) {
+      const result=await this.client.agents._run({
+        ...this.params,
+        agentId: this.agentId,
+        messages,
+        tools: this.tools
+      },options);
+      this._commit(result.messages,result.data);
+      return result;
+    }
+
+    const result=await this._request(messages,false,options);
+    this._commit(result.messages||messages,result.data);
+    return result;
+  }
+
+  /**
+   * Stream the reply to a message
+   * The user message and the reply are appended once the stream has been read to the end.
+   * Only available for router conversations.
+   * @param {string|Array<Object>|Object} [content] - User text, content parts or a full message
+   * @param {Object} [options] - Per-request options, as for chat.create
+   * @returns {APIPromise<ChatCompletionStream>} Stream of chunks
+   */
+  stream(content,options={}) {
+    return new APIPromise(this._stream(content,options));
+  }
+
+  /**
+   * @private
+   */
+  async _stream(content,options) {
+    if(this.agentId) {
+      throw new InvalidRequestError('Agent conversations do not support streaming; use send()','stream');
+    }
+
+    const userMessage=toUserMessage(content);
+    const messages=userMessage? [...this._messages,userMessage]:[...this._messages];
+
+    const result=await this._request(messages,true,options);
+    result.data.once('end',completion => this._commit(result.messages||messages,completion));
+    return result;
+  }
+
+  /**
+   * Send messages to the router; tools with callbacks run locally through chat.runTools
+   * @private
+   */
+  _request(messages,stream,options) {
+    // stream_options is kept for stream() and left out of send(), which the router would reject
+    const {stream_options: streamOptions,...rest}=this.params;
+    const params=stream&&streamOptions!==undefined? {...rest,stream_options: streamOptions}:rest;
+
+    if(this.tools.some(tool => typeof tool.callback==='function')) {
+      return this.client.chat._runTools({...params,tools: this.tools,messages,stream},options);
+    }
+    return this.client.chat._create({
+      ...params,
+      ...(this.tools.length>0? {tools: stripCallbacks(this.tools)}:{}),
+      messages,
+      stream
+    },options);
+  }
+
+  /**
+   * Replace the history with the messages sent plus the reply
+   * @private
+   */
+  _commit(messages,completion) {
+    const reply=completion?.choices?.[0]?.message;
+    this._messages=reply? [...messages,toHistoryMessage(reply)]:[...messages];
+  }
+
+  /**
+   * Append messages to the history without sending them (e.g. tool results)
+   * @param {...Object} messages - Messages to append
+   * @returns {Conversation} This conversation
+   */
+  append(...messages) {
+    for(const message of messages) {
+      if(!message||typeof message!=='object'||!message.role) {
+        throw new InvalidRequestError('Appended messages must be objects with a role','messages');
+      }
+      this._messages.push({...message});
+    }
+    return this;
+  }
+
+  /**
+   * Remove the last exchange: the last user message and everything after it
+   * @returns {Array<Object>} Removed messages (empty when there is no user message)
+   */
+  undo() {
+    const index=this._messages.map(message => message.role).lastIndexOf('user');
+    if(index===-1) {
+      return [];
+    }
+    return this._messages.splice(index);
+  }
+
+  /**
+   * Copy the conversation; the copy and the original continue independently
+   * @returns {Conversation} New conversation with the same settings and history
+   */
+  fork() {
+    return new Conversation(this.client,{
+      ...this.params,
+      agentId: this.agentId,
+      tools: this.tools,
+      messages: this.history
+    });
+  }
+
+  /**
+   * Serializable state: history, agentId, tools (without callbacks) and request parameters
+   * Restore it with client.conversations.fromJSON().
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      object: 'conversation',
+      agentId: this.agentId,
+      messages: this.history,
+      tools: stripCallbacks(this.tools),
+      params: this.params
+    };
+  }
+}
+
+/**
+ * Conversations API class
+ */
+class Conversations {
+  constructor(client) {
+    this.client=client;
+  }
+
+  /**
+   * Create a conversation that keeps its message history
+   * @param {Object} [config] - Conversation settings
+   * @param {string} [config.system] - System prompt, added as the first message
+   * @param {Array<Object>} [config.messages] - Messages to start from
+   * @param {string} [config.agentId] - Send through agents.run with this agent instead of the router
+   * @param {Array<Object>} [config.tools] - Tool definitions (with callbacks for agents)
+   * @param {...*} [config.params] - Other parameters sent with every request (model, temperature, truncation, ...)
+   * @returns {Conversation} Conversation
+   */
+  create(config={}) {
+    return new Conversation(this.client,config);
+  }
+
+  /**
+   * Restore a conversation from toJSON() output
+   * @param {string|Object} json - Serialized conversation, as a string or object
+   * @param {Object} [overrides] - Settings overriding the serialized ones, e.g. tools with callbacks
+   * @returns {Conversation} Conversation
+   */
+  fromJSON(json,overrides={}) {
+    const state=typeof json==='string'? JSON.parse(json):json;
+    if(!state||typeof state!=='object'||!Array.isArray(state.messages)) {
+      throw new InvalidRequestError('Serialized conversation must have a messages array','messages');
+    }
+
+    return new Conversation(this.client,{
+      ...state.params,
+      agentId: state.agentId??null,
+      tools: state.tools||[],
+      messages: state.messages,
+      ...overrides
+    });
+  }
+}
+
+module.exports={
+  Conversation,
+  Conversations
+};
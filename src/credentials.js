@@ -0,0 +1,186 @@
+/**
+ * Agentlify Credentials
+ * Static or dynamically provided API keys, with caching and redaction
+ */
+
+const {AgentlifyError}=require('./errors');
+
+/**
+ * Key format accepted when the caller does not configure one
+ */
+const DEFAULT_API_KEY_FORMAT=/^mp_/;
+
+/**
+ * Default time a provided key is cached before the provider is consulted again
+ */
+const DEFAULT_API_KEY_CACHE_TTL=5*60*1000;
+
+const REDACTED='[REDACTED]';
+
+/**
+ * Check an API key against the configured format
+ * The key itself is never included in the error message.
+ * @param {string} apiKey - API key
+ * @param {RegExp|Function} [format] - Pattern or predicate the key must satisfy
+ * @param {string} [source] - Where the key came from, appended to the message
+ */
+function validateApiKeyFormat(apiKey,format=DEFAULT_API_KEY_FORMAT,source='') {
+  const valid=typeof format==='function'? format(apiKey):format.test(apiKey);
+  if(valid) {
+    return;
+  }
+
+  const expectation=format===DEFAULT_API_KEY_FORMAT
+    ? 'API key must start with "mp_"'
+    :'API key does not match the configured apiKeyFormat';
+  throw new Error(`Invalid Agentlify API key format${source}. ${expectation}. Get your API key from https://modelpilot.co`);
+}
+
+/**
+ * Replace every occurrence of the key in a string
+ * @private
+ */
+function redactString(value,apiKey) {
+  return typeof value==='string'&&apiKey&&value.includes(apiKey)? value.split(apiKey).join(REDACTED):value;
+}
+
+/**
+ * Remove an API key from an error, its cause and the transport request attached to it
+ * Transport errors keep the request config (including the Authorization header) and, on Node.js,
+ * the raw request whose header block contains the key.
+ * @param {Error} error - Error to scrub in place
+ * @param {string} apiKey - Key to remove
+ * @returns {Error} The same error
+ */
+function redactApiKey(error,apiKey) {
+  const seen=new Set();
+  let current=error;
+
+  while(current&&typeof current==='object'&&!seen.has(current)) {
+    seen.add(current);
+
+    if(typeof current.message==='string') {
+      current.message=redactString(current.message,apiKey);
+    }
+
+    const headers=current.config?.headers;
+    if(headers) {
+      for(const name of Object.keys(headers)) {
+        if(typeof headers[name]==='string') {
+          headers[name]=redactString(headers[name],apiKey);
+        }
+      }
+    }
+
+    if(current.request&&typeof current.request._header==='string') {
+      current.request._header=redactString(current.request._header,apiKey);
+    }
+
+    current=current.cause;
+  }
+
+  return error;
+}
+
+/**
+ * Resolves the API key for each request
+ * Accepts a fixed key or a provider function (sync or async) that is cached for cacheTtl
+ * and can be forced to refresh after an authentication failure.
+ */
+class CredentialProvider {
+  /**
+   * @param {Object} options - Credential options
+   * @param {string|Function} options.apiKey - API key, or a function returning one (or a promise of one)
+   * @param {RegExp|Function} [options.apiKeyFormat] - Accepted key format (default: keys starting with "mp_")
+   * @param {number} [options.cacheTtl=300000] - Milliseconds a provided key is reused; 0 consults the provider on every request
+   */
+  constructor({apiKey,apiKeyFormat=DEFAULT_API_KEY_FORMAT,cacheTtl=DEFAULT_API_KEY_CACHE_TTL}) {
+    this.apiKeyFormat=apiKeyFormat;
+    this.cacheTtl=cacheTtl;
+    this._provider=typeof apiKey==='function'? apiKey:null;
+    // Non-enumerable so inspecting or logging the client does not print the key
+    Object.defineProperty(this,'_apiKey',{value: this._provider? null:apiKey,writable: true,enumerable: false});
+    this._expiresAt=0;
+    this._pending=null;
+  }
+
+  /**
+   * Whether keys come from a provider function (and can therefore be refreshed)
+   */
+  get isDynamic() {
+    return this._provider!==null;
+  }
+
+  /**
+   * Resolve the API key to use for a request
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.forceRefresh=false] - Bypass the cache and consult the provider with a call started after this one
+   * @returns {Promise<string>} API key
+   */
+  async getApiKey({forceRefresh=false}={}) {
+    if(!this._provider) {
+      return this._apiKey;
+    }
+
+    if(!forceRefresh&&this._apiKey&&Date.now()<this._expiresAt) {
+      return this._apiKey;
+    }
+
+    // A call already in flight may have started before the key was rejected and return it
+    // again, so a forced refresh waits for it and then asks the provider once more
+    if(forceRefresh&&this._pending) {
+      await this._pending.catch(() => {});
+    }
+
+    // Concurrent requests share a single provider call
+    if(!this._pending) {
+      this._pending=this._fetch().finally(() => {
+        this._pending=null;
+      });
+    }
+    return this._pending;
+  }
+
+  /**
+   * Drop the cached key so the next request consults the provider
+   */
+  invalidate() {
+    if(this._provider) {
+      this._apiKey=null;
+      this._expiresAt=0;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _fetch() {
+    let apiKey;
+    try {
+      apiKey=await this._provider();
+    } catch(error) {
+      throw new AgentlifyError(`API key provider failed: ${error.message}`,{code: 'api_key_provider_error',cause: error});
+    }
+
+    if(typeof apiKey!=='string'||!apiKey) {
+      throw new AgentlifyError('API key provider must return a non-empty string',{code: 'api_key_provider_error'});
+    }
+
+    try {
+      validateApiKeyFormat(apiKey,this.apiKeyFormat,' (from apiKey provider)');
+    } catch(error) {
+      throw new AgentlifyError(error.message,{code: 'invalid_api_key'});
+    }
+
+    this._apiKey=apiKey;
+    this._expiresAt=Date.now()+this.cacheTtl;
+    return apiKey;
+  }
+}
+
+module.exports={
+  CredentialProvider,
+  DEFAULT_API_KEY_FORMAT,
+  validateApiKeyFormat,
+  redactApiKey
+};
@@ -0,0 +1,262 @@
+/**
+ * Agentlify Embeddings API
+ * OpenAI-compatible embeddings with batching and base64 decoding
+ */
+
+const {InvalidRequestError}=require('./errors');
+const {validateRequestOptions,pickRequestOptions}=require('./utils');
+const {APIPromise}=require('./response');
+const {countTextTokens}=require('./tokens');
+
+/**
+ * Most inputs sent in one request
+ */
+const MAX_INPUTS_PER_REQUEST=2048;
+
+/**
+ * Most (estimated) input tokens sent in one request
+ */
+const MAX_TOKENS_PER_REQUEST=300000;
+
+/**
+ * Parameters sent to the embeddings endpoint
+ * @private
+ */
+const EMBEDDING_PARAMS=['model','dimensions','encoding_format','user'];
+
+/**
+ * @private
+ */
+function isTokenArray(value) {
+  return Array.isArray(value)&&value.length>0&&value.every(Number.isInteger);
+}
+
+/**
+ * Normalize input to a list: a string or token array is one input, arrays of them are several
+ * @private
+ */
+function normalizeInput(input) {
+  if(typeof input==='string'||isTokenArray(input)) {
+    return [input];
+  }
+  if(!Array.isArray(input)||input.length===0) {
+    throw new InvalidRequestError('input must be a string, an array of strings or token arrays, and not empty','input');
+  }
+
+  for(const [index,item] of input.entries()) {
+    if(typeof item==='string'? item.length===0:!isTokenArray(item)) {
+      throw new InvalidRequestError(`input[${index}] must be a non-empty string or token array`,'input');
+    }
+  }
+  return input;
+}
+
+/**
+ * Split inputs into consecutive chunks within the per-request limits
+ * @param {Array<string|Array<number>>} inputs - Inputs
+ * @param {Object} limits - Limits
+ * @param {number} limits.maxInputs - Most inputs per chunk
+ * @param {number} limits.maxTokens - Most estimated tokens per chunk (a larger single input gets its own chunk)
+ * @returns {Array<Array<string|Array<number>>>} Chunks
+ */
+function chunkInputs(inputs,{maxInputs,maxTokens}) {
+  const chunks=[];
+  let current=[];
+  let tokens=0;
+
+  for(const input of inputs) {
+    const size=typeof input==='string'? countTextTokens(input):input.length;
+    if(current.length>0&&(current.length>=maxInputs||tokens+size>maxTokens)) {
+      chunks.push(current);
+      current=[];
+      tokens=0;
+    }
+    current.push(input);
+    tokens+=size;
+  }
+  chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Decode a base64 embedding (little-endian float32) into a Float32Array
+ * @param {string} data - Base64 data
+ * @returns {Float32Array} Embedding
+ */
+function decodeEmbedding(data) {
+  const bytes=typeof Buffer!=='undefined'
+    ? Buffer.from(data,'base64')
+    :Uint8Array.from(atob(data),char => char.charCodeAt(0));
+  const view=new DataView(bytes.buffer,bytes.byteOffset,bytes.byteLength);
+  const embedding=new Float32Array(Math.floor(bytes.byteLength/4));
+  for(let index=0;index<embedding.length;index++) {
+    embedding[index]=view.getFloat32(index*4,true);
+  }
+  return embedding;
+}
+
+/**
+ * Embeddings API class
+ */
+class Embeddings {
+  constructor(client) {
+    this.client=client;
+    // Inputs beyond these limits are split over several requests
+    this.maxInputsPerRequest=MAX_INPUTS_PER_REQUEST;
+    this.maxTokensPerRequest=MAX_TOKENS_PER_REQUEST;
+  }
+
+  /**
+   * Create embeddings
+   * Input arrays above the per-request limits (2048 inputs or about 300k tokens) are split over
+   * several requests, sent one after another; the response merges them in input order with summed usage.
+   * @param {Object} params - Embedding parameters
+   * @param {string|Array<string>|Array<number>|Array<Array<number>>} params.input - Text, texts, or token arrays
+   * @param {string} [params.model] - Embedding model (optional with Agentlify routing)
+   * @param {number} [params.dimensions] - Output dimensions, for models that support shortening
+   * @param {string} [params.encoding_format] - 'float' (default, number arrays) or 'base64' (decoded into Float32Array)
+   * @param {string} [params.user] - User identifier
+   * @param {Object} [params.extra_body] - Extra fields merged into the request body as-is
+   * @param {Object} [options] - Per-request options ({signal, timeout, headers, routerId, maxRetries}) applied to every request
+   * @returns {APIPromise<Object>} Embedding list; withResponse() exposes the last request's raw response
+   *
+   * @example
+   * const { data } = await client.embeddings.create({
+   *   model: 'text-embedding-3-small',
+   *   input: chunks.map(chunk => chunk.text),
+   *   encoding_format: 'base64'
+   * });
+   * const vectors = data.map(item => item.embedding); // Float32Array[]
+   */
+  create(params,options={}) {
+    return new APIPromise(this._create(params,options));
+  }
+
+  /**
+   * @private
+   */
+  async _create(params,options) {
+    options=validateRequestOptions(options);
+
+    if(!params||params.input===undefined) {
+      throw new InvalidRequestError('input is required','input');
+    }
+    const inputs=normalizeInput(params.input);
+    this._validateParams(params);
+
+    const body={};
+    for(const key of EMBEDDING_PARAMS) {
+      if(params[key]!==undefined) {
+        body[key]=params[key];
+      }
+    }
+    Object.assign(body,params.extra_body);
+
+    const chunks=chunkInputs(inputs,{maxInputs: this.maxInputsPerRequest,maxTokens: this.maxTokensPerRequest});
+
+    let merged=null;
+    let lastResponse=null;
+    let offset=0;
+    for(const chunk of chunks) {
+      const {data,response}=await this._dispatch({
+        ...body,
+        // Inputs that fit in one request are sent as given
+        input: chunks.length===1? params.input:chunk,
+        routerId: options.routerId||this.client.routerId
+      },options);
+
+      merged=this._merge(merged,data,offset,params.encoding_format==='base64');
+      lastResponse=response;
+      offset+=chunk.length;
+    }
+
+    return {data: merged,response: lastResponse};
+  }
+
+  /**
+   * @private
+   */
+  _validateParams(params) {
+    if(params.model!==undefined&&(typeof params.model!=='string'||!params.model)) {
+      throw new InvalidRequestError('model must be a non-empty string','model');
+    }
+    if(params.dimensions!==undefined&&(!Number.isInteger(params.dimensions)||params.dimensions<1)) {
+      throw new InvalidRequestError('dimensions must be a positive integer','dimensions');
+    }
+    if(params.encoding_format!==undefined&&!['float','base64'].includes(params.encoding_format)) {
+      throw new InvalidRequestError('encoding_format must be \'float\' or \'base64\'','encoding_format');
+    }
+    if(params.user!==undefined&&typeof params.user!=='string') {
+      throw new InvalidRequestError('user must be a string','user');
+    }
+    if(params.extra_body!==undefined&&(!params.extra_body||typeof params.extra_body!=='object'||Array.isArray(params.extra_body))) {
+      throw new InvalidRequestError('extra_body must be an object','extra_body');
+    }
+  }
+
+  /**
+   * Send one embeddings request through the middleware pipeline
+   * @private
+   */
+  async _dispatch(payload,options) {
+    const context={
+      operation: 'embeddings',
+      stream: false,
+      payload,
+      options,
+      state: {}
+    };
+
+    let rawResponse=null;
+    const data=await this.client.middleware.run(context,async (ctx) => {
+      const result=await this.client.request('/embeddings',{
+        ...pickRequestOptions(ctx.options),
+        method: 'POST',
+        data: ctx.payload
+      }).withResponse();
+      rawResponse=result.response;
+      return result.data;
+    });
+
+    return {data,response: rawResponse};
+  }
+
+  /**
+   * Add one response to the merged list, offsetting indexes and decoding base64 embeddings
+   * @private
+   */
+  _merge(merged,data,offset,decode) {
+    const items=[...(data?.data||[])]
+      .sort((a,b) => a.index-b.index)
+      .map(item => ({
+        ...item,
+        index: item.index+offset,
+        embedding: decode
+          ? (typeof item.embedding==='string'? decodeEmbedding(item.embedding):Float32Array.from(item.embedding))
+          :item.embedding
+      }));
+
+    if(!merged) {
+      return {
+        ...data,
+        object: data?.object||'list',
+        data: items,
+        usage: {prompt_tokens: data?.usage?.prompt_tokens||0,total_tokens: data?.usage?.total_tokens||0}
+      };
+    }
+
+    merged.data.push(...items);
+    merged.usage.prompt_tokens+=data?.usage?.prompt_tokens||0;
+    merged.usage.total_tokens+=data?.usage?.total_tokens||0;
+    if(typeof data?._meta?.cost==='number') {
+      merged._meta={...merged._meta,cost: (merged._meta?.cost||0)+data._meta.cost};
+    }
+    return merged;
+  }
+}
+
+module.exports={
+  Embeddings,
+  chunkInputs,
+  decodeEmbedding
+};
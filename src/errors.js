@@ -13,6 +13,9 @@ class AgentlifyError extends Error {
     this.type=options.type||'modelpilot_error';
     this.code=options.code;
     this.param=options.param;
+    if(options.cause!==undefined) {
+      this.cause=options.cause;
+    }
   }
 }
 
@@ -30,12 +33,90 @@ class APIError extends AgentlifyError {
   }
 }
 
+/**
+ * Connection error - for requests that never received a response
+ */
+class APIConnectionError extends AgentlifyError {
+  constructor(message='Connection error',options={}) {
+    super(message,{type: 'connection_error',...options});
+    this.name='APIConnectionError';
+  }
+}
+
+/**
+ * Timeout error - for requests that exceeded the configured timeout
+ */
+class APITimeoutError extends APIConnectionError {
+  constructor(message='Request timed out',options={}) {
+    super(message,{...options,type: 'timeout_error'});
+    this.name='APITimeoutError';
+  }
+}
+
+/**
+ * Stream idle timeout error - for streams that received no data for the configured idle timeout
+ */
+class StreamIdleTimeoutError extends APITimeoutError {
+  constructor(idleTimeout) {
+    super(`Stream received no data for ${idleTimeout}ms`,{code: 'STREAM_IDLE_TIMEOUT'});
+    this.name='StreamIdleTimeoutError';
+    this.idleTimeout=idleTimeout;
+  }
+}
+
+/**
+ * User abort error - for requests cancelled through an AbortSignal
+ */
+class APIUserAbortError extends AgentlifyError {
+  constructor(message='Request was aborted',options={}) {
+    super(message,{type: 'abort_error',code: 'ERR_CANCELED',...options});
+    this.name='APIUserAbortError';
+  }
+}
+
+/**
+ * Circuit open error - for requests short-circuited by an open circuit breaker
+ */
+class CircuitOpenError extends AgentlifyError {
+  constructor(message,circuit,retryAt=null) {
+    super(message,{type: 'circuit_open',code: 'CIRCUIT_OPEN'});
+    this.name='CircuitOpenError';
+    this.circuit=circuit;
+    this.retryAt=retryAt;
+  }
+}
+
+/**
+ * Stream parse error - for server-sent event frames that cannot be parsed
+ */
+class StreamParseError extends AgentlifyError {
+  constructor(message,data,options={}) {
+    super(message,{type: 'stream_parse_error',...options});
+    this.name='StreamParseError';
+    this.data=data;
+  }
+}
+
+/**
+ * Response validation error - for structured outputs that are not valid JSON or do not match the schema
+ */
+class ResponseValidationError extends AgentlifyError {
+  constructor(message,{path='$',issues=[],content=null,completion=null,cause}={}) {
+    super(message,{type: 'response_validation_error',code: 'RESPONSE_VALIDATION_FAILED',cause});
+    this.name='ResponseValidationError';
+    this.path=path;
+    this.issues=issues;
+    this.content=content;
+    this.completion=completion;
+  }
+}
+
 /**
  * Authentication error - for invalid API keys
  */
 class AuthenticationError extends APIError {
-  constructor(message) {
-    super(message,401);
+  constructor(message,response=null) {
+    super(message,401,response);
     this.name='AuthenticationError';
     this.type='authentication_error';
   }
@@ -45,8 +126,8 @@ class AuthenticationError extends APIError {
  * Rate limit error - for rate limiting
  */
 class RateLimitError extends APIError {
-  constructor(message) {
-    super(message,429);
+  constructor(message,response=null) {
+    super(message,429,response);
     this.name='RateLimitError';
     this.type='rate_limit_exceeded';
   }
@@ -56,11 +137,11 @@ class RateLimitError extends APIError {
  * Invalid request error - for malformed requests
  */
 class InvalidRequestError extends APIError {
-  constructor(message,param=null) {
-    super(message,400);
+  constructor(message,param=null,response=null) {
+    super(message,400,response);
     this.name='InvalidRequestError';
     this.type='invalid_request_error';
-    this.param=param;
+    this.param=param??this.param??null;
   }
 }
 
@@ -68,8 +149,8 @@ class InvalidRequestError extends APIError {
  * Permission denied error - for insufficient permissions
  */
 class PermissionDeniedError extends APIError {
-  constructor(message) {
-    super(message,403);
+  constructor(message,response=null) {
+    super(message,403,response);
     this.name='PermissionDeniedError';
     this.type='permission_denied';
   }
@@ -79,8 +160,8 @@ class PermissionDeniedError extends APIError {
  * Not found error - for missing resources
  */
 class NotFoundError extends APIError {
-  constructor(message) {
-    super(message,404);
+  constructor(message,response=null) {
+    super(message,404,response);
     this.name='NotFoundError';
     this.type='not_found_error';
   }
@@ -90,8 +171,8 @@ class NotFoundError extends APIError {
  * Conflict error - for resource conflicts
  */
 class ConflictError extends APIError {
-  constructor(message) {
-    super(message,409);
+  constructor(message,response=null) {
+    super(message,409,response);
     this.name='ConflictError';
     this.type='conflict_error';
   }
@@ -101,8 +182,8 @@ class ConflictError extends APIError {
  * Unprocessable entity error - for validation errors
  */
 class UnprocessableEntityError extends APIError {
-  constructor(message) {
-    super(message,422);
+  constructor(message,response=null) {
+    super(message,422,response);
     this.name='UnprocessableEntityError';
     this.type='unprocessable_entity';
   }
@@ -112,16 +193,54 @@ class UnprocessableEntityError extends APIError {
  * Internal server error - for server-side errors
  */
 class InternalServerError extends APIError {
-  constructor(message) {
-    super(message,500);
+  constructor(message,response=null,status=500) {
+    super(message,status,response);
     this.name='InternalServerError';
     this.type='internal_server_error';
   }
 }
 
+/**
+ * Create the typed API error for an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} [response] - Parsed response body
+ * @returns {APIError} Typed API error
+ */
+function createAPIError(status,message,response=null) {
+  switch(status) {
+    case 400:
+      return new InvalidRequestError(message,null,response);
+    case 401:
+      return new AuthenticationError(message,response);
+    case 403:
+      return new PermissionDeniedError(message,response);
+    case 404:
+      return new NotFoundError(message,response);
+    case 409:
+      return new ConflictError(message,response);
+    case 422:
+      return new UnprocessableEntityError(message,response);
+    case 429:
+      return new RateLimitError(message,response);
+    default:
+      if(status>=500) {
+        return new InternalServerError(message,response,status);
+      }
+      return new APIError(message,status,response);
+  }
+}
+
 module.exports={
   AgentlifyError,
   APIError,
+  APIConnectionError,
+  APITimeoutError,
+  APIUserAbortError,
+  CircuitOpenError,
+  StreamParseError,
+  StreamIdleTimeoutError,
+  ResponseValidationError,
   AuthenticationError,
   RateLimitError,
   InvalidRequestError,
@@ -129,5 +248,6 @@ module.exports={
   NotFoundError,
   ConflictError,
   UnprocessableEntityError,
-  InternalServerError
+  InternalServerError,
+  createAPIError
 };
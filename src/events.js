@@ -0,0 +1,86 @@
+/**
+ * Agentlify Event Emitter
+ * Minimal runtime-agnostic emitter (no dependency on Node's events module)
+ */
+
+class EventEmitter {
+  constructor() {
+    this._listeners=new Map();
+  }
+
+  /**
+   * Register a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener function
+   * @returns {EventEmitter} This emitter
+   */
+  on(event,listener) {
+    if(typeof listener!=='function') {
+      throw new Error('listener must be a function');
+    }
+
+    if(!this._listeners.has(event)) {
+      this._listeners.set(event,[]);
+    }
+    this._listeners.get(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener function
+   * @returns {EventEmitter} This emitter
+   */
+  once(event,listener) {
+    const wrapper=(...args) => {
+      this.off(event,wrapper);
+      listener(...args);
+    };
+    wrapper.listener=listener;
+    return this.on(event,wrapper);
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener function
+   * @returns {EventEmitter} This emitter
+   */
+  off(event,listener) {
+    const listeners=this._listeners.get(event);
+    if(listeners) {
+      this._listeners.set(event,listeners.filter(l => l!==listener&&l.listener!==listener));
+    }
+    return this;
+  }
+
+  /**
+   * Call every listener for an event
+   * @param {string} event - Event name
+   * @param {...*} args - Listener arguments
+   * @returns {boolean} Whether any listener was called
+   */
+  emit(event,...args) {
+    const listeners=this._listeners.get(event);
+    if(!listeners||listeners.length===0) {
+      return false;
+    }
+
+    for(const listener of [...listeners]) {
+      listener(...args);
+    }
+    return true;
+  }
+
+  /**
+   * Number of listeners registered for an event
+   * @param {string} event - Event name
+   * @returns {number}
+   */
+  listenerCount(event) {
+    return this._listeners.get(event)?.length||0;
+  }
+}
+
+module.exports={EventEmitter};
@@ -3,11 +3,55 @@
  * OpenAI-compatible interface for intelligent model routing
  */
 
-const axios=require('axios');
-const {ChatCompletions}=require('./chat');
+const {ChatCompletions,ChatCompletionStream}=require('./chat');
 const {Agents}=require('./agents');
-const {AgentlifyError,APIError,AuthenticationError,RateLimitError}=require('./errors');
-const {validateConfig,buildHeaders,handleResponse}=require('./utils');
+const {Conversations,Conversation}=require('./conversations');
+const {Batches}=require('./batches');
+const {Embeddings}=require('./embeddings');
+const errors=require('./errors');
+const {
+  AgentlifyError,
+  APIConnectionError,
+  APITimeoutError,
+  APIUserAbortError,
+  AuthenticationError,
+  createAPIError
+}=errors;
+const {
+  validateConfig,
+  buildHeaders,
+  handleResponse,
+  getRequestId,
+  sleep,
+  waitForSignal,
+  validateRequestOptions,
+  pickRequestOptions
+}=require('./utils');
+const {resolveRetryPolicy,getRetryDelay}=require('./retry');
+const {AxiosTransport,FetchTransport,createTransport}=require('./transport');
+const {MiddlewarePipeline}=require('./middleware');
+const {APIPromise}=require('./response');
+const {RateLimiter}=require('./ratelimit');
+const {CircuitBreaker}=require('./circuit');
+const {loadConfig,describeSource}=require('./config');
+const {CredentialProvider,validateApiKeyFormat,redactApiKey}=require('./credentials');
+const {parsePartialJSON}=require('./partial');
+const {textPart,imagePart,audioPart,filePart}=require('./content');
+const {countTokens,getModelContextWindow,findModel}=require('./tokens');
+
+/**
+ * Transport error codes for requests that never received a response
+ */
+const CONNECTION_ERROR_CODES=[
+  'ERR_NETWORK',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE'
+];
 
 /**
  * Main Agentlify client class
@@ -16,172 +60,401 @@ const {validateConfig,buildHeaders,handleResponse}=require('./utils');
 class Agentlify {
   /**
    * Initialize Agentlify client
-   * @param {Object} config - Configuration options
-   * @param {string} config.apiKey - Agentlify API key (required)
-   * @param {string} [config.baseURL] - Base URL for Agentlify API
-   * @param {string} [config.routerId] - Router ID to use for requests
-   * @param {number} [config.timeout] - Request timeout in milliseconds
+   * Options not passed explicitly come from a `profile` selected here, then AGENTLIFY_* environment variables,
+   * then a profile selected with AGENTLIFY_PROFILE
+   * @param {Object} [config] - Configuration options
+   * @param {string|Function} [config.apiKey] - Agentlify API key, or a (possibly async) function returning one (required; defaults to AGENTLIFY_API_KEY)
+   * @param {RegExp|Function} [config.apiKeyFormat] - Accepted key format for scoped or non-"mp_" keys
+   * @param {number} [config.apiKeyCacheTtl] - Milliseconds a key from an apiKey function is reused (default 5 minutes)
+   * @param {string} [config.baseURL] - Base URL for Agentlify API (AGENTLIFY_BASE_URL)
+   * @param {string} [config.routerId] - Router ID to use for requests (required; AGENTLIFY_ROUTER_ID)
+   * @param {number} [config.timeout] - Request timeout in milliseconds (AGENTLIFY_TIMEOUT)
+   * @param {number} [config.streamIdleTimeout] - Fail streams that receive no data for this many milliseconds
    * @param {Object} [config.defaultHeaders] - Default headers to include
-   * @param {number} [config.maxRetries] - Maximum number of retries
+   * @param {boolean|string} [config.strictParams] - Unknown chat.create parameters: forwarded (false, default), forwarded with a warning ('warn') or rejected (true)
+   * @param {number} [config.maxRetries] - Maximum number of retries (AGENTLIFY_MAX_RETRIES)
+   * @param {Object|false} [config.retry] - Retry policy ({maxRetries, backoff, jitter, retryOn, maxRetryAfter})
+   * @param {string|Object} [config.transport] - 'axios', 'fetch' or a custom transport implementing request(config)
+   * @param {Function} [config.fetch] - Custom fetch implementation (selects the fetch transport)
+   * @param {Array<Object>} [config.middleware] - Middleware to register, see Agentlify#use
+   * @param {Object} [config.rateLimit] - Opt-in client-side limiter ({maxConcurrent, requestsPerMinute, tokensPerMinute, estimateTokens})
+   * @param {Object|boolean} [config.circuitBreaker] - Opt-in per-endpoint circuit breaker ({failureThreshold, resetTimeout, halfOpenMaxCalls, isFailure})
+   * @param {Array<string>} [config.fallbackRouterIds] - Routers chat.create falls back to when the primary is open or failing
+   * @param {string} [config.profile] - Named profile from the config file (AGENTLIFY_PROFILE)
+   * @param {string} [config.configFile] - Config file path (AGENTLIFY_CONFIG_FILE, default ~/.agentlify/config.json)
    */
   constructor(config={}) {
-    // Validate configuration
-    const validatedConfig=validateConfig(config);
+    // Merge explicit config, environment variables and profile, then validate
+    const {config: resolvedConfig,sources}=loadConfig(config);
+    const validatedConfig=validateConfig(resolvedConfig,sources);
 
-    this.apiKey=validatedConfig.apiKey;
+    // Kept off enumerable properties so logging the client does not print the key
+    Object.defineProperty(this,'apiKey',{value: validatedConfig.apiKey,writable: true,enumerable: false});
     this.baseURL=validatedConfig.baseURL||'https://modelpilot.co/api';
     this.routerId=validatedConfig.routerId;
     this.timeout=validatedConfig.timeout||30000;
+    this.streamIdleTimeout=validatedConfig.streamIdleTimeout??null;
     this.defaultHeaders=validatedConfig.defaultHeaders||{};
-    this.maxRetries=validatedConfig.maxRetries||3;
+    this.strictParams=validatedConfig.strictParams??false;
+    this.retry=resolveRetryPolicy(
+      validatedConfig.maxRetries!==undefined? {maxRetries: validatedConfig.maxRetries}:undefined,
+      validatedConfig.retry
+    );
+    this.maxRetries=this.retry.maxRetries;
 
-    // Validate API key format
-    if(!this.apiKey.startsWith('mp_')) {
-      throw new Error('Invalid Agentlify API key format. API key must start with "mp_". Get your API key from https://modelpilot.co');
+    // Validate API key format (keys from a provider function are checked when resolved)
+    if(typeof this.apiKey==='string') {
+      validateApiKeyFormat(this.apiKey,validatedConfig.apiKeyFormat,describeSource(sources,'apiKey'));
     }
+    this.credentials=new CredentialProvider({
+      apiKey: this.apiKey,
+      apiKeyFormat: validatedConfig.apiKeyFormat,
+      cacheTtl: validatedConfig.apiKeyCacheTtl
+    });
 
     // Validate Router ID
     if(!this.routerId) {
-      throw new Error('Router ID is required. Get your Router ID from https://modelpilot.co');
+      throw new Error('Router ID is required. Pass routerId or set AGENTLIFY_ROUTER_ID. Get your Router ID from https://modelpilot.co');
     }
 
+    // Middleware run around chat completions and agent executions
+    this.middleware=new MiddlewarePipeline();
+    for(const middleware of validatedConfig.middleware||[]) {
+      this.middleware.use(middleware);
+    }
+
+    // Optional client-side rate limiter; requests queue instead of failing
+    this.rateLimiter=validatedConfig.rateLimit? new RateLimiter(validatedConfig.rateLimit):null;
+
+    // Optional circuit breaker, one circuit per endpoint
+    this.circuitBreaker=validatedConfig.circuitBreaker
+      ? new CircuitBreaker(validatedConfig.circuitBreaker===true? {}:validatedConfig.circuitBreaker)
+      :null;
+    this.fallbackRouterIds=validatedConfig.fallbackRouterIds||[];
+
     // Initialize API sections
     this.chat=new ChatCompletions(this);
     this.agents=new Agents(this);
+    this.conversations=new Conversations(this);
+    this.batches=new Batches(this);
+    this.embeddings=new Embeddings(this);
 
-    // Create axios instance with default configuration
-    this.httpClient=axios.create({
+    // Create HTTP transport (axios on Node.js, fetch elsewhere unless configured)
+    this.transport=createTransport({
+      transport: validatedConfig.transport,
+      fetch: validatedConfig.fetch,
       baseURL: this.baseURL,
-      timeout: this.timeout,
-      headers: {
-        'Content-Type': 'application/json',
-        ...this.defaultHeaders
-      }
+      timeout: this.timeout
     });
+  }
 
-    // Add request interceptor for authentication
-    this.httpClient.interceptors.request.use((config) => {
-      config.headers=buildHeaders(this.apiKey,config.headers);
-      return config;
-    });
+  /**
+   * The axios instance requests go through, for interceptors; undefined with the fetch or a custom transport
+   * @returns {Object|undefined} The axios transport's instance
+   */
+  get httpClient() {
+    return this.transport instanceof AxiosTransport? this.transport.httpClient:undefined;
+  }
 
-    // Add response interceptor for error handling
-    this.httpClient.interceptors.response.use(
-      (response) => handleResponse(response),
-      (error) => this._handleError(error)
-    );
+  /**
+   * Register a middleware for chat completions (streaming and non-streaming), agent executions and embeddings
+   * Hooks: onRequest(context), onResponse(context, response), onChunk(context, chunk), onError(context, error)
+   * @param {Object} middleware - Middleware object with hook functions
+   * @returns {Agentlify} This client, for chaining
+   *
+   * @example
+   * client.use({
+   *   onRequest(context) {
+   *     context.payload.messages = context.payload.messages.map(redact);
+   *   },
+   *   onResponse(context, response) {
+   *     metrics.record(context.operation, response._meta);
+   *   }
+   * });
+   */
+  use(middleware) {
+    this.middleware.use(middleware);
+    return this;
+  }
+
+  /**
+   * Send a single authenticated request through the transport
+   * @private
+   */
+  async _send(config) {
+    const credentials=this.credentials;
+
+    // A rejected key from a provider function is refreshed and the request sent once more
+    for(let refreshed=false;;refreshed=true) {
+      const apiKey=await credentials.getApiKey({forceRefresh: refreshed});
+
+      try {
+        const response=await this.transport.request({
+          ...config,
+          headers: buildHeaders(apiKey,{
+            ...this.defaultHeaders,
+            ...config.headers
+          })
+        });
+        return handleResponse(response);
+      } catch(error) {
+        redactApiKey(error,apiKey);
+        if(!refreshed&&credentials.isDynamic&&
+          (error.response?.status===401||error instanceof AuthenticationError)) {
+          credentials.invalidate();
+          continue;
+        }
+
+        try {
+          this._handleError(error,config);
+        } catch(agentlifyError) {
+          throw redactApiKey(agentlifyError,apiKey);
+        }
+      }
+    }
+  }
+
+  /**
+   * Send a request through the circuit breaker and rate limiter, when configured
+   * @private
+   */
+  async _schedule(config) {
+    const breaker=this.circuitBreaker;
+
+    try {
+      breaker?.acquire(config.url);
+    } catch(error) {
+      return this._handleError(error,config);
+    }
+
+    try {
+      const response=this.rateLimiter
+        ? await this.rateLimiter.schedule(config,() => this._send(config))
+        :await this._send(config);
+      breaker?.record(config.url);
+      return response;
+    } catch(error) {
+      breaker?.record(config.url,error);
+      return this._handleError(error,config);
+    }
   }
 
   /**
    * Handle HTTP errors and convert to Agentlify errors
+   * Every error carries the endpoint, method, request id and response headers of the failed request
    * @private
    */
-  // 
-  _handleError(error) {
-    if(error.response) {
-      const {status,data}=error.response;
+  _handleError(error,config={}) {
+    let agentlifyError;
+
+    if(error instanceof AgentlifyError) {
+      // Custom transports may already throw Agentlify errors
+      agentlifyError=error;
+    } else if(error.code==='ERR_CANCELED'||error.name==='CanceledError') {
+      agentlifyError=new APIUserAbortError('Request was aborted',{cause: error});
+    } else if(error.response) {
+      const {status,data,headers}=error.response;
 
       // Extract error message from new OpenAI-compatible format or legacy format
       const errorMessage=data?.error?.message||data?.message||'Unknown error';
 
-      switch(status) {
-        case 401:
-          throw new AuthenticationError(errorMessage);
-        case 429:
-          throw new RateLimitError(errorMessage);
-        case 400:
-          throw new APIError(errorMessage,status,data);
-        case 422:
-          throw new APIError(errorMessage,status,data);
-        default:
-          throw new APIError(errorMessage,status,data);
+      agentlifyError=createAPIError(status,errorMessage,data);
+      // Keep response headers so retry hints (Retry-After, rate-limit reset) can be honored
+      agentlifyError.headers=headers||{};
+      agentlifyError.requestId=getRequestId(headers,data);
+    } else if(error.request||CONNECTION_ERROR_CODES.includes(error.code)) {
+      if(error.code==='ECONNABORTED'||error.code==='ETIMEDOUT') {
+        agentlifyError=new APITimeoutError('Request timed out',{code: error.code,cause: error});
+      } else {
+        agentlifyError=new APIConnectionError(`Network error: ${error.message||'No response received'}`,{
+          code: error.code,
+          cause: error
+        });
       }
-    } else if(error.request) {
-      throw new AgentlifyError('Network error: No response received');
     } else {
-      throw new AgentlifyError(`Request error: ${error.message}`);
+      agentlifyError=new AgentlifyError(`Request error: ${error.message}`,{cause: error});
     }
+
+    agentlifyError.endpoint=agentlifyError.endpoint??config.url;
+    agentlifyError.method=agentlifyError.method??(config.method||'POST').toUpperCase();
+    agentlifyError.requestId=agentlifyError.requestId??null;
+    agentlifyError.headers=agentlifyError.headers??{};
+    throw agentlifyError;
   }
 
   /**
    * Make authenticated request to Agentlify API
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
-   * @returns {Promise<Object>} Response data
+   * @param {Object|false} [options.retry] - Retry policy overrides for this call
+   * @param {number} [options.maxRetries] - Maximum number of retries for this call
+   * @param {boolean} [options.stream] - Return the response body as an async iterable of chunks
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request and any pending retries
+   * @param {number} [options.timeout] - Request timeout in milliseconds for this call
+   * @returns {APIPromise<Object>} Response data; call withResponse() for headers, request id and metadata
+   */
+  request(endpoint,options={}) {
+    return new APIPromise(this._requestWithResponse(endpoint,options));
+  }
+
+  /**
+   * Make a request with retries and resolve to the parsed data and raw response
+   * @private
    */
-  async request(endpoint,options={}) {
+  async _requestWithResponse(endpoint,options={}) {
+    const {retry,maxRetries,...requestOptions}=options;
+    const policy=resolveRetryPolicy(
+      this.retry,
+      retry,
+      maxRetries!==undefined? {maxRetries}:undefined
+    );
+
     const config={
       url: endpoint,
-      method: options.method||'POST',
-      data: options.data,
-      params: options.params,
-      headers: options.headers,
-      ...options
+      method: requestOptions.method||'POST',
+      data: requestOptions.data,
+      params: requestOptions.params,
+      headers: requestOptions.headers,
+      ...requestOptions
     };
 
-    let lastError;
-
     // Retry logic
-    for(let attempt=0;attempt<=this.maxRetries;attempt++) {
+    for(let attempt=1;;attempt++) {
       try {
-        const response=await this.httpClient(config);
-        return response.data;
+        const response=await this._schedule(config);
+        return {data: response.data,response};
       } catch(error) {
-        lastError=error;
-
-        // Don't retry on authentication or client errors
-        if(error instanceof AuthenticationError||
-          (error instanceof APIError&&error.status<500)) {
+        if(attempt>policy.maxRetries||!policy.retryOn(error,attempt)) {
+          // Expose how many attempts were made before giving up
+          error.attempts=attempt;
+          error.retryCount=attempt-1;
           throw error;
         }
 
-        // Don't retry on last attempt
-        if(attempt===this.maxRetries) {
-          break;
-        }
-
-        // Exponential backoff
-        const delay=Math.min(1000*Math.pow(2,attempt),10000);
-        await new Promise(resolve => setTimeout(resolve,delay));
+        await sleep(getRetryDelay(policy,error,attempt),config.signal);
       }
     }
-
-    throw lastError;
   }
 
   /**
    * Get router configuration
-   * @returns {Promise<Object>} Router configuration
+   * @param {Object} [options] - Per-request options ({signal, timeout, headers, routerId, maxRetries})
+   * @returns {APIPromise<Object>} Router configuration
    */
-  async getRouterConfig() {
-    const endpoint=`/getRouterConfig/${this.routerId}`;
-    return this.request(endpoint,{
+  getRouterConfig(options={}) {
+    return new APIPromise(this._getRouterConfig(options));
+  }
+
+  /**
+   * @private
+   */
+  async _getRouterConfig(options) {
+    options=validateRequestOptions(options);
+    const endpoint=`/getRouterConfig/${options.routerId||this.routerId}`;
+    return this._requestWithResponse(endpoint,{
+      ...pickRequestOptions(options),
       method: 'GET'
     });
   }
 
   /**
    * Get available models
-   * @returns {Promise<Array>} Available models
+   * @param {Object} [options] - Per-request options ({signal, timeout, headers, maxRetries})
+   * @returns {APIPromise<Array>} Available models
    */
-  async getModels() {
+  getModels(options={}) {
+    return new APIPromise(this._getModels(options));
+  }
+
+  /**
+   * @private
+   */
+  async _getModels(options) {
+    options=validateRequestOptions(options);
     const endpoint='/getModels';
-    const response=await this.request(endpoint,{
+    const {data,response}=await this._requestWithResponse(endpoint,{
+      ...pickRequestOptions(options),
       method: 'GET'
     });
 
     // Handle OpenAI-compatible list format
-    if(response&&response.object==='list'&&Array.isArray(response.data)) {
-      return response.data;
+    if(data&&data.object==='list'&&Array.isArray(data.data)) {
+      return {data: data.data,response};
+    }
+
+    return {data,response};
+  }
+
+  /**
+   * Context window of a model, in tokens, from getModels() data
+   * Without a model (router-selected), the smallest context window among the listed models.
+   * The model list is fetched once per client and shared by every caller, so it is not tied to any
+   * caller's options; a failed fetch is tried again by the next call.
+   * @param {string} [model] - Model id or name
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Stops this call's wait (the shared fetch continues for other callers)
+   * @returns {Promise<number|null>} Context window, or null when unknown
+   */
+  async getContextWindow(model,options={}) {
+    if(!this._modelsPromise&&!(options.signal&&options.signal.aborted)) {
+      const promise=Promise.resolve(this.getModels()).catch((error) => {
+        // Let a later call try again
+        if(this._modelsPromise===promise) {
+          this._modelsPromise=null;
+        }
+        throw error;
+      });
+      this._modelsPromise=promise;
+    }
+
+    // An aborted caller does not start the shared fetch
+    const models=await waitForSignal(this._modelsPromise||Promise.resolve(null),options.signal);
+    if(!Array.isArray(models)) {
+      return null;
+    }
+    if(model) {
+      return getModelContextWindow(findModel(models,model));
     }
 
-    return response;
+    const windows=models.map(getModelContextWindow).filter(Boolean);
+    return windows.length>0? Math.min(...windows):null;
   }
 }
 
 module.exports=Agentlify;
 module.exports.Agentlify=Agentlify;
-module.exports.AgentlifyError=AgentlifyError;
-module.exports.APIError=APIError;
-module.exports.AuthenticationError=AuthenticationError;
-module.exports.RateLimitError=RateLimitError;
+module.exports.AgentlifyError=errors.AgentlifyError;
+module.exports.APIError=errors.APIError;
+module.exports.APIConnectionError=errors.APIConnectionError;
+module.exports.APITimeoutError=errors.APITimeoutError;
+module.exports.APIUserAbortError=errors.APIUserAbortError;
+module.exports.AuthenticationError=errors.AuthenticationError;
+module.exports.RateLimitError=errors.RateLimitError;
+module.exports.InvalidRequestError=errors.InvalidRequestError;
+module.exports.PermissionDeniedError=errors.PermissionDeniedError;
+module.exports.NotFoundError=errors.NotFoundError;
+module.exports.ConflictError=errors.ConflictError;
+module.exports.UnprocessableEntityError=errors.UnprocessableEntityError;
+module.exports.InternalServerError=errors.InternalServerError;
+module.exports.AxiosTransport=AxiosTransport;
+module.exports.FetchTransport=FetchTransport;
+module.exports.MiddlewarePipeline=MiddlewarePipeline;
+module.exports.CredentialProvider=CredentialProvider;
+module.exports.APIPromise=APIPromise;
+module.exports.RateLimiter=RateLimiter;
+module.exports.CircuitBreaker=CircuitBreaker;
+module.exports.CircuitOpenError=errors.CircuitOpenError;
+module.exports.StreamParseError=errors.StreamParseError;
+module.exports.StreamIdleTimeoutError=errors.StreamIdleTimeoutError;
+module.exports.ResponseValidationError=errors.ResponseValidationError;
+module.exports.ChatCompletionStream=ChatCompletionStream;
+module.exports.Conversations=Conversations;
+module.exports.Conversation=Conversation;
+module.exports.Batches=Batches;
+module.exports.Embeddings=Embeddings;
+module.exports.parsePartialJSON=parsePartialJSON;
+module.exports.textPart=textPart;
+module.exports.imagePart=imagePart;
+module.exports.audioPart=audioPart;
+module.exports.filePart=filePart;
+module.exports.countTokens=countTokens;
@@ -0,0 +1,120 @@
+/**
+ * Agentlify Middleware Pipeline
+ * Request/response hooks for chat completions and agent executions
+ */
+
+const HOOKS=['onRequest','onResponse','onChunk','onError'];
+
+/**
+ * Ordered list of middleware run around each API call
+ *
+ * A middleware is an object with any of these optional hooks:
+ * - onRequest(context): inspect or rewrite context.payload / context.options before sending
+ * - onResponse(context, response): observe the response; return a value to replace it
+ * - onChunk(context, chunk): observe each streamed chunk
+ * - onError(context, error): observe the error; return an Error to replace it
+ */
+class MiddlewarePipeline {
+  constructor() {
+    this._middleware=[];
+  }
+
+  /**
+   * Register a middleware
+   * @param {Object} middleware - Middleware object with hook functions
+   * @returns {MiddlewarePipeline} This pipeline
+   */
+  use(middleware) {
+    if(!middleware||typeof middleware!=='object') {
+      throw new Error('middleware must be an object');
+    }
+
+    const hooks=HOOKS.filter(hook => middleware[hook]!==undefined);
+    if(hooks.length===0) {
+      throw new Error(`middleware must define at least one of: ${HOOKS.join(', ')}`);
+    }
+
+    for(const hook of hooks) {
+      if(typeof middleware[hook]!=='function') {
+        throw new Error(`middleware.${hook} must be a function`);
+      }
+    }
+
+    this._middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Whether any registered middleware defines a hook
+   * @param {string} hook - Hook name
+   * @returns {boolean}
+   */
+  has(hook) {
+    return this._middleware.some(middleware => typeof middleware[hook]==='function');
+  }
+
+  /**
+   * Run a call through the pipeline
+   * @param {Object} context - Call context ({operation, payload, options, stream, state, ...})
+   * @param {Function} handler - Sends the request for the (possibly rewritten) context
+   * @returns {Promise<*>} Response, after onResponse hooks
+   */
+  async run(context,handler) {
+    try {
+      for(const middleware of this._middleware) {
+        if(middleware.onRequest) {
+          await middleware.onRequest(context);
+        }
+      }
+
+      let response=await handler(context);
+
+      for(const middleware of this._middleware) {
+        if(middleware.onResponse) {
+          const replacement=await middleware.onResponse(context,response);
+          if(replacement!==undefined) {
+            response=replacement;
+          }
+        }
+      }
+
+      return response;
+    } catch(error) {
+      throw await this.handleError(context,error);
+    }
+  }
+
+  /**
+   * Run onChunk hooks for a streamed chunk
+   * @param {Object} context - Call context
+   * @param {Object} chunk - Stream chunk
+   */
+  async chunk(context,chunk) {
+    for(const middleware of this._middleware) {
+      if(middleware.onChunk) {
+        await middleware.onChunk(context,chunk);
+      }
+    }
+  }
+
+  /**
+   * Run onError hooks and return the error to throw
+   * @param {Object} context - Call context
+   * @param {Error} error - Error raised by the call
+   * @returns {Promise<Error>} Error to throw
+   */
+  async handleError(context,error) {
+    let current=error;
+    for(const middleware of this._middleware) {
+      if(middleware.onError) {
+        const replacement=await middleware.onError(context,current);
+        if(replacement instanceof Error) {
+          current=replacement;
+        }
+      }
+    }
+    return current;
+  }
+}
+
+module.exports={MiddlewarePipeline};
@@ -0,0 +1,155 @@
+/**
+ * Agentlify Chat Completion Parameters
+ * Validation and forwarding of OpenAI-compatible chat completion parameters
+ */
+
+const {InvalidRequestError}=require('./errors');
+const {validateFunctions,validateTools}=require('./utils');
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return !!value&&typeof value==='object'&&!Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function numberBetween(min,max) {
+  return value => typeof value==='number'&&value>=min&&value<=max;
+}
+
+/**
+ * @private
+ */
+function isPositiveInteger(value) {
+  return Number.isInteger(value)&&value>0;
+}
+
+/**
+ * @private
+ */
+function isBoolean(value) {
+  return typeof value==='boolean';
+}
+
+/**
+ * @private
+ */
+function isString(value) {
+  return typeof value==='string';
+}
+
+/**
+ * @private
+ */
+function isStringList(value) {
+  return Array.isArray(value)&&value.every(isString);
+}
+
+/**
+ * Documented OpenAI chat completion parameters (besides messages), each with a check and the
+ * message thrown when it fails. Checks returning nothing may throw their own error instead.
+ */
+const CHAT_COMPLETION_PARAMS={
+  model: [isString,'model must be a string'],
+  max_tokens: [value => typeof value==='number'&&value>0,'max_tokens must be a positive number'],
+  max_completion_tokens: [isPositiveInteger,'max_completion_tokens must be a positive integer'],
+  temperature: [numberBetween(0,2),'temperature must be between 0 and 2'],
+  top_p: [value => typeof value==='number'&&value>0&&value<=1,'top_p must be between 0 and 1'],
+  n: [isPositiveInteger,'n must be a positive integer'],
+  stop: [value => isString(value)||isStringList(value),'stop must be a string or an array of strings'],
+  frequency_penalty: [numberBetween(-2,2),'frequency_penalty must be between -2 and 2'],
+  presence_penalty: [numberBetween(-2,2),'presence_penalty must be between -2 and 2'],
+  logit_bias: [
+    value => isPlainObject(value)&&Object.values(value).every(numberBetween(-100,100)),
+    'logit_bias must map token ids to numbers between -100 and 100'
+  ],
+  logprobs: [isBoolean,'logprobs must be a boolean'],
+  top_logprobs: [value => Number.isInteger(value)&&value>=0&&value<=20,'top_logprobs must be an integer between 0 and 20'],
+  seed: [Number.isInteger,'seed must be an integer'],
+  stream: [isBoolean,'stream must be a boolean'],
+  stream_options: [isPlainObject,'stream_options must be an object'],
+  functions: [value => validateFunctions(value)??true],
+  function_call: [value => isString(value)||isPlainObject(value),'function_call must be a string or an object'],
+  tools: [value => validateTools(value)??true],
+  tool_choice: [value => isString(value)||isPlainObject(value),'tool_choice must be a string or an object'],
+  parallel_tool_calls: [isBoolean,'parallel_tool_calls must be a boolean'],
+  response_format: [value => isPlainObject(value)&&isString(value.type),'response_format must be an object with a type'],
+  user: [isString,'user must be a string'],
+  metadata: [
+    value => isPlainObject(value)&&Object.values(value).every(isString),
+    'metadata must be an object with string values'
+  ],
+  store: [isBoolean,'store must be a boolean'],
+  service_tier: [isString,'service_tier must be a string'],
+  reasoning_effort: [isString,'reasoning_effort must be a string'],
+  modalities: [isStringList,'modalities must be an array of strings'],
+  audio: [isPlainObject,'audio must be an object'],
+  prediction: [isPlainObject,'prediction must be an object']
+};
+
+/**
+ * Parameters handled by ChatCompletions itself rather than forwarded as-is
+ */
+const RESERVED_PARAMS=['messages','extra_body','truncation'];
+
+/**
+ * Validate chat completion parameters and pick the ones to send
+ * Documented parameters are validated; unknown keys are forwarded unchanged unless `strict`
+ * says otherwise, and `extra_body` is merged in last for fields this library does not know yet.
+ * @param {Object} params - Chat completion parameters
+ * @param {Object} [options] - Options
+ * @param {boolean|string} [options.strict] - true to reject unknown keys, 'warn' to forward them with a warning
+ * @param {Function} [options.warn] - Receives the warning message in 'warn' mode (default console.warn)
+ * @returns {Object} Parameters to include in the request body
+ */
+function buildChatCompletionParams(params,{strict=false,warn=message => console.warn(message)}={}) {
+  const body={};
+
+  for(const [key,value] of Object.entries(params)) {
+    if(value===undefined||RESERVED_PARAMS.includes(key)) {
+      continue;
+    }
+
+    const spec=CHAT_COMPLETION_PARAMS[key];
+    if(!spec) {
+      const message=`Unknown chat completion parameter "${key}"; pass server-specific fields in extra_body`;
+      if(strict===true) {
+        throw new InvalidRequestError(message,key);
+      }
+      if(strict==='warn') {
+        warn(`[agentlify] ${message}`);
+      }
+    } else if(value!==null) {
+      const [check,message]=spec;
+      if(!check(value)) {
+        throw new InvalidRequestError(message,key);
+      }
+    }
+
+    body[key]=value;
+  }
+
+  if(body.stream_options!==undefined&&!body.stream) {
+    throw new InvalidRequestError('stream_options is only allowed when stream is true','stream_options');
+  }
+  if(body.top_logprobs!==undefined&&body.logprobs!==true) {
+    throw new InvalidRequestError('top_logprobs requires logprobs to be true','top_logprobs');
+  }
+
+  if(params.extra_body!==undefined) {
+    if(!isPlainObject(params.extra_body)) {
+      throw new InvalidRequestError('extra_body must be an object','extra_body');
+    }
+    Object.assign(body,params.extra_body);
+  }
+
+  return body;
+}
+
+module.exports={
+  CHAT_COMPLETION_PARAMS,
+  buildChatCompletionParams
+};
@@ -0,0 +1,245 @@
+/**
+ * Agentlify Partial JSON
+ * Tolerant parsing of JSON that is still being streamed
+ */
+
+/**
+ * Marker for a value that has not started (or cannot be completed) yet
+ * @private
+ */
+const MISSING=Symbol('missing');
+
+/**
+ * @private
+ */
+const LITERALS={true: true,false: false,null: null};
+
+/**
+ * Drop a trailing incomplete escape (e.g. `\` or `\u00`) from an unterminated string
+ * @private
+ */
+function completeEscapes(body) {
+  for(let index=0;index<body.length;index++) {
+    if(body[index]==='\\') {
+      const length=body[index+1]==='u'? 6:2;
+      if(index+length>body.length) {
+        return body.slice(0,index);
+      }
+      index+=length-1;
+    }
+  }
+  return body;
+}
+
+/**
+ * Recursive-descent parser that stops quietly at the end of the input
+ * @private
+ */
+class PartialJSONParser {
+  constructor(text) {
+    this.text=text;
+    this.index=0;
+  }
+
+  /**
+   * End of the input reached
+   */
+  get done() {
+    return this.index>=this.text.length;
+  }
+
+  skipWhitespace() {
+    while(!this.done&&/\s/.test(this.text[this.index])) {
+      this.index++;
+    }
+  }
+
+  /**
+   * Throw for text that can never become valid JSON
+   */
+  fail() {
+    throw new SyntaxError(`Unexpected character "${this.text[this.index]}" at position ${this.index}`);
+  }
+
+  /**
+   * Parse any value; MISSING when the input ends before it starts
+   */
+  parseValue() {
+    this.skipWhitespace();
+    if(this.done) {
+      return MISSING;
+    }
+
+    const char=this.text[this.index];
+    if(char==='{') {
+      return this.parseObject();
+    }
+    if(char==='[') {
+      return this.parseArray();
+    }
+    if(char==='"') {
+      return this.parseString().value;
+    }
+    if(char==='-'||(char>='0'&&char<='9')) {
+      return this.parseNumber();
+    }
+    return this.parseLiteral();
+  }
+
+  /**
+   * Parse an object, keeping the members read so far
+   */
+  parseObject() {
+    const object={};
+    this.index++;
+
+    for(;;) {
+      this.skipWhitespace();
+      if(this.done) {
+        return object;
+      }
+      const char=this.text[this.index];
+      if(char==='}') {
+        this.index++;
+        return object;
+      }
+      if(char===',') {
+        this.index++;
+        continue;
+      }
+      if(char!=='"') {
+        this.fail();
+      }
+
+      // Keys are only used once complete, values as soon as they start
+      const key=this.parseString();
+      this.skipWhitespace();
+      if(!key.complete||this.done) {
+        return object;
+      }
+      if(this.text[this.index]!==':') {
+        this.fail();
+      }
+      this.index++;
+
+      const value=this.parseValue();
+      if(value===MISSING) {
+        return object;
+      }
+      object[key.value]=value;
+    }
+  }
+
+  /**
+   * Parse an array, keeping the items read so far
+   */
+  parseArray() {
+    const array=[];
+    this.index++;
+
+    for(;;) {
+      this.skipWhitespace();
+      if(this.done) {
+        return array;
+      }
+      const char=this.text[this.index];
+      if(char===']') {
+        this.index++;
+        return array;
+      }
+      if(char===',') {
+        this.index++;
+        continue;
+      }
+
+      const value=this.parseValue();
+      if(value===MISSING) {
+        return array;
+      }
+      array.push(value);
+    }
+  }
+
+  /**
+   * Parse a string; `complete` is false when the input ends inside it
+   */
+  parseString() {
+    const start=this.index;
+    this.index++;
+
+    while(!this.done) {
+      const char=this.text[this.index];
+      if(char==='\\') {
+        this.index+=2;
+      } else if(char==='"') {
+        this.index++;
+        return {value: JSON.parse(this.text.slice(start,this.index)),complete: true};
+      } else {
+        this.index++;
+      }
+    }
+
+    this.index=this.text.length;
+    return {value: JSON.parse(`"${completeEscapes(this.text.slice(start+1))}"`),complete: false};
+  }
+
+  /**
+   * Parse a number, ignoring an incomplete fraction or exponent
+   */
+  parseNumber() {
+    const match=/^-?(\d+(\.\d*)?([eE][+-]?\d*)?)?/.exec(this.text.slice(this.index));
+    this.index+=match[0].length;
+
+    // Trim a trailing `.`, `e` or sign the next chunk has not completed yet
+    const number=Number(match[0].replace(/[.eE+-]+$/,''));
+    if(match[0]===''||match[0]==='-'||Number.isNaN(number)) {
+      if(this.done) {
+        return MISSING;
+      }
+      this.fail();
+    }
+    return number;
+  }
+
+  /**
+   * Parse true, false or null, possibly cut off
+   */
+  parseLiteral() {
+    const rest=this.text.slice(this.index);
+    for(const [word,value] of Object.entries(LITERALS)) {
+      if(rest.startsWith(word)) {
+        this.index+=word.length;
+        return value;
+      }
+      // A literal cut off at the end of the input, e.g. `tr`
+      if(word.startsWith(rest)) {
+        this.index=this.text.length;
+        return value;
+      }
+    }
+    return this.fail();
+  }
+}
+
+/**
+ * Parse JSON that may be incomplete, e.g. the content of a stream that is still running
+ * Unterminated strings, objects and arrays are closed, partial numbers and literals completed,
+ * and keys whose value has not started are left out.
+ * @param {string} text - JSON text, possibly cut off
+ * @returns {*} Parsed value, or undefined when no value has started yet
+ * @throws {SyntaxError} When the text is not the beginning of a JSON value, or has text after a complete one
+ */
+function parsePartialJSON(text) {
+  const parser=new PartialJSONParser(text);
+  const value=parser.parseValue();
+  // Anything but whitespace after a complete value means the text is not JSON (e.g. "42 is the answer")
+  parser.skipWhitespace();
+  if(!parser.done) {
+    parser.fail();
+  }
+  return value===MISSING? undefined:value;
+}
+
+module.exports={
+  parsePartialJSON
+};
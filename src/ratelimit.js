@@ -0,0 +1,313 @@
+/**
+ * Agentlify Client-side Rate Limiter
+ * Concurrency limits and per-minute request/token buckets that queue callers
+ */
+
+const {APIUserAbortError}=require('./errors');
+const {getHeader}=require('./utils');
+const {parseRetryAfter,parseResetHeader}=require('./retry');
+
+/**
+ * Characters counted for each image, audio or file part (about a high-detail 1024px image)
+ */
+const MEDIA_PART_CHARACTERS=765*4;
+
+/**
+ * Estimate the tokens a request will consume
+ * Roughly four characters per prompt token, plus the requested completion budget
+ * (for embeddings, the input alone)
+ * @param {Object} payload - Request payload
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(payload) {
+  if(payload&&payload.input!==undefined&&!payload.messages) {
+    // Embeddings: strings, or token arrays counted as-is
+    const inputs=Array.isArray(payload.input)&&typeof payload.input[0]!=='number'? payload.input:[payload.input];
+    return inputs.reduce((sum,input) => sum+(typeof input==='string'? Math.ceil(input.length/4):input?.length||0),0);
+  }
+  if(!payload||!Array.isArray(payload.messages)) {
+    return 0;
+  }
+
+  let characters=0;
+  for(const message of payload.messages) {
+    const content=message?.content;
+    if(Array.isArray(content)) {
+      // Base64 media would dwarf the real cost; count text and a flat amount per media part
+      for(const part of content) {
+        characters+=typeof part?.text==='string'? part.text.length:MEDIA_PART_CHARACTERS;
+      }
+    } else {
+      characters+=typeof content==='string'? content.length:JSON.stringify(content??'').length;
+    }
+  }
+
+  return Math.ceil(characters/4)+(payload.max_tokens||0);
+}
+
+/**
+ * Token bucket refilled continuously over one minute
+ */
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity=perMinute;
+    this.tokens=perMinute;
+    this.refillPerMs=perMinute/60000;
+    this.updatedAt=Date.now();
+  }
+
+  _refill(now) {
+    this.tokens=Math.min(this.capacity,this.tokens+(now-this.updatedAt)*this.refillPerMs);
+    this.updatedAt=now;
+  }
+
+  /**
+   * Milliseconds until `amount` tokens are available
+   * Requests larger than the bucket only wait for a full bucket
+   */
+  waitTime(amount,now) {
+    this._refill(now);
+    const needed=Math.min(amount,this.capacity);
+    return this.tokens>=needed? 0:Math.ceil((needed-this.tokens)/this.refillPerMs);
+  }
+
+  take(amount,now) {
+    this._refill(now);
+    this.tokens-=amount;
+  }
+
+  /**
+   * Return (positive) or charge (negative) tokens after the real cost is known
+   */
+  adjust(amount,now) {
+    this._refill(now);
+    this.tokens=Math.min(this.capacity,this.tokens+amount);
+  }
+
+  /**
+   * Never believe we have more left than the server says we do
+   */
+  sync(remaining,now) {
+    this._refill(now);
+    this.tokens=Math.min(this.tokens,remaining);
+  }
+}
+
+/**
+ * Client-side rate limiter
+ * Queues requests (FIFO) until a concurrency slot and enough request/token budget are available,
+ * and adapts to the server's rate-limit headers.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} [options.maxConcurrent] - Maximum in-flight requests (streams count until fully read)
+   * @param {number} [options.requestsPerMinute] - Request budget per minute
+   * @param {number} [options.tokensPerMinute] - Token budget per minute
+   * @param {Function} [options.estimateTokens] - Estimate tokens for a payload
+   */
+  constructor(options={}) {
+    for(const key of ['maxConcurrent','requestsPerMinute','tokensPerMinute']) {
+      if(options[key]!==undefined&&(typeof options[key]!=='number'||options[key]<=0)) {
+        throw new Error(`rateLimit.${key} must be a positive number`);
+      }
+    }
+
+    if(options.estimateTokens!==undefined&&typeof options.estimateTokens!=='function') {
+      throw new Error('rateLimit.estimateTokens must be a function');
+    }
+
+    this.maxConcurrent=options.maxConcurrent||Infinity;
+    this.requests=options.requestsPerMinute? new TokenBucket(options.requestsPerMinute):null;
+    this.tokens=options.tokensPerMinute? new TokenBucket(options.tokensPerMinute):null;
+    this.estimateTokens=options.estimateTokens||estimateTokens;
+
+    this.active=0;
+    this.pausedUntil=0;
+    this._queue=[];
+    this._timer=null;
+  }
+
+  /**
+   * Number of callers waiting for capacity
+   */
+  get pending() {
+    return this._queue.length;
+  }
+
+  /**
+   * Run a send function once capacity is available
+   * @param {Object} config - Request config ({data, signal, stream})
+   * @param {Function} send - Sends the request and resolves to the transport response
+   * @returns {Promise<Object>} Transport response
+   */
+  async schedule(config,send) {
+    const estimate=this.tokens? this.estimateTokens(config.data):0;
+    await this._acquire(estimate,config.signal);
+
+    let response;
+    try {
+      response=await send();
+    } catch(error) {
+      this._release(estimate,{status: error.status,headers: error.headers});
+      throw error;
+    }
+
+    if(config.stream&&response.data&&typeof response.data[Symbol.asyncIterator]==='function') {
+      // Streams hold their slot until the body has been consumed or the request is aborted,
+      // whichever comes first; a stream dropped without being read is freed by its abort
+      let released=false;
+      const release=() => {
+        if(!released) {
+          released=true;
+          config.signal?.removeEventListener('abort',release);
+          this._release(estimate,{headers: response.headers});
+        }
+      };
+      if(config.signal?.aborted) {
+        release();
+      } else {
+        config.signal?.addEventListener('abort',release,{once: true});
+      }
+      return {
+        ...response,
+        data: this._releaseOnEnd(response.data,release)
+      };
+    }
+
+    this._release(estimate,{headers: response.headers,usage: response.data?.usage});
+    return response;
+  }
+
+  /**
+   * @private
+   */
+  async *_releaseOnEnd(iterable,release) {
+    try {
+      yield* iterable;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Wait in the queue for capacity
+   * @private
+   */
+  _acquire(tokens,signal) {
+    return new Promise((resolve,reject) => {
+      if(signal?.aborted) {
+        reject(new APIUserAbortError());
+        return;
+      }
+
+      const waiter={tokens,resolve,reject,signal,onAbort: null};
+      if(signal) {
+        waiter.onAbort=() => {
+          this._queue=this._queue.filter(w => w!==waiter);
+          reject(new APIUserAbortError());
+          this._pump();
+        };
+        signal.addEventListener('abort',waiter.onAbort,{once: true});
+      }
+
+      this._queue.push(waiter);
+      this._pump();
+    });
+  }
+
+  /**
+   * Release a slot, reconcile token usage and adapt to server headers
+   * @private
+   */
+  _release(estimate,{status,headers,usage}={}) {
+    const now=Date.now();
+    this.active--;
+
+    if(this.tokens&&usage?.total_tokens!==undefined) {
+      this.tokens.adjust(estimate-usage.total_tokens,now);
+    }
+
+    this._adapt(status,headers,now);
+    this._pump();
+  }
+
+  /**
+   * Adapt buckets to rate-limit headers sent by the server
+   * @private
+   */
+  _adapt(status,headers,now) {
+    if(!headers) {
+      return;
+    }
+
+    const limits=[
+      [this.requests,getHeader(headers,'x-ratelimit-remaining-requests')??getHeader(headers,'x-ratelimit-remaining'),
+        getHeader(headers,'x-ratelimit-reset-requests')??getHeader(headers,'x-ratelimit-reset')],
+      [this.tokens,getHeader(headers,'x-ratelimit-remaining-tokens'),getHeader(headers,'x-ratelimit-reset-tokens')]
+    ];
+
+    for(const [bucket,remainingHeader,resetHeader] of limits) {
+      if(remainingHeader===undefined) {
+        continue;
+      }
+
+      const remaining=Number(remainingHeader);
+      if(isNaN(remaining)) {
+        continue;
+      }
+
+      bucket?.sync(remaining,now);
+
+      // Budget exhausted: hold everything until the server's window resets
+      const reset=parseResetHeader(resetHeader);
+      if(remaining<=0&&reset!==null&&reset>0) {
+        this.pausedUntil=Math.max(this.pausedUntil,now+reset);
+      }
+    }
+
+    if(status===429) {
+      const retryAfter=parseRetryAfter(headers);
+      if(retryAfter!==null&&retryAfter>0) {
+        this.pausedUntil=Math.max(this.pausedUntil,now+retryAfter);
+      }
+    }
+  }
+
+  /**
+   * Start queued requests that fit, or schedule a wake-up for the next one
+   * @private
+   */
+  _pump() {
+    clearTimeout(this._timer);
+    this._timer=null;
+
+    while(this._queue.length>0&&this.active<this.maxConcurrent) {
+      const waiter=this._queue[0];
+      const now=Date.now();
+      const wait=Math.max(
+        this.pausedUntil-now,
+        this.requests? this.requests.waitTime(1,now):0,
+        this.tokens? this.tokens.waitTime(waiter.tokens,now):0
+      );
+
+      if(wait>0) {
+        this._timer=setTimeout(() => this._pump(),wait);
+        return;
+      }
+
+      this._queue.shift();
+      waiter.signal?.removeEventListener('abort',waiter.onAbort);
+      this.requests?.take(1,now);
+      this.tokens?.take(waiter.tokens,now);
+      this.active++;
+      waiter.resolve();
+    }
+  }
+}
+
+module.exports={
+  RateLimiter,
+  TokenBucket,
+  estimateTokens
+};
@@ -0,0 +1,75 @@
+/**
+ * Agentlify API Promise
+ * Promise for API results that also exposes the raw HTTP response
+ */
+
+const {getRequestId}=require('./utils');
+
+/**
+ * Promise resolving to the parsed result of an API call
+ *
+ * Awaiting it yields the data as before; `withResponse()` additionally exposes
+ * the raw response, the server request id and the routing metadata (`_meta`).
+ */
+class APIPromise extends Promise {
+  /**
+   * @param {Promise<{data: *, response: Object}>} responsePromise - Resolves to the parsed data and raw transport response
+   */
+  constructor(responsePromise) {
+    super((resolve) => {
+      resolve(null);
+    });
+    this._responsePromise=responsePromise;
+    this._dataPromise=null;
+  }
+
+  // Derived promises (then/catch/finally) are plain promises
+  static get [Symbol.species]() {
+    return Promise;
+  }
+
+  /**
+   * Resolve to the raw transport response ({status, headers, data})
+   * @returns {Promise<Object>} Raw response
+   */
+  asResponse() {
+    return this._responsePromise.then(({response}) => response);
+  }
+
+  /**
+   * Resolve to the parsed data together with the raw response and its metadata
+   * @returns {Promise<{data: *, response: Object, requestId: string|null, meta: Object|null}>}
+   */
+  withResponse() {
+    return this._responsePromise.then(({data,response}) => ({
+      data,
+      response,
+      requestId: getRequestId(response?.headers,response?.data),
+      meta: response?.data?._meta??null
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _parse() {
+    if(!this._dataPromise) {
+      this._dataPromise=this._responsePromise.then(({data}) => data);
+    }
+    return this._dataPromise;
+  }
+
+  then(onFulfilled,onRejected) {
+    return this._parse().then(onFulfilled,onRejected);
+  }
+
+  catch(onRejected) {
+    return this._parse().catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this._parse().finally(onFinally);
+  }
+}
+
+module.exports={APIPromise};
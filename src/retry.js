@@ -0,0 +1,229 @@
+/**
+ * Agentlify Retry Policies
+ * Backoff, jitter and server retry hints for Agentlify.request
+ */
+
+const {APIError,APIConnectionError}=require('./errors');
+const {getHeader}=require('./utils');
+
+/**
+ * Status codes that are retried in addition to 5xx responses
+ */
+const RETRYABLE_STATUS_CODES=[408,409,429];
+
+/**
+ * Default retry policy used when the client is not configured otherwise
+ */
+const DEFAULT_RETRY_POLICY={
+  maxRetries: 3,
+  backoff: {initialDelay: 1000,maxDelay: 10000,multiplier: 2},
+  jitter: 'full',
+  maxRetryAfter: 60000,
+  retryOn: isRetryableError
+};
+
+const JITTER_MODES=['full','equal','none'];
+
+/**
+ * Default retry predicate
+ * Retries timeouts, dropped connections, 408/409/429 and 5xx responses
+ * @param {Error} error - Error thrown by the failed attempt
+ * @returns {boolean} Whether the request should be retried
+ */
+function isRetryableError(error) {
+  if(error instanceof APIError) {
+    return RETRYABLE_STATUS_CODES.includes(error.status)||error.status>=500;
+  }
+
+  // Covers APITimeoutError as well
+  return error instanceof APIConnectionError;
+}
+
+/**
+ * Merge retry policy layers into a single validated policy
+ * Later layers win; `false` disables retries for that layer
+ * @param {...(Object|boolean|undefined)} layers - Partial retry policies
+ * @returns {Object} Resolved retry policy
+ */
+function resolveRetryPolicy(...layers) {
+  let policy={...DEFAULT_RETRY_POLICY};
+
+  for(const layer of layers) {
+    if(layer===undefined||layer===null) {
+      continue;
+    }
+
+    if(layer===false) {
+      policy={...policy,maxRetries: 0};
+      continue;
+    }
+
+    if(typeof layer!=='object') {
+      throw new Error('retry must be an object or false');
+    }
+
+    const defined=Object.fromEntries(
+      Object.entries(layer).filter(([,value]) => value!==undefined)
+    );
+    policy={...policy,...defined};
+  }
+
+  if(!Number.isInteger(policy.maxRetries)||policy.maxRetries<0) {
+    throw new Error('retry.maxRetries must be a non-negative integer');
+  }
+
+  if(typeof policy.backoff!=='function'&&(!policy.backoff||typeof policy.backoff!=='object')) {
+    throw new Error('retry.backoff must be a function or an object');
+  }
+
+  if(typeof policy.jitter!=='boolean'&&!JITTER_MODES.includes(policy.jitter)) {
+    throw new Error(`retry.jitter must be a boolean or one of: ${JITTER_MODES.join(', ')}`);
+  }
+
+  if(typeof policy.retryOn!=='function') {
+    throw new Error('retry.retryOn must be a function');
+  }
+
+  return policy;
+}
+
+/**
+ * Compute the un-jittered backoff delay for a retry
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(policy,attempt) {
+  if(typeof policy.backoff==='function') {
+    return Math.max(0,Number(policy.backoff(attempt))||0);
+  }
+
+  const {
+    initialDelay=DEFAULT_RETRY_POLICY.backoff.initialDelay,
+    maxDelay=DEFAULT_RETRY_POLICY.backoff.maxDelay,
+    multiplier=DEFAULT_RETRY_POLICY.backoff.multiplier
+  }=policy.backoff;
+
+  return Math.min(initialDelay*Math.pow(multiplier,attempt-1),maxDelay);
+}
+
+/**
+ * Spread a delay so concurrent callers do not retry in lockstep
+ * @param {number} delay - Base delay in milliseconds
+ * @param {boolean|string} jitter - Jitter mode
+ * @returns {number} Jittered delay in milliseconds
+ */
+function applyJitter(delay,jitter) {
+  if(jitter===true||jitter==='full') {
+    return Math.random()*delay;
+  }
+
+  if(jitter==='equal') {
+    return delay/2+Math.random()*delay/2;
+  }
+
+  return delay;
+}
+
+/**
+ * Parse a duration such as "1s", "6m0s" or "250ms"
+ * @private
+ */
+function parseDuration(value) {
+  const match=/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+)ms)?$/.exec(value);
+  if(!match||!match.slice(1).some(Boolean)) {
+    return null;
+  }
+
+  const [,hours=0,minutes=0,seconds=0,millis=0]=match;
+  return ((Number(hours)*60+Number(minutes))*60+Number(seconds))*1000+Number(millis);
+}
+
+/**
+ * Read a server-provided retry hint from response headers
+ * Supports retry-after-ms, retry-after (seconds or HTTP date) and rate-limit reset headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null when no hint is present
+ */
+function parseRetryAfter(headers) {
+  if(!headers) {
+    return null;
+  }
+
+  const retryAfterMs=getHeader(headers,'retry-after-ms');
+  if(retryAfterMs!==undefined&&!isNaN(parseFloat(retryAfterMs))) {
+    return parseFloat(retryAfterMs);
+  }
+
+  const retryAfter=getHeader(headers,'retry-after');
+  if(retryAfter!==undefined) {
+    const seconds=Number(retryAfter);
+    if(!isNaN(seconds)) {
+      return seconds*1000;
+    }
+
+    const date=Date.parse(retryAfter);
+    if(!isNaN(date)) {
+      return date-Date.now();
+    }
+  }
+
+  for(const name of ['x-ratelimit-reset','ratelimit-reset','x-ratelimit-reset-requests']) {
+    const reset=parseResetHeader(getHeader(headers,name));
+    if(reset!==null) {
+      return reset;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a rate-limit reset header value
+ * Accepts seconds, epoch seconds or durations such as "6m0s"
+ * @param {string} value - Header value
+ * @returns {number|null} Milliseconds until reset, or null when unparseable
+ */
+function parseResetHeader(value) {
+  if(value===undefined||value===null) {
+    return null;
+  }
+
+  const seconds=Number(value);
+  if(!isNaN(seconds)) {
+    // Large values are epoch timestamps rather than deltas
+    return seconds>1e9? seconds*1000-Date.now():seconds*1000;
+  }
+
+  return parseDuration(String(value).trim());
+}
+
+/**
+ * Compute how long to wait before retrying a failed attempt
+ * A usable server hint is treated as a floor and jitter is added on top of it
+ * @param {Object} policy - Resolved retry policy
+ * @param {Error} error - Error thrown by the failed attempt
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(policy,error,attempt) {
+  const backoff=applyJitter(computeBackoff(policy,attempt),policy.jitter);
+  const hint=parseRetryAfter(error?.headers);
+
+  if(hint!==null&&hint>=0&&hint<=policy.maxRetryAfter) {
+    return hint+(policy.jitter&&policy.jitter!=='none'? backoff:0);
+  }
+
+  return backoff;
+}
+
+module.exports={
+  DEFAULT_RETRY_POLICY,
+  isRetryableError,
+  resolveRetryPolicy,
+  computeBackoff,
+  applyJitter,
+  parseRetryAfter,
+  parseResetHeader,
+  getRetryDelay
+};
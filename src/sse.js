@@ -0,0 +1,208 @@
+/**
+ * Agentlify Server-Sent Events
+ * Parses and encodes text/event-stream bodies following the WHATWG event-stream format
+ */
+
+/**
+ * Split decoded text into lines on CRLF, LF or CR, across chunk boundaries
+ */
+class LineDecoder {
+  constructor() {
+    this._buffer='';
+    this._trailingCR=false;
+  }
+
+  /**
+   * Feed decoded text
+   * @param {string} text - Decoded text
+   * @returns {Array<string>} Complete lines
+   */
+  decode(text) {
+    if(!text) {
+      return [];
+    }
+
+    // A CR ending the previous chunk already terminated its line; skip the LF of a split CRLF
+    if(this._trailingCR&&text.startsWith('\n')) {
+      text=text.slice(1);
+    }
+    this._trailingCR=text.endsWith('\r');
+
+    const lines=(this._buffer+text).split(/\r\n|\r|\n/);
+    this._buffer=lines.pop();
+    return lines;
+  }
+
+  /**
+   * Return the unterminated last line, if any
+   * @returns {Array<string>} Remaining line
+   */
+  flush() {
+    const rest=this._buffer;
+    this._buffer='';
+    this._trailingCR=false;
+    return rest? [rest]:[];
+  }
+}
+
+/**
+ * Assemble lines into events
+ * Handles `event:`, `data:` (joined with newlines when repeated), `id:`, `retry:` and comment lines.
+ */
+class SSEDecoder {
+  constructor() {
+    this.lastEventId='';
+    this.retry=null;
+    this._reset();
+  }
+
+  /**
+   * @private
+   */
+  _reset() {
+    this._event='';
+    this._data=[];
+  }
+
+  /**
+   * Feed one line
+   * @param {string} line - Line without its terminator
+   * @returns {Object|null} Event ({event, data, id, retry}) when the line completes one
+   */
+  decode(line) {
+    if(line==='') {
+      return this.flush();
+    }
+
+    // Comment line (often used as a keep-alive)
+    if(line.startsWith(':')) {
+      return null;
+    }
+
+    const colon=line.indexOf(':');
+    const field=colon===-1? line:line.slice(0,colon);
+    let value=colon===-1? '':line.slice(colon+1);
+    if(value.startsWith(' ')) {
+      value=value.slice(1);
+    }
+
+    switch(field) {
+      case 'event':
+        this._event=value;
+        break;
+      case 'data':
+        this._data.push(value);
+        break;
+      case 'id':
+        if(!value.includes('\0')) {
+          this.lastEventId=value;
+        }
+        break;
+      case 'retry':
+        if(/^\d+$/.test(value)) {
+          this.retry=Number(value);
+        }
+        break;
+      default:
+        // Unknown fields are ignored, as the spec requires
+        break;
+    }
+
+    return null;
+  }
+
+  /**
+   * Dispatch the event being assembled
+   * @returns {Object|null} Event, or null when no data lines were received
+   */
+  flush() {
+    if(this._data.length===0) {
+      this._reset();
+      return null;
+    }
+
+    const event={
+      event: this._event||'message',
+      data: this._data.join('\n'),
+      id: this.lastEventId,
+      retry: this.retry
+    };
+    this._reset();
+    return event;
+  }
+}
+
+/**
+ * Decode a response body into server-sent events
+ * A final event without a terminating blank line is still dispatched, since some servers omit it.
+ * @param {AsyncIterable} body - Response body chunks (Buffer, Uint8Array or string)
+ * @returns {AsyncGenerator<Object>} Events ({event, data, id, retry})
+ */
+async function *iterSSEMessages(body) {
+  const textDecoder=new TextDecoder();
+  const lineDecoder=new LineDecoder();
+  const sseDecoder=new SSEDecoder();
+  let first=true;
+
+  const decode=(chunk) => {
+    let text=typeof chunk==='string'? chunk:textDecoder.decode(chunk,{stream: true});
+    // Strip a leading byte order mark
+    if(first&&text) {
+      first=false;
+      if(text.charCodeAt(0)===0xFEFF) {
+        text=text.slice(1);
+      }
+    }
+    return text;
+  };
+
+  for await(const chunk of body) {
+    for(const line of lineDecoder.decode(decode(chunk))) {
+      const event=sseDecoder.decode(line);
+      if(event) {
+        yield event;
+      }
+    }
+  }
+
+  for(const line of [...lineDecoder.decode(textDecoder.decode()),...lineDecoder.flush()]) {
+    const event=sseDecoder.decode(line);
+    if(event) {
+      yield event;
+    }
+  }
+
+  const event=sseDecoder.flush();
+  if(event) {
+    yield event;
+  }
+}
+
+/**
+ * Encode one server-sent event
+ * @param {Object} message - Event to encode
+ * @param {string} message.data - Event data (split into one `data:` line per line)
+ * @param {string} [message.event] - Event type
+ * @param {string} [message.id] - Event id
+ * @returns {string} Event frame terminated by a blank line
+ */
+function encodeSSE({data,event,id}) {
+  let frame='';
+  if(event) {
+    frame+=`event: ${event}\n`;
+  }
+  if(id) {
+    frame+=`id: ${id}\n`;
+  }
+  for(const line of String(data).split(/\r\n|\r|\n/)) {
+    frame+=`data: ${line}\n`;
+  }
+  return frame+'\n';
+}
+
+module.exports={
+  LineDecoder,
+  SSEDecoder,
+  iterSSEMessages,
+  encodeSSE
+};
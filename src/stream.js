@@ -0,0 +1,764 @@
+/**
+ * Agentlify Chat Completion Streams
+ * Parsing, accumulation and events for streamed chat completions
+ */
+
+const {
+  AgentlifyError,
+  APIUserAbortError,
+  StreamIdleTimeoutError,
+  StreamParseError,
+  createAPIError
+}=require('./errors');
+const {EventEmitter}=require('./events');
+const {iterSSEMessages,encodeSSE}=require('./sse');
+const {iterateReadableStream}=require('./transport');
+const {parsePartialJSON}=require('./partial');
+const {addUsage}=require('./utils');
+
+/**
+ * Headers written by pipeToResponse unless already set
+ */
+const SSE_HEADERS={
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive',
+  'X-Accel-Buffering': 'no'
+};
+
+/**
+ * Web ReadableStream constructor: the global one, or stream/web on Node.js versions without it
+ * @private
+ */
+function loadReadableStream() {
+  if(typeof globalThis.ReadableStream==='function') {
+    return globalThis.ReadableStream;
+  }
+  try {
+    return require('stream/web').ReadableStream;
+  } catch(error) {
+    throw new AgentlifyError('toReadableStream() requires a runtime with Web Streams (Node.js 16.5 or later); use pipeToResponse() instead',{cause: error});
+  }
+}
+
+/**
+ * response_format types whose content is always JSON
+ * @private
+ */
+const JSON_RESPONSE_FORMATS=['json_object','json_schema'];
+
+/**
+ * Error event payload re-sent to downstream clients
+ * @private
+ */
+function serializeStreamError(error) {
+  return {
+    error: {
+      message: error.message,
+      type: error.type,
+      code: error.code,
+      status: error.status
+    }
+  };
+}
+
+/**
+ * Wait until a response can take more data, or is closed
+ * @private
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done=() => {
+      res.removeListener('drain',done);
+      res.removeListener('close',done);
+      resolve();
+    };
+    res.on('drain',done);
+    res.on('close',done);
+  });
+}
+
+/**
+ * Text carried by a streamed chunk (delta format, or message format from non-streaming fallbacks)
+ * @param {Object} data - Parsed chunk
+ * @returns {string|null} Text
+ */
+function getChunkText(data) {
+  const choice=data.choices?.[0];
+  return choice?.delta?.content||choice?.message?.content||null;
+}
+
+/**
+ * Merge a streamed chunk into a chat.completion snapshot
+ * Content is concatenated and tool call argument fragments are merged by tool call index.
+ * @param {Object|null} snapshot - Completion assembled so far
+ * @param {Object} chunk - Streamed chunk
+ * @param {Function} [onToolCall] - Called with (choiceIndex, callIndex, delta, call) for each tool call delta,
+ *   with the index it was merged at (deltas without an index start a new call)
+ * @returns {Object} Updated snapshot
+ */
+function accumulateChunk(snapshot,chunk,onToolCall) {
+  if(!snapshot) {
+    snapshot={
+      id: chunk.id,
+      object: 'chat.completion',
+      created: chunk.created,
+      model: chunk.model,
+      choices: [],
+      usage: null
+    };
+  }
+
+  for(const key of ['id','created','model','system_fingerprint']) {
+    if(chunk[key]!==undefined&&chunk[key]!==null) {
+      snapshot[key]=chunk[key];
+    }
+  }
+  if(chunk.usage) {
+    snapshot.usage=chunk.usage;
+  }
+  if(chunk._meta) {
+    snapshot._meta={...snapshot._meta,...chunk._meta};
+  }
+
+  for(const choice of chunk.choices||[]) {
+    const index=choice.index??0;
+    if(!snapshot.choices[index]) {
+      snapshot.choices[index]={index,message: {role: 'assistant',content: null},finish_reason: null};
+    }
+    const target=snapshot.choices[index];
+    const delta=choice.delta||choice.message||{};
+
+    if(delta.role) {
+      target.message.role=delta.role;
+    }
+    if(typeof delta.content==='string') {
+      target.message.content=(target.message.content||'')+delta.content;
+    }
+    if(delta.function_call) {
+      const call=target.message.function_call||(target.message.function_call={name: '',arguments: ''});
+      call.name=delta.function_call.name||call.name;
+      call.arguments+=delta.function_call.arguments||'';
+    }
+    for(const toolCall of delta.tool_calls||[]) {
+      const calls=target.message.tool_calls||(target.message.tool_calls=[]);
+      const callIndex=toolCall.index??calls.length;
+      const call=calls[callIndex]||(calls[callIndex]={id: '',type: 'function',function: {name: '',arguments: ''}});
+      call.id=toolCall.id||call.id;
+      call.type=toolCall.type||call.type;
+      call.function.name=toolCall.function?.name||call.function.name;
+      call.function.arguments+=toolCall.function?.arguments||'';
+      onToolCall?.(index,callIndex,toolCall,call);
+    }
+    if(choice.finish_reason) {
+      target.finish_reason=choice.finish_reason;
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Chat Completion Stream class for handling streaming responses
+ *
+ * Consume it once: iterate it, or call finalChatCompletion(), getText() or toArray().
+ * Listeners registered with on() are called while it is consumed:
+ * 'chunk' (chunk, snapshot), 'content' (delta, snapshot), 'tool_call.delta' (delta, toolCall),
+ * 'end' (completion) and 'error' (error). Use tee() to read it twice.
+ *
+ * For JSON output (response_format json_object/json_schema, or content that opens an object or
+ * array) and tool call arguments, 'partial_object' (object, snapshot) and 'tool_call.partial'
+ * (args, toolCall) emit the JSON parsed so far whenever it grows; partialObjects() iterates the former.
+ *
+ * Token usage and Agentlify routing metadata (cost, selected model) are available as `usage` and
+ * `meta` once the chunks carrying them have been read; request usage with
+ * `stream_options: {include_usage: true}`.
+ *
+ * abort() (or the request's AbortSignal) stops the upstream request and makes reads throw
+ * APIUserAbortError; leaving a for-await loop early aborts it too.
+ */
+class ChatCompletionStream extends EventEmitter {
+  /**
+   * @param {AsyncIterable} stream - Response body chunks
+   * @param {Object} [options] - Stream options
+   * @param {AbortController} [options.controller] - Controller for the upstream request
+   * @param {number} [options.idleTimeout] - Milliseconds without any bytes before the stream fails with StreamIdleTimeoutError
+   * @param {Object} [options.responseFormat] - The request's response_format; JSON formats parse all content as JSON
+   * @param {Function} [options.onChunk] - Called with each parsed chunk before it is yielded
+   * @param {Function} [options.onError] - Called with stream errors; resolves to the error to throw
+   * @param {Function} [options.onClose] - Called once when the stream ends, fails or is aborted
+   */
+  constructor(stream,{controller=new AbortController(),idleTimeout=null,responseFormat,onChunk,onError,onClose}={}) {
+    super();
+    this.stream=stream;
+    this.controller=controller;
+    this.idleTimeout=idleTimeout;
+    this._hooks={onChunk,onError};
+    this._onClose=onClose||null;
+    if(this._onClose) {
+      this._close=this._close.bind(this);
+      controller.signal.addEventListener('abort',this._close,{once: true});
+    }
+    this._idleError=null;
+    this._chunks=null;
+    this._consumed=false;
+    this._finished=false;
+    this._snapshot=null;
+    this.lastEventId=null;
+    // Set from the chunks that carry them (the final chunk with stream_options.include_usage)
+    this.usage=null;
+    this.meta=null;
+    // Usage of the earlier requests of a stream that spans several (chat.runTools)
+    this._previousUsage=null;
+    this._partials=new Map();
+    // Other content is only parsed for 'partial_object' when it opens an object or array
+    this._jsonOutput=JSON_RESPONSE_FORMATS.includes(responseFormat?.type);
+
+    this._ended=new Promise((resolve,reject) => {
+      this._resolveEnded=resolve;
+      this._rejectEnded=reject;
+    });
+    // Only observed by finalChatCompletion(); iteration reports errors itself
+    this._ended.catch(() => {});
+  }
+
+  /**
+   * Create a stream over already-parsed chunks
+   * @private
+   */
+  static _fromChunks(chunks,options={}) {
+    const stream=new ChatCompletionStream(null,options);
+    stream._chunks=chunks;
+    return stream;
+  }
+
+  /**
+   * Start the next request of a stream that spans several (chat.runTools): the snapshot and
+   * partial JSON restart, so finalChatCompletion() describes the latest request, while usage
+   * carries over and is summed across requests
+   * @private
+   */
+  _startTurn() {
+    this._previousUsage=this.usage;
+    this._snapshot=null;
+    this._partials.clear();
+  }
+
+  /**
+   * Async iterator for streaming chunks
+   */
+  async *[Symbol.asyncIterator]() {
+    if(this._consumed) {
+      throw new Error('ChatCompletionStream has already been consumed; use tee() to read it more than once');
+    }
+    this._consumed=true;
+
+    const {onChunk,onError}=this._hooks;
+    let settled=false;
+
+    try {
+      for await(const chunk of this._chunks? this._guard(this._chunks,null):this._iterate()) {
+        if(onChunk) {
+          await onChunk(chunk);
+        }
+        this._accumulate(chunk);
+        yield chunk;
+      }
+      this._finished=true;
+    } catch(caught) {
+      const mapped=this._mapError(caught);
+      const error=onError? await onError(mapped):mapped;
+      settled=true;
+      this._rejectEnded(error);
+      this.emit('error',error);
+      throw error;
+    } finally {
+      if(!settled) {
+        settled=true;
+        this._settle();
+      }
+      // Close the upstream connection when the consumer stopped early
+      if(!this._finished) {
+        this.controller.abort();
+      }
+      this._close();
+    }
+  }
+
+  /**
+   * Run the onClose hook, once
+   * @private
+   */
+  _close() {
+    const onClose=this._onClose;
+    if(onClose) {
+      this._onClose=null;
+      this.controller.signal.removeEventListener('abort',this._close);
+      onClose();
+    }
+  }
+
+  /**
+   * Stop the stream and the upstream request
+   * Pending and later reads throw APIUserAbortError.
+   * @param {*} [reason] - Abort reason
+   */
+  abort(reason) {
+    this.controller.abort(reason);
+  }
+
+  /**
+   * Read an async iterable, failing fast on abort and when no data arrives for idleTimeout
+   * @private
+   */
+  async *_guard(iterable,idleTimeout) {
+    if(!iterable) {
+      return;
+    }
+
+    // Bodies may also be sync iterables (e.g. a string)
+    const iterator=(iterable[Symbol.asyncIterator]||iterable[Symbol.iterator]).call(iterable);
+    let done=false;
+
+    try {
+      while(!done) {
+        const result=await this._race(Promise.resolve(iterator.next()),idleTimeout);
+        done=result.done;
+        if(!done) {
+          yield result.value;
+        }
+      }
+    } finally {
+      if(!done) {
+        // A read may still be pending; don't wait for it
+        Promise.resolve(iterator.return?.()).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _race(read,idleTimeout) {
+    const signal=this.controller.signal;
+
+    return new Promise((resolve,reject) => {
+      let timer=null;
+      const cleanup=() => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort',onAbort);
+      };
+      const onAbort=() => {
+        cleanup();
+        reject(this._mapError(signal.reason));
+      };
+
+      if(signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort',onAbort,{once: true});
+
+      if(idleTimeout) {
+        timer=setTimeout(() => {
+          this._idleError=new StreamIdleTimeoutError(idleTimeout);
+          this.controller.abort(this._idleError);
+        },idleTimeout);
+      }
+
+      read.then(
+        (result) => {
+          cleanup();
+          resolve(result);
+        },
+        (error) => {
+          cleanup();
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Type errors caused by abort() or the idle timeout
+   * @private
+   */
+  _mapError(error) {
+    if(this._idleError) {
+      return this._idleError;
+    }
+    if(error instanceof AgentlifyError) {
+      return error;
+    }
+    if(this.controller.signal.aborted) {
+      return new APIUserAbortError('Stream was aborted',{cause: error});
+    }
+    return error;
+  }
+
+  /**
+   * Finish after the last chunk, or fail finalChatCompletion() when the consumer stopped early
+   * @private
+   */
+  _settle() {
+    if(this._finished) {
+      this._resolveEnded(this._snapshot);
+      this.emit('end',this._snapshot);
+    } else {
+      this._rejectEnded(new Error('ChatCompletionStream was not read to the end'));
+    }
+  }
+
+  /**
+   * Add a chunk to the snapshot and emit its events
+   * @private
+   */
+  _accumulate(chunk) {
+    const toolCalls=[];
+    this._snapshot=accumulateChunk(this._snapshot,chunk,(...merged) => toolCalls.push(merged));
+    if(chunk.usage&&this._previousUsage) {
+      this._snapshot.usage=addUsage(this._previousUsage,chunk.usage);
+    }
+    this.usage=this._snapshot.usage||this._previousUsage;
+    this.meta=this._snapshot._meta||null;
+    this.emit('chunk',chunk,this._snapshot);
+
+    for(const choice of chunk.choices||[]) {
+      const delta=choice.delta||{};
+      const index=choice.index??0;
+      const message=this._snapshot.choices[index].message;
+
+      if(typeof delta.content==='string'&&delta.content) {
+        this.emit('content',delta.content,message.content);
+        if(this._jsonOutput||/^\s*[[{]/.test(message.content)) {
+          this._emitPartial('partial_object',`${index}`,message.content,message.content);
+        }
+      }
+    }
+    for(const [index,callIndex,toolCall,call] of toolCalls) {
+      this.emit('tool_call.delta',toolCall,call);
+      if(toolCall.function?.arguments) {
+        this._emitPartial('tool_call.partial',`${index}:${callIndex}`,call.function.arguments,call);
+      }
+    }
+  }
+
+  /**
+   * Emit the partially parsed JSON of a content or arguments snapshot when it has changed
+   * Only done while someone listens; text that is not JSON is skipped.
+   * @private
+   */
+  _emitPartial(event,key,text,argument) {
+    if(this.listenerCount(event)===0) {
+      return;
+    }
+
+    let value;
+    try {
+      value=parsePartialJSON(text);
+    } catch(error) {
+      return;
+    }
+
+    const serialized=JSON.stringify(value);
+    if(value===undefined||this._partials.get(`${event}:${key}`)===serialized) {
+      return;
+    }
+    this._partials.set(`${event}:${key}`,serialized);
+    this.emit(event,value,argument);
+  }
+
+  /**
+   * Parse server-sent events into completion chunks
+   * Chunks are yielded as sent by the server (id, routed model, role and tool_calls deltas,
+   * finish_reason, _meta). Error events become APIErrors and malformed frames StreamParseErrors.
+   * @private
+   */
+  async *_iterate() {
+    for await(const sse of iterSSEMessages(this._guard(this.stream,this.idleTimeout))) {
+      if(sse.id) {
+        this.lastEventId=sse.id;
+      }
+
+      if(sse.data==='[DONE]') {
+        break;
+      }
+
+      yield this._parseEvent(sse);
+    }
+  }
+
+  /**
+   * Parse an event's JSON payload, throwing for error events and malformed frames
+   * @private
+   */
+  _parseEvent(sse) {
+    let data;
+    try {
+      data=JSON.parse(sse.data);
+    } catch(error) {
+      if(sse.event==='error') {
+        // Plain-text error event
+        throw createAPIError(undefined,sse.data||'Stream error',null);
+      }
+      throw new StreamParseError(`Malformed stream frame: ${error.message}`,sse.data,{cause: error});
+    }
+
+    if(sse.event==='error'||data?.error) {
+      const status=typeof data?.status==='number'? data.status:data?.error?.status;
+      const message=data?.error?.message||data?.message||'Stream error';
+      throw createAPIError(typeof status==='number'? status:undefined,message,data);
+    }
+
+    if(!data||typeof data!=='object') {
+      throw new StreamParseError('Malformed stream frame: expected a JSON object',sse.data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Read the stream to the end, emitting events, unless it is already being read
+   * @returns {Promise<void>}
+   */
+  async done() {
+    if(!this._consumed) {
+      const iterator=this[Symbol.asyncIterator]();
+      (async () => {
+        for(let result=await iterator.next();!result.done;result=await iterator.next()) {
+          // Events are emitted while iterating
+        }
+      })().catch(() => {});
+    }
+    await this._ended;
+  }
+
+  /**
+   * Assemble the streamed chunks into a complete chat completion
+   * Content is concatenated, tool call argument fragments merged, and usage/_meta kept when sent.
+   * @returns {Promise<Object>} Chat completion response
+   */
+  async finalChatCompletion() {
+    await this.done();
+    if(!this._snapshot) {
+      throw new StreamParseError('Stream ended without any chunks',null);
+    }
+    return this._snapshot;
+  }
+
+  /**
+   * Read the stream, yielding the JSON content parsed so far each time it grows
+   * Suited to streaming json_object/json_schema completions into a UI as fields fill in.
+   * @returns {AsyncGenerator<Object>} Progressively more complete objects
+   *
+   * @example
+   * for await (const partial of stream.partialObjects()) {
+   *   render(partial); // {title: 'Q3 rep'} ... {title: 'Q3 report', items: [...]}
+   * }
+   */
+  async *partialObjects() {
+    const objects=[];
+    const onPartial=object => objects.push(object);
+    this.on('partial_object',onPartial);
+
+    const iterator=this[Symbol.asyncIterator]();
+    try {
+      for(let result=await iterator.next();!result.done;result=await iterator.next()) {
+        yield* objects.splice(0);
+      }
+    } finally {
+      this.off('partial_object',onPartial);
+      // Stopping early closes the stream (and the upstream request)
+      await iterator.return();
+    }
+  }
+
+  /**
+   * Split the stream into two independent streams
+   * Each receives every chunk; this stream must not be read afterwards. Leaving a branch's
+   * for-await loop early or aborting it stops only that branch; once both branches have stopped,
+   * this stream and the upstream request are aborted.
+   * @returns {Array<ChatCompletionStream>} Two streams
+   */
+  tee() {
+    const iterator=this[Symbol.asyncIterator]();
+    const branches=[{queue: [],open: true},{queue: [],open: true}];
+    let finished=false;
+
+    const close=(branch) => {
+      if(!branch.open) {
+        return;
+      }
+      branch.open=false;
+      branch.queue.length=0;
+      if(!finished&&branches.every(other => !other.open)) {
+        finished=true;
+        this.controller.abort();
+        Promise.resolve(iterator.return()).catch(() => {});
+      }
+    };
+
+    const chunks=(branch) => ({
+      [Symbol.asyncIterator]: () => ({
+        next: () => {
+          if(!branch.open) {
+            return Promise.resolve({value: undefined,done: true});
+          }
+          if(branch.queue.length===0) {
+            const result=iterator.next();
+            // A branch that is never read must not surface the error as unhandled
+            result.then(({done}) => {
+              finished=finished||done;
+            },() => {
+              finished=true;
+            });
+            for(const other of branches) {
+              if(other.open) {
+                other.queue.push(result);
+              }
+            }
+          }
+          return branch.queue.shift();
+        },
+        return: () => {
+          close(branch);
+          return Promise.resolve({value: undefined,done: true});
+        }
+      })
+    });
+
+    return branches.map((branch) => {
+      const stream=ChatCompletionStream._fromChunks(chunks(branch));
+      stream._jsonOutput=this._jsonOutput;
+      stream.controller.signal.addEventListener('abort',() => close(branch),{once: true});
+      return stream;
+    });
+  }
+
+  /**
+   * Create a stream from a body produced by toReadableStream() or pipeToResponse(),
+   * e.g. `fetch('/api/chat').then(res => ChatCompletionStream.fromReadableStream(res.body))`
+   * @param {ReadableStream} readableStream - text/event-stream body
+   * @returns {ChatCompletionStream} Stream
+   */
+  static fromReadableStream(readableStream) {
+    return new ChatCompletionStream(iterateReadableStream(readableStream));
+  }
+
+  /**
+   * Re-encode the chunks as server-sent event frames, ending with [DONE]
+   * Errors are sent as an `error` event, which fromReadableStream() surfaces as an APIError.
+   * @private
+   */
+  async *_encode() {
+    try {
+      for await(const chunk of this) {
+        yield encodeSSE({data: JSON.stringify(chunk)});
+      }
+      yield encodeSSE({data: '[DONE]'});
+    } catch(error) {
+      yield encodeSSE({event: 'error',data: JSON.stringify(serializeStreamError(error))});
+    }
+  }
+
+  /**
+   * Convert to a Web ReadableStream of text/event-stream bytes
+   * Suitable as a fetch Response body; cancelling it aborts the upstream request.
+   * @returns {ReadableStream<Uint8Array>} Stream
+   */
+  toReadableStream() {
+    const ReadableStream=loadReadableStream();
+    const frames=this._encode();
+    const encoder=new TextEncoder();
+    const controller=this.controller;
+
+    return new ReadableStream({
+      async pull(readable) {
+        const {value,done}=await frames.next();
+        if(done) {
+          readable.close();
+        } else {
+          readable.enqueue(encoder.encode(value));
+        }
+      },
+      async cancel() {
+        controller.abort();
+        await frames.return();
+      }
+    });
+  }
+
+  /**
+   * Write the stream to a Node.js http.ServerResponse (or Express response) as server-sent events
+   * Each frame is flushed as it arrives; if the client disconnects the upstream request is aborted.
+   * Upstream errors are sent as an `error` event (and emitted as 'error') before the response ends.
+   * @param {http.ServerResponse} res - Response to write to
+   * @returns {Promise<void>} Resolves when the response has ended
+   */
+  async pipeToResponse(res) {
+    if(!res.headersSent) {
+      for(const [name,value] of Object.entries(SSE_HEADERS)) {
+        if(!res.getHeader(name)) {
+          res.setHeader(name,value);
+        }
+      }
+      res.statusCode=res.statusCode||200;
+      res.flushHeaders?.();
+    }
+
+    let disconnected=false;
+    const onClose=() => {
+      if(!res.writableEnded) {
+        disconnected=true;
+        this.controller.abort();
+      }
+    };
+    res.on('close',onClose);
+
+    try {
+      for await(const frame of this._encode()) {
+        if(disconnected) {
+          break;
+        }
+        if(!res.write(frame)) {
+          await waitForDrain(res);
+        }
+        // Compression middleware buffers unless flushed
+        res.flush?.();
+      }
+    } finally {
+      res.removeListener('close',onClose);
+      if(!disconnected&&!res.writableEnded) {
+        res.end();
+      }
+    }
+  }
+
+  /**
+   * Convert stream to array of chunks
+   */
+  async toArray() {
+    const chunks=[];
+    for await(const chunk of this) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  /**
+   * Get the final completion text
+   */
+  async getText() {
+    let text='';
+    for await(const chunk of this) {
+      text+=getChunkText(chunk)||'';
+    }
+    return text;
+  }
+}
+
+module.exports={
+  ChatCompletionStream,
+  accumulateChunk,
+  getChunkText
+};
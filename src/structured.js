@@ -0,0 +1,309 @@
+/**
+ * Agentlify Structured Outputs
+ * json_schema response formats, and parsing and validating the JSON the model returns
+ */
+
+const {InvalidRequestError,ResponseValidationError}=require('./errors');
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return !!value&&typeof value==='object'&&!Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function typeOf(value) {
+  if(value===null) {
+    return 'null';
+  }
+  if(Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * @private
+ */
+function matchesType(value,type) {
+  switch(type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value==='number'&&Number.isFinite(value);
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return typeOf(value)===type;
+  }
+}
+
+/**
+ * Format a path of keys and indexes as `$.items[0].name`
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} Path
+ */
+function formatPath(segments) {
+  return segments.reduce((path,segment) => (
+    typeof segment==='number'? `${path}[${segment}]`:`${path}.${segment}`
+  ),'$');
+}
+
+/**
+ * Resolve a local `#/...` reference against the root schema
+ * @private
+ */
+function resolveRef(ref,root) {
+  if(!ref.startsWith('#')) {
+    throw new InvalidRequestError(`Only local schema references are supported, got "${ref}"`,'response_format');
+  }
+  const target=ref.slice(1).split('/').filter(Boolean).reduce(
+    (node,part) => node?.[part.replace(/~1/g,'/').replace(/~0/g,'~')],
+    root
+  );
+  if(target===undefined) {
+    throw new InvalidRequestError(`Unresolved schema reference "${ref}"`,'response_format');
+  }
+  return target;
+}
+
+/**
+ * @private
+ */
+function checkSchema(value,schema,path,root,issues) {
+  if(schema===true||schema===undefined) {
+    return;
+  }
+  if(schema===false) {
+    issues.push({path,message: 'is not allowed'});
+    return;
+  }
+  if(schema.$ref) {
+    checkSchema(value,resolveRef(schema.$ref,root),path,root,issues);
+    return;
+  }
+
+  for(const sub of schema.allOf||[]) {
+    checkSchema(value,sub,path,root,issues);
+  }
+  const alternatives=schema.anyOf||schema.oneOf;
+  if(alternatives) {
+    const matches=alternatives.filter(sub => validateJSONSchema(value,sub,root,path).length===0).length;
+    if(matches===0||(schema.oneOf&&matches>1)) {
+      issues.push({path,message: matches===0? 'does not match any of the allowed schemas':'matches more than one schema'});
+      return;
+    }
+  }
+
+  if(schema.const!==undefined&&JSON.stringify(value)!==JSON.stringify(schema.const)) {
+    issues.push({path,message: `must be ${JSON.stringify(schema.const)}`});
+    return;
+  }
+  if(schema.enum&&!schema.enum.some(option => JSON.stringify(option)===JSON.stringify(value))) {
+    issues.push({path,message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`});
+    return;
+  }
+
+  if(schema.type) {
+    const types=Array.isArray(schema.type)? schema.type:[schema.type];
+    if(!types.some(type => matchesType(value,type))) {
+      issues.push({path,message: `expected ${types.join(' or ')}, received ${typeOf(value)}`});
+      return;
+    }
+  }
+
+  if(typeof value==='string') {
+    if(schema.minLength!==undefined&&value.length<schema.minLength) {
+      issues.push({path,message: `must have at least ${schema.minLength} characters`});
+    }
+    if(schema.maxLength!==undefined&&value.length>schema.maxLength) {
+      issues.push({path,message: `must have at most ${schema.maxLength} characters`});
+    }
+    if(schema.pattern!==undefined&&!new RegExp(schema.pattern,'u').test(value)) {
+      issues.push({path,message: `must match ${schema.pattern}`});
+    }
+  }
+
+  if(typeof value==='number') {
+    if(schema.minimum!==undefined&&value<schema.minimum) {
+      issues.push({path,message: `must be >= ${schema.minimum}`});
+    }
+    if(schema.maximum!==undefined&&value>schema.maximum) {
+      issues.push({path,message: `must be <= ${schema.maximum}`});
+    }
+    if(schema.exclusiveMinimum!==undefined&&value<=schema.exclusiveMinimum) {
+      issues.push({path,message: `must be > ${schema.exclusiveMinimum}`});
+    }
+    if(schema.exclusiveMaximum!==undefined&&value>=schema.exclusiveMaximum) {
+      issues.push({path,message: `must be < ${schema.exclusiveMaximum}`});
+    }
+  }
+
+  if(Array.isArray(value)) {
+    if(schema.minItems!==undefined&&value.length<schema.minItems) {
+      issues.push({path,message: `must have at least ${schema.minItems} items`});
+    }
+    if(schema.maxItems!==undefined&&value.length>schema.maxItems) {
+      issues.push({path,message: `must have at most ${schema.maxItems} items`});
+    }
+    if(schema.items!==undefined) {
+      value.forEach((item,index) => checkSchema(item,schema.items,[...path,index],root,issues));
+    }
+  }
+
+  if(isPlainObject(value)) {
+    const properties=schema.properties||{};
+    for(const key of schema.required||[]) {
+      if(!(key in value)) {
+        issues.push({path: [...path,key],message: 'is required'});
+      }
+    }
+    for(const [key,item] of Object.entries(value)) {
+      if(key in properties) {
+        checkSchema(item,properties[key],[...path,key],root,issues);
+      } else if(schema.additionalProperties===false) {
+        issues.push({path: [...path,key],message: 'is not an allowed property'});
+      } else if(isPlainObject(schema.additionalProperties)) {
+        checkSchema(item,schema.additionalProperties,[...path,key],root,issues);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the subset used for structured outputs: type, enum, const, properties, required,
+ * additionalProperties, items, anyOf/oneOf/allOf, local $ref and the string, number and array bounds.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {Object} [root] - Root schema for resolving $ref (defaults to schema)
+ * @param {Array<string|number>} [path] - Path of the value
+ * @returns {Array<{path: Array<string|number>, message: string}>} Issues, empty when valid
+ */
+function validateJSONSchema(value,schema,root=schema,path=[]) {
+  const issues=[];
+  checkSchema(value,schema,path,root,issues);
+  return issues;
+}
+
+/**
+ * Check for a Zod-like schema (anything with safeParse)
+ * @private
+ */
+function isZodLike(schema) {
+  return !!schema&&typeof schema.safeParse==='function';
+}
+
+/**
+ * Resolve the response_format passed to chat.parse
+ * Accepts a JSON Schema, a `{type: 'json_schema', json_schema}` format, or a Zod-like schema
+ * (validated with safeParse; sent as json_schema when it has toJSONSchema(), as json_object otherwise).
+ * @param {Object} format - Schema or response format
+ * @returns {{responseFormat: Object, validate: Function}} Format to send and validator returning {value, issues}
+ */
+function resolveResponseFormat(format) {
+  if(!format||typeof format!=='object') {
+    throw new InvalidRequestError('chat.parse requires response_format to be a JSON Schema or a schema object','response_format');
+  }
+
+  if(isZodLike(format)) {
+    const jsonSchema=typeof format.toJSONSchema==='function'? format.toJSONSchema():null;
+    return {
+      responseFormat: jsonSchema
+        ? {type: 'json_schema',json_schema: {name: format.description||'response',schema: jsonSchema}}
+        :{type: 'json_object'},
+      validate: (value) => {
+        const result=format.safeParse(value);
+        if(result.success) {
+          return {value: result.data,issues: []};
+        }
+        const issues=(result.error?.issues||[{path: [],message: result.error?.message||'is invalid'}])
+          .map(issue => ({path: issue.path||[],message: issue.message}));
+        return {value,issues};
+      }
+    };
+  }
+
+  const responseFormat=format.type==='json_schema'&&format.json_schema
+    ? format
+    :{type: 'json_schema',json_schema: {name: toSchemaName(format.title),schema: format}};
+  const schema=responseFormat.json_schema.schema;
+
+  if(!isPlainObject(schema)) {
+    throw new InvalidRequestError('response_format.json_schema.schema must be an object','response_format');
+  }
+
+  return {
+    responseFormat,
+    validate: value => ({value,issues: validateJSONSchema(value,schema)})
+  };
+}
+
+/**
+ * Schema names may only contain letters, digits, underscores and dashes
+ * @private
+ */
+function toSchemaName(title) {
+  const name=typeof title==='string'? title.replace(/[^a-zA-Z0-9_-]+/g,'_').slice(0,64):'';
+  return name||'response';
+}
+
+/**
+ * Parse and validate the JSON content of every choice, setting `message.parsed`
+ * Refusals and choices without content get `parsed: null`.
+ * @param {Object} completion - Chat completion response
+ * @param {Object} format - Result of resolveResponseFormat
+ * @returns {Object} The completion, with `message.parsed` set
+ * @throws {ResponseValidationError} When content is truncated, not JSON, or does not match the schema
+ */
+function parseCompletion(completion,format) {
+  for(const choice of completion?.choices||[]) {
+    const message=choice.message;
+    if(!message) {
+      continue;
+    }
+    if(message.refusal||typeof message.content!=='string') {
+      message.parsed=null;
+      continue;
+    }
+
+    const content=message.content;
+    if(choice.finish_reason==='length') {
+      throw new ResponseValidationError('Response was cut off by max_tokens before the JSON was complete',{
+        content,
+        completion
+      });
+    }
+
+    let value;
+    try {
+      value=JSON.parse(content);
+    } catch(error) {
+      throw new ResponseValidationError(`Response is not valid JSON: ${error.message}`,{content,completion,cause: error});
+    }
+
+    const result=format.validate(value);
+    if(result.issues.length>0) {
+      const issues=result.issues.map(issue => ({path: formatPath(issue.path),message: issue.message}));
+      throw new ResponseValidationError(`Response does not match the schema: ${issues[0].path} ${issues[0].message}`,{
+        path: issues[0].path,
+        issues,
+        content,
+        completion
+      });
+    }
+    message.parsed=result.value;
+  }
+
+  return completion;
+}
+
+module.exports={
+  validateJSONSchema,
+  resolveResponseFormat,
+  parseCompletion,
+  formatPath
+};
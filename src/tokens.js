@@ -0,0 +1,465 @@
+/**
+ * Agentlify Token Estimates
+ * Local prompt token estimates, context windows and truncation of long histories
+ */
+
+const {InvalidRequestError}=require('./errors');
+
+/**
+ * Pre-tokenizer splitting text the way BPE tokenizers do (cl100k-style pieces)
+ * @private
+ */
+const PIECE_PATTERN=/'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+/**
+ * Tokens added per message (role and separators), per name, and to prime the reply
+ */
+const MESSAGE_OVERHEAD=3;
+const NAME_OVERHEAD=1;
+const REPLY_OVERHEAD=3;
+
+/**
+ * Estimated tokens for media content parts
+ * Images use OpenAI's tile costs for an unknown size (85 at low detail, a 1024px image otherwise).
+ */
+const MEDIA_TOKENS={
+  image_low: 85,
+  image: 765,
+  input_audio: 1000,
+  file: 1000
+};
+
+/**
+ * Tokens kept free for the reply when truncating and neither max_tokens nor reserveTokens is set
+ * (at most a quarter of the budget, so small budgets still leave room for the prompt)
+ */
+const DEFAULT_RESERVE_TOKENS=1024;
+
+/**
+ * Instructions of the default summarizer
+ */
+const SUMMARY_PROMPT='Summarize this conversation in a few sentences. Keep names, numbers, decisions and open questions.';
+
+/**
+ * Fields of a getModels() entry that may hold its context window
+ * @private
+ */
+const CONTEXT_WINDOW_FIELDS=['context_window','contextWindow','context_length','contextLength','max_context_tokens'];
+
+/**
+ * Estimate the tokens of a text
+ * Not a tokenizer: splits the text like a BPE pre-tokenizer and guesses each piece's tokens from its
+ * length and script. Meant to err on the high side, but only an estimate; counts that must be accurate
+ * need a real `tokenizer` (see countTokens).
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function countTextTokens(text) {
+  if(!text) {
+    return 0;
+  }
+
+  let tokens=0;
+  for(const [piece] of String(text).matchAll(PIECE_PATTERN)) {
+    const trimmed=piece.trim();
+    if(!trimmed) {
+      tokens++;
+    } else if(/^[\x20-\x7E]+$/.test(trimmed)) {
+      // ASCII words are usually one token; long ones and runs of symbols split further
+      tokens+=/\p{L}/u.test(trimmed)? Math.ceil(trimmed.length/6):Math.ceil(trimmed.length/3);
+    } else if(/\p{Script=Latin}/u.test(trimmed)) {
+      tokens+=Math.ceil([...trimmed].length/3);
+    } else {
+      // CJK and other scripts: about one token per character
+      tokens+=[...trimmed].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * @private
+ */
+function countContentTokens(content,count) {
+  if(typeof content==='string') {
+    return count(content);
+  }
+  if(!Array.isArray(content)) {
+    return 0;
+  }
+
+  let tokens=0;
+  for(const part of content) {
+    switch(part?.type) {
+      case 'text':
+        tokens+=count(part.text);
+        break;
+      case 'refusal':
+        tokens+=count(part.refusal);
+        break;
+      case 'image_url':
+        tokens+=part.image_url?.detail==='low'? MEDIA_TOKENS.image_low:MEDIA_TOKENS.image;
+        break;
+      default:
+        tokens+=MEDIA_TOKENS[part?.type]??0;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Estimate the tokens of one message, including its overhead
+ * @param {Object} message - Chat message
+ * @param {Object} [options] - Options, see countTokens
+ * @returns {number} Estimated tokens
+ */
+function countMessageTokens(message,{model,tokenizer}={}) {
+  const count=tokenizer? text => tokenizer(String(text??''),model):countTextTokens;
+
+  let tokens=MESSAGE_OVERHEAD+count(message.role)+countContentTokens(message.content,count);
+  if(message.name) {
+    tokens+=NAME_OVERHEAD+count(message.name);
+  }
+  if(message.function_call) {
+    tokens+=count(message.function_call.name)+count(message.function_call.arguments);
+  }
+  for(const toolCall of message.tool_calls||[]) {
+    tokens+=MESSAGE_OVERHEAD+count(toolCall.function?.name)+count(toolCall.function?.arguments);
+  }
+  if(message.tool_call_id) {
+    tokens+=count(message.tool_call_id);
+  }
+  return tokens;
+}
+
+/**
+ * Estimate the prompt tokens of a chat request, locally
+ * Without `tokenizer` the count is a heuristic estimate, not a BPE tokenization; pass one
+ * (e.g. from js-tiktoken) for accurate counts.
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} [options] - Options
+ * @param {string} [options.model] - Model the messages are for (passed to the tokenizer)
+ * @param {Array<Object>} [options.tools] - Tool definitions sent with the messages
+ * @param {Function} [options.tokenizer] - (text, model) => number of tokens
+ * @returns {number} Estimated prompt tokens
+ *
+ * @example
+ * const { countTokens } = require('agentlify-js');
+ * if (countTokens(messages, { model: 'gpt-4o' }) > 100000) { ... }
+ */
+function countTokens(messages,{model,tools,tokenizer}={}) {
+  if(!Array.isArray(messages)) {
+    throw new InvalidRequestError('messages must be an array','messages');
+  }
+
+  let tokens=REPLY_OVERHEAD;
+  for(const message of messages) {
+    tokens+=countMessageTokens(message||{},{model,tokenizer});
+  }
+  if(Array.isArray(tools)&&tools.length>0) {
+    // Callbacks are stripped before tools are sent
+    const definitions=tools.map(tool => {
+      const definition={...tool};
+      delete definition.callback;
+      return definition;
+    });
+    tokens+=(tokenizer? tokenizer(JSON.stringify(definitions),model):countTextTokens(JSON.stringify(definitions)));
+  }
+  return tokens;
+}
+
+/**
+ * Read the context window of a getModels() entry
+ * @param {Object} model - Model entry
+ * @returns {number|null} Context window in tokens
+ */
+function getModelContextWindow(model) {
+  for(const field of CONTEXT_WINDOW_FIELDS) {
+    const value=model?.[field];
+    if(typeof value==='number'&&value>0) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a model in a getModels() list by id, provider-prefixed id (`openai:gpt-4o`) or name
+ * @param {Array<Object>} models - getModels() entries
+ * @param {string} model - Model id or name
+ * @returns {Object|null} Model entry
+ */
+function findModel(models,model) {
+  return models.find(entry => entry.id===model)||
+    models.find(entry => typeof entry.id==='string'&&entry.id.endsWith(`:${model}`))||
+    models.find(entry => entry.name===model)||
+    null;
+}
+
+/**
+ * Normalize the truncation option
+ * @private
+ */
+function resolveTruncation(truncation) {
+  if(truncation===true||truncation==='auto') {
+    return {strategy: 'drop_oldest'};
+  }
+  if(typeof truncation==='string') {
+    truncation={strategy: truncation};
+  }
+  if(!truncation||typeof truncation!=='object') {
+    throw new InvalidRequestError('truncation must be true, \'drop_oldest\', \'summarize\' or an options object','truncation');
+  }
+
+  const strategy=truncation.strategy||'drop_oldest';
+  if(!['drop_oldest','summarize'].includes(strategy)) {
+    throw new InvalidRequestError('truncation.strategy must be \'drop_oldest\' or \'summarize\'','truncation');
+  }
+  for(const key of ['maxTokens','reserveTokens','summaryTokens']) {
+    if(truncation[key]!==undefined&&(!Number.isInteger(truncation[key])||truncation[key]<0)) {
+      throw new InvalidRequestError(`truncation.${key} must be a non-negative integer`,'truncation');
+    }
+  }
+  for(const key of ['summarize','tokenizer']) {
+    if(truncation[key]!==undefined&&typeof truncation[key]!=='function') {
+      throw new InvalidRequestError(`truncation.${key} must be a function`,'truncation');
+    }
+  }
+
+  return {...truncation,strategy};
+}
+
+/**
+ * Group messages into turns that are kept or dropped together
+ * System messages are pinned; an assistant message with tool calls stays with its tool results.
+ * @private
+ */
+function groupTurns(messages) {
+  const turns=[];
+  for(const [index,message] of messages.entries()) {
+    const previous=turns[turns.length-1];
+    if(message.role==='system'||message.role==='developer') {
+      turns.push({pinned: true,indexes: [index]});
+    } else if(message.role==='tool'&&previous&&!previous.pinned&&previous.toolCalls) {
+      previous.indexes.push(index);
+    } else {
+      turns.push({pinned: false,toolCalls: !!message.tool_calls?.length,indexes: [index]});
+    }
+  }
+  return turns;
+}
+
+/**
+ * Longest prefix of a text within maxTokens, as measured by count
+ * @private
+ */
+function trimToTokens(text,maxTokens,count) {
+  if(count(text)<=maxTokens) {
+    return text;
+  }
+  let low=0;
+  let high=text.length-1;
+  while(low<high) {
+    const middle=Math.ceil((low+high)/2);
+    if(count(text.slice(0,middle))<=maxTokens) {
+      low=middle;
+    } else {
+      high=middle-1;
+    }
+  }
+  return text.slice(0,low).trimEnd();
+}
+
+/**
+ * Split a transcript into consecutive pieces of about maxTokens tokens at most, cutting longer lines
+ * @private
+ */
+function chunkTranscript(transcript,maxTokens,count) {
+  const chunks=[];
+  let current=[];
+  let tokens=0;
+  for(const line of transcript.split('\n')) {
+    const piece=trimToTokens(line,maxTokens,count);
+    const size=count(piece)+1;
+    if(current.length>0&&tokens+size>maxTokens) {
+      chunks.push(current.join('\n'));
+      current=[];
+      tokens=0;
+    }
+    current.push(piece);
+    tokens+=size;
+  }
+  if(current.length>0) {
+    chunks.push(current.join('\n'));
+  }
+  return chunks;
+}
+
+/**
+ * Plain-text transcript of messages for summarization
+ * @private
+ */
+function toTranscript(messages) {
+  return messages.map(message => {
+    const content=Array.isArray(message.content)
+      ? message.content.map(part => part.text??part.refusal??`[${part.type}]`).join(' ')
+      :message.content||'';
+    const calls=(message.tool_calls||[]).map(call => `${call.function?.name}(${call.function?.arguments||''})`);
+    return `${message.role}: ${[content,...calls].filter(Boolean).join(' ')}`;
+  }).join('\n');
+}
+
+/**
+ * Shorten a history to fit a token budget
+ * Keeps every system message and the latest user message with everything after it, and drops the
+ * oldest turns first (an assistant tool call and its results count as one turn). With the 'summarize' strategy the dropped turns are replaced by
+ * a system message holding their summary, cut to summaryTokens when the summarizer returns more.
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} options - Options
+ * @param {number} options.maxTokens - Prompt token budget
+ * @param {string} [options.strategy] - 'drop_oldest' (default) or 'summarize'
+ * @param {Function} [options.summarize] - async (droppedMessages, transcript) => summary text; required for 'summarize'
+ * @param {number} [options.summaryTokens] - Tokens set aside for the summary (default 512)
+ * @param {Object} [options.countOptions] - Options for countTokens (model, tools, tokenizer)
+ * @returns {Promise<{messages: Array<Object>, dropped: number, tokens: number}>} Truncated messages
+ * @throws {InvalidRequestError} With code 'context_length_exceeded' when the pinned messages alone do not fit
+ */
+async function truncateMessages(messages,{maxTokens,strategy='drop_oldest',summarize,summaryTokens=512,countOptions={}}) {
+  const {tools,...messageOptions}=countOptions;
+  const fixed=countTokens([],{...countOptions,tools});
+  const sizes=messages.map(message => countMessageTokens(message,messageOptions));
+  const total=sizes.reduce((sum,size) => sum+size,fixed);
+
+  if(total<=maxTokens) {
+    return {messages,dropped: 0,tokens: total};
+  }
+
+  const budget=strategy==='summarize'? maxTokens-summaryTokens:maxTokens;
+  const turns=groupTurns(messages);
+  const lastUser=messages.map(message => message.role).lastIndexOf('user');
+  const keepFrom=lastUser===-1? messages.length-1:lastUser;
+  const dropped=new Set();
+  let tokens=total;
+
+  for(const turn of turns) {
+    if(tokens<=budget) {
+      break;
+    }
+    if(turn.pinned||turn.indexes[turn.indexes.length-1]>=keepFrom) {
+      continue;
+    }
+    for(const index of turn.indexes) {
+      dropped.add(index);
+      tokens-=sizes[index];
+    }
+  }
+
+  if(tokens>budget) {
+    const error=new InvalidRequestError(
+      `Prompt needs about ${tokens} tokens after truncation, above the ${maxTokens} token budget; shorten the system prompt or latest message`,
+      'messages'
+    );
+    error.code='context_length_exceeded';
+    throw error;
+  }
+
+  let kept=messages.filter((message,index) => !dropped.has(index));
+  if(strategy==='summarize'&&dropped.size>0) {
+    const droppedMessages=messages.filter((message,index) => dropped.has(index));
+    const summary=await summarize(droppedMessages,toTranscript(droppedMessages));
+    // The summary may only use the tokens set aside for it
+    const toMessage=text => ({role: 'system',content: `Summary of the earlier conversation:\n${text}`});
+    const text=trimToTokens(String(summary??''),summaryTokens,text => countMessageTokens(toMessage(text),messageOptions));
+    const summaryMessage=toMessage(text);
+    if(text&&countMessageTokens(summaryMessage,messageOptions)<=summaryTokens) {
+      const insertAt=kept.findIndex(message => message.role!=='system'&&message.role!=='developer');
+      kept=[...kept.slice(0,insertAt===-1? kept.length:insertAt),summaryMessage,...kept.slice(insertAt===-1? kept.length:insertAt)];
+      tokens+=countMessageTokens(summaryMessage,messageOptions);
+    }
+  }
+
+  return {messages: kept,dropped: dropped.size,tokens};
+}
+
+/**
+ * Apply a chat.create / agents.run truncation option before the request is sent
+ * The budget is truncation.maxTokens, or the model's context window from getModels(), minus the
+ * tokens reserved for the reply (reserveTokens, else max_completion_tokens/max_tokens, else 1024
+ * or a quarter of the budget, whichever is smaller).
+ * @param {Agentlify} client - Client, for context windows and the default summarizer
+ * @param {Object} params - Request parameters (messages, model, tools, max_tokens, truncation)
+ * @param {Object} [options] - Per-request options, passed to the requests made here
+ * @returns {Promise<Array<Object>>} Messages to send
+ */
+async function applyTruncation(client,params,options={}) {
+  const truncation=resolveTruncation(params.truncation);
+
+  const contextWindow=truncation.maxTokens??await client.getContextWindow(params.model,options);
+  if(!contextWindow) {
+    throw new InvalidRequestError(
+      `truncation needs a token budget: pass truncation.maxTokens, or a model whose context window getModels() reports${params.model? ` (none found for ${params.model})`:''}`,
+      'truncation'
+    );
+  }
+
+  const reserve=truncation.reserveTokens??params.max_completion_tokens??params.max_tokens
+    ??Math.min(DEFAULT_RESERVE_TOKENS,Math.floor(contextWindow/4));
+  if(reserve>=contextWindow) {
+    throw new InvalidRequestError(
+      `truncation reserves ${reserve} tokens for the reply, which leaves nothing of the ${contextWindow} token budget for the prompt; `+
+      'lower reserveTokens or max_tokens, or raise truncation.maxTokens',
+      'truncation'
+    );
+  }
+  const summaryTokens=truncation.summaryTokens??512;
+  // Long transcripts are summarized piece by piece, carrying the summary so far, so that no
+  // request holds more than the budget: instructions, summary so far, one piece and the reply
+  const summaryMessages=(summary,piece) => [
+    {role: 'system',content: SUMMARY_PROMPT},
+    {role: 'user',content: summary? `Summary so far:\n${summary}\n\nContinue it with:\n${piece}`:piece}
+  ];
+  const framing=countTokens(summaryMessages(' ',''),{model: params.model,tokenizer: truncation.tokenizer});
+  const pieceTokens=contextWindow-2*summaryTokens-framing;
+  if(truncation.strategy==='summarize'&&!truncation.summarize&&pieceTokens<1) {
+    throw new InvalidRequestError(
+      `truncation.summaryTokens of ${summaryTokens} leaves no room in the ${contextWindow} token budget for the summary requests, `+
+      `which hold the summary so far and reply with up to summaryTokens; lower summaryTokens below ${Math.ceil((contextWindow-framing)/2)}`,
+      'truncation'
+    );
+  }
+  const summarize=truncation.summarize||(async (dropped,transcript) => {
+    const count=truncation.tokenizer? text => truncation.tokenizer(text,params.model):countTextTokens;
+
+    let summary='';
+    for(const piece of chunkTranscript(transcript,pieceTokens,count)) {
+      const completion=await client.chat.create({
+        // The model whose context window set the budget, when there is one
+        ...(params.model? {model: params.model}:{}),
+        messages: summaryMessages(summary,piece),
+        max_tokens: summaryTokens
+      },{signal: options.signal,routerId: options.routerId});
+      summary=completion.choices?.[0]?.message?.content||summary;
+    }
+    return summary;
+  });
+
+  const result=await truncateMessages(params.messages,{
+    maxTokens: contextWindow-reserve,
+    strategy: truncation.strategy,
+    summarize,
+    summaryTokens,
+    countOptions: {model: params.model,tools: params.tools,tokenizer: truncation.tokenizer}
+  });
+  return result.messages;
+}
+
+module.exports={
+  MEDIA_TOKENS,
+  countTextTokens,
+  countMessageTokens,
+  countTokens,
+  getModelContextWindow,
+  findModel,
+  truncateMessages,
+  applyTruncation
+};
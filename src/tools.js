@@ -0,0 +1,109 @@
+/**
+ * Agentlify Local Tools
+ * Tool callback extraction and execution shared by agents.run and chat.runTools
+ */
+
+/**
+ * Default maximum number of requests in a tool-calling loop
+ */
+const DEFAULT_MAX_TOOL_ITERATIONS=10;
+
+/**
+ * Split tool definitions into the definitions to send and their local callbacks
+ * @param {Array<Object>} tools - Tool definitions, optionally with a `callback`
+ * @returns {{tools: Array<Object>, toolCallbacks: Map<string, Function>}} Clean definitions and callbacks by function name
+ */
+function extractToolCallbacks(tools) {
+  const cleanTools=[];
+  const toolCallbacks=new Map();
+
+  for(const tool of tools) {
+    // Extract callback if present
+    const {callback,...toolDef}=tool;
+
+    if(callback&&typeof callback==='function') {
+      const toolName=tool.function?.name;
+      if(toolName) {
+        toolCallbacks.set(toolName,callback);
+      }
+    }
+
+    cleanTools.push(toolDef);
+  }
+
+  return {tools: cleanTools,toolCallbacks};
+}
+
+/**
+ * Run the callbacks for a turn's tool calls, in order
+ * Arguments are parsed from JSON; a thrown error or a missing callback becomes `{error}` so the
+ * model can recover instead of the loop failing.
+ * @param {Array<Object>} toolCalls - Tool calls from the assistant message
+ * @param {Map<string, Function>} toolCallbacks - Callbacks by function name
+ * @returns {Promise<Array<{tool_call_id: string, content: *}>>} Results
+ */
+async function executeToolCallbacks(toolCalls,toolCallbacks) {
+  const results=[];
+
+  for(const toolCall of toolCalls) {
+    const toolName=toolCall.function?.name;
+    const callback=toolCallbacks.get(toolName);
+
+    let result;
+    if(callback) {
+      try {
+        // Parse arguments
+        let args={};
+        if(toolCall.function?.arguments) {
+          args=typeof toolCall.function.arguments==='string'
+            ? JSON.parse(toolCall.function.arguments)
+            :toolCall.function.arguments;
+        }
+
+        // Execute callback
+        result=await callback(args);
+      } catch(error) {
+        result={error: error.message};
+      }
+    } else {
+      // No callback registered - return error
+      result={error: `No callback registered for tool: ${toolName}`};
+    }
+
+    results.push({
+      tool_call_id: toolCall.id,
+      content: result
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Messages continuing a conversation after a tool-calling turn
+ * @param {Object} message - Assistant message with tool_calls
+ * @param {Array<{tool_call_id: string, content: *}>} results - Results from executeToolCallbacks
+ * @returns {Array<Object>} The assistant message followed by one tool message per result
+ */
+function toolTurnMessages(message,results) {
+  return [
+    {
+      role: 'assistant',
+      content: message.content||null,
+      tool_calls: message.tool_calls
+    },
+    ...results.map(result => ({
+      role: 'tool',
+      tool_call_id: result.tool_call_id,
+      // Callbacks run for their side effects return nothing; send "null" rather than an empty message
+      content: typeof result.content==='string'&&result.content? result.content:JSON.stringify(result.content??null)
+    }))
+  ];
+}
+
+module.exports={
+  DEFAULT_MAX_TOOL_ITERATIONS,
+  extractToolCallbacks,
+  executeToolCallbacks,
+  toolTurnMessages
+};
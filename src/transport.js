@@ -0,0 +1,309 @@
+/**
+ * Agentlify HTTP Transports
+ * Axios transport for Node.js and fetch transport for browsers, Deno, Bun and edge runtimes
+ *
+ * A transport exposes a single method:
+ *   request({url, method, data, params, headers, timeout, signal, stream}) => Promise<{status, headers, data}>
+ * When `stream` is true, `data` is an async iterable of string or byte chunks.
+ * Failures are rejected with axios-shaped errors (`error.response` for HTTP errors,
+ * `error.request` when no response was received) so the client can map them uniformly.
+ */
+
+const axios=require('axios');
+
+/**
+ * Create an axios-shaped transport error
+ * @private
+ */
+function createTransportError(message,{code,response,cause}={}) {
+  const error=new Error(message);
+  error.code=code;
+  if(response) {
+    error.response=response;
+  } else {
+    error.request=true;
+  }
+  if(cause) {
+    error.cause=cause;
+  }
+  return error;
+}
+
+/**
+ * Parse a response body as JSON, falling back to the raw text
+ * @private
+ */
+function parseBody(text) {
+  if(!text) {
+    return text;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch(error) {
+    return text;
+  }
+}
+
+/**
+ * Read an async iterable of chunks into a string
+ * @private
+ */
+async function readText(iterable) {
+  const decoder=new TextDecoder();
+  let text='';
+  for await(const chunk of iterable) {
+    text+=typeof chunk==='string'? chunk:decoder.decode(chunk,{stream: true});
+  }
+  return text+decoder.decode();
+}
+
+/**
+ * Axios-based transport (Node.js default)
+ */
+class AxiosTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.baseURL - Base URL for requests
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {Object} [options.axiosConfig] - Extra axios.create configuration
+   */
+  constructor({baseURL,timeout,axiosConfig={}}={}) {
+    this.httpClient=axios.create({
+      baseURL,
+      timeout,
+      ...axiosConfig
+    });
+  }
+
+  async request(config) {
+    const {stream,...requestConfig}=config;
+
+    try {
+      const response=await this.httpClient({
+        ...requestConfig,
+        ...(stream? {responseType: 'stream'}:{})
+      });
+
+      return {
+        status: response.status,
+        headers: response.headers||{},
+        data: response.data
+      };
+    } catch(error) {
+      // Streaming error bodies arrive as a stream; read them so the message is not lost
+      const data=error.response?.data;
+      if(stream&&data&&typeof data!=='string'&&typeof data[Symbol.asyncIterator]==='function') {
+        error.response.data=parseBody(await readText(data).catch(() => ''));
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Fetch-based transport (browsers, Deno, Bun, Cloudflare Workers, edge runtimes)
+ */
+class FetchTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.baseURL - Base URL for requests
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {Function} [options.fetch] - fetch implementation (defaults to globalThis.fetch)
+   */
+  constructor({baseURL,timeout,fetch}={}) {
+    const fetchImpl=fetch||globalThis.fetch;
+    if(typeof fetchImpl!=='function') {
+      throw new Error('No fetch implementation available. Pass config.fetch or use the axios transport');
+    }
+
+    this.baseURL=baseURL;
+    this.timeout=timeout;
+    // Call unbound so runtimes that require `this === globalThis` accept the call
+    this.fetch=(...args) => fetchImpl(...args);
+  }
+
+  /**
+   * Resolve an endpoint against the base URL and append query parameters
+   * @private
+   */
+  _buildURL(url,params) {
+    let fullURL=/^https?:\/\//i.test(url)||!this.baseURL
+      ? url
+      :`${this.baseURL.replace(/\/+$/,'')}/${url.replace(/^\/+/,'')}`;
+
+    if(params) {
+      const query=new URLSearchParams();
+      for(const [key,value] of Object.entries(params)) {
+        if(value!==undefined&&value!==null) {
+          query.append(key,String(value));
+        }
+      }
+      const queryString=query.toString();
+      if(queryString) {
+        fullURL+=(fullURL.includes('?')? '&':'?')+queryString;
+      }
+    }
+
+    return fullURL;
+  }
+
+  async request(config) {
+    const {url,method='GET',data,params,headers={},stream,signal}=config;
+    const timeout=config.timeout??this.timeout;
+
+    if(signal?.aborted) {
+      throw createTransportError('Request aborted',{code: 'ERR_CANCELED'});
+    }
+
+    const controller=new AbortController();
+    const onAbort=() => controller.abort();
+    signal?.addEventListener('abort',onAbort,{once: true});
+    let timedOut=false;
+    const timer=timeout
+      ? setTimeout(() => {
+        timedOut=true;
+        controller.abort();
+      },timeout)
+      :null;
+
+    const body=data===undefined||data===null||typeof data==='string'
+      ? data??undefined
+      :JSON.stringify(data);
+
+    let response;
+    try {
+      response=await this.fetch(this._buildURL(url,params),{
+        method: method.toUpperCase(),
+        headers,
+        body,
+        signal: controller.signal
+      });
+    } catch(error) {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort',onAbort);
+      if(signal?.aborted) {
+        throw createTransportError('Request aborted',{code: 'ERR_CANCELED',cause: error});
+      }
+      if(timedOut) {
+        throw createTransportError(`timeout of ${timeout}ms exceeded`,{code: 'ETIMEDOUT',cause: error});
+      }
+      throw createTransportError(error.message,{code: error.code||'ERR_NETWORK',cause: error});
+    }
+
+    const responseHeaders=Object.fromEntries(response.headers.entries());
+    let streaming=false;
+
+    try {
+      if(!response.ok) {
+        const errorBody=parseBody(await response.text());
+        throw createTransportError(`Request failed with status code ${response.status}`,{
+          code: 'ERR_BAD_RESPONSE',
+          response: {status: response.status,headers: responseHeaders,data: errorBody}
+        });
+      }
+
+      if(stream) {
+        streaming=true;
+        return {
+          status: response.status,
+          headers: responseHeaders,
+          // Streams keep listening so an abort also cancels the body, until the body is done
+          data: iterateReadableStream(response.body,() => signal?.removeEventListener('abort',onAbort))
+        };
+      }
+
+      return {
+        status: response.status,
+        headers: responseHeaders,
+        data: parseBody(await response.text())
+      };
+    } catch(error) {
+      if(error.response) {
+        throw error;
+      }
+      if(signal?.aborted) {
+        throw createTransportError('Request aborted',{code: 'ERR_CANCELED',cause: error});
+      }
+      if(timedOut) {
+        throw createTransportError(`timeout of ${timeout}ms exceeded`,{code: 'ETIMEDOUT',cause: error});
+      }
+      throw createTransportError(error.message,{code: error.code||'ERR_NETWORK',cause: error});
+    } finally {
+      clearTimeout(timer);
+      if(!streaming) {
+        signal?.removeEventListener('abort',onAbort);
+      }
+    }
+  }
+}
+
+/**
+ * Iterate a Web ReadableStream as an async iterable of byte chunks
+ * @param {ReadableStream} body - Response body
+ * @param {Function} [onDone] - Called once the body is read to the end, fails or is cancelled
+ */
+async function *iterateReadableStream(body,onDone) {
+  if(!body) {
+    onDone?.();
+    return;
+  }
+
+  const reader=body.getReader();
+  try {
+    for(;;) {
+      const {done,value}=await reader.read();
+      if(done) {
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    // Release the connection when the consumer stops early
+    reader.cancel().catch(() => {});
+    onDone?.();
+  }
+}
+
+/**
+ * Select a transport from client configuration
+ * @param {Object} config - Client configuration
+ * @param {string|Object} [config.transport] - 'axios', 'fetch' or a custom transport object
+ * @param {Function} [config.fetch] - Custom fetch implementation (implies the fetch transport)
+ * @param {string} config.baseURL - Base URL for requests
+ * @param {number} config.timeout - Request timeout in milliseconds
+ * @returns {Object} Transport instance
+ */
+function createTransport({transport,fetch,baseURL,timeout}) {
+  if(transport&&typeof transport==='object') {
+    if(typeof transport.request!=='function') {
+      throw new Error('transport must implement request(config)');
+    }
+    return transport;
+  }
+
+  if(transport!==undefined&&transport!=='axios'&&transport!=='fetch') {
+    throw new Error('transport must be "axios", "fetch" or an object implementing request(config)');
+  }
+
+  if(transport==='axios') {
+    return new AxiosTransport({baseURL,timeout});
+  }
+
+  if(transport==='fetch'||fetch) {
+    return new FetchTransport({baseURL,timeout,fetch});
+  }
+
+  // Default to axios on Node.js and fetch everywhere else
+  const isNode=typeof process!=='undefined'&&!!process.versions?.node;
+  return isNode||typeof globalThis.fetch!=='function'
+    ? new AxiosTransport({baseURL,timeout})
+    :new FetchTransport({baseURL,timeout});
+}
+
+module.exports={
+  AxiosTransport,
+  FetchTransport,
+  createTransport,
+  iterateReadableStream
+};
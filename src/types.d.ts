@@ -4,25 +4,268 @@
  */
 
 export interface AgentlifyConfig {
-  /** Agentlify API key (required) */
-  apiKey: string;
-  /** Base URL for Agentlify API */
+  /**
+   * Agentlify API key (required; defaults to AGENTLIFY_API_KEY), or a function returning one.
+   * Functions are cached for apiKeyCacheTtl and consulted again after an authentication error.
+   */
+  apiKey?: string | (() => string | Promise<string>);
+  /** Accepted API key format (default: keys starting with "mp_") */
+  apiKeyFormat?: RegExp | ((apiKey: string) => boolean);
+  /** Milliseconds a key returned by an apiKey function is reused (default 300000) */
+  apiKeyCacheTtl?: number;
+  /** Base URL for Agentlify API (AGENTLIFY_BASE_URL) */
   baseURL?: string;
-  /** Router ID to use for requests */
+  /** Router ID to use for requests (required; AGENTLIFY_ROUTER_ID) */
   routerId?: string;
-  /** Request timeout in milliseconds */
+  /** Request timeout in milliseconds (AGENTLIFY_TIMEOUT) */
   timeout?: number;
+  /** Fail streams that receive no data for this many milliseconds */
+  streamIdleTimeout?: number;
   /** Default headers to include */
   defaultHeaders?: Record<string, string>;
-  /** Maximum number of retries */
+  /**
+   * Unknown chat.create parameters are forwarded (false, default), forwarded with a
+   * console warning ('warn') or rejected with InvalidRequestError (true)
+   */
+  strictParams?: boolean | 'warn';
+  /** Maximum number of retries (AGENTLIFY_MAX_RETRIES) */
+  maxRetries?: number;
+  /** Named profile from the config file (AGENTLIFY_PROFILE); when passed here it wins over AGENTLIFY_* variables */
+  profile?: string;
+  /** Config file holding profiles (AGENTLIFY_CONFIG_FILE, default ~/.agentlify/config.json) */
+  configFile?: string;
+  /** Retry policy, or false to disable retries */
+  retry?: RetryPolicy | false;
+  /**
+   * HTTP transport: 'axios' (Node.js default), 'fetch' (default elsewhere)
+   * or a custom transport implementation
+   */
+  transport?: 'axios' | 'fetch' | Transport;
+  /** Custom fetch implementation; selects the fetch transport */
+  fetch?: typeof fetch;
+  /** Middleware to register at construction time */
+  middleware?: Middleware[];
+  /** Opt-in client-side rate limiting; requests queue instead of failing */
+  rateLimit?: RateLimitOptions;
+  /** Per-endpoint circuit breaker; `true` uses the defaults */
+  circuitBreaker?: CircuitBreakerOptions | boolean;
+  /** Routers tried in order when the primary router fails or its circuit is open */
+  fallbackRouterIds?: string[];
+}
+
+export interface RateLimitOptions {
+  /** Maximum in-flight requests (streams count until fully read) */
+  maxConcurrent?: number;
+  /** Request budget per minute */
+  requestsPerMinute?: number;
+  /** Token budget per minute */
+  tokensPerMinute?: number;
+  /** Estimate the tokens a request payload will consume */
+  estimateTokens?: (payload: any) => number;
+}
+
+export class CredentialProvider {
+  /** Whether keys come from a provider function */
+  readonly isDynamic: boolean;
+  /** Resolve the key for a request, consulting the provider when the cache has expired */
+  getApiKey(options?: { forceRefresh?: boolean }): Promise<string>;
+  /** Drop the cached key */
+  invalidate(): void;
+}
+
+export class RateLimiter {
+  constructor(options?: RateLimitOptions);
+  /** In-flight requests */
+  readonly active: number;
+  /** Callers waiting for capacity */
+  readonly pending: number;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open a circuit */
+  failureThreshold?: number;
+  /** Milliseconds an open circuit waits before a trial request */
+  resetTimeout?: number;
+  /** Concurrent trial requests while half-open */
+  halfOpenMaxCalls?: number;
+  /** Decide whether an error counts as a failure (default: 5xx and connection errors) */
+  isFailure?: (error: Error) => boolean;
+}
+
+export interface CircuitStateChange {
+  /** Circuit key (endpoint, e.g. /router/{routerId}) */
+  circuit: string;
+  from: CircuitState;
+  to: CircuitState;
+  /** Error that opened the circuit */
+  error: Error | null;
+}
+
+export class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions);
+  getState(circuit: string): CircuitState;
+  acquire(circuit: string): void;
+  record(circuit: string, error?: Error | null): void;
+  reset(circuit?: string): void;
+  on(event: 'stateChange', listener: (change: CircuitStateChange) => void): this;
+  once(event: 'stateChange', listener: (change: CircuitStateChange) => void): this;
+  off(event: 'stateChange', listener: (change: CircuitStateChange) => void): this;
+}
+
+export interface MiddlewareContext {
+  /** API operation being performed */
+  operation: 'chat.completions' | 'agents.run' | 'agents.execute' | 'embeddings';
+  /** Whether the call streams its response */
+  stream: boolean;
+  /** Request body; rewrite fields (messages, routerId, tools) in onRequest */
+  payload: Record<string, any>;
+  /** Per-request options */
+  options: PerRequestOptions;
+  /** Tool-loop iteration (agents.run only, 1-based) */
+  iteration?: number;
+  /** Scratch space shared between hooks for this call */
+  state: Record<string, any>;
+}
+
+export interface Middleware {
+  /** Inspect or rewrite the outgoing request */
+  onRequest?(context: MiddlewareContext): void | Promise<void>;
+  /** Observe the response (a ChatCompletionStream for streaming calls); return a value to replace it */
+  onResponse?(context: MiddlewareContext, response: any): any;
+  /** Observe each streamed chunk */
+  onChunk?(context: MiddlewareContext, chunk: ChatCompletionChunk): void | Promise<void>;
+  /** Observe an error; return an Error to replace it */
+  onError?(context: MiddlewareContext, error: Error): void | Error | Promise<void | Error>;
+}
+
+/** Ordered list of middleware run around each API call (`client.middleware`) */
+export class MiddlewarePipeline {
+  constructor();
+  /** Register a middleware; throws when it defines no hooks or a hook is not a function */
+  use(middleware: Middleware): this;
+  /** Whether any registered middleware defines the hook */
+  has(hook: keyof Middleware): boolean;
+  /** Run onRequest hooks, the handler, then onResponse hooks; errors go through onError */
+  run<T>(context: MiddlewareContext, handler: (context: MiddlewareContext) => Promise<T>): Promise<T>;
+  /** Run onChunk hooks for a streamed chunk */
+  chunk(context: MiddlewareContext, chunk: ChatCompletionChunk): Promise<void>;
+  /** Run onError hooks and resolve to the error to throw */
+  handleError(context: MiddlewareContext, error: Error): Promise<Error>;
+}
+
+export interface TransportRequestConfig {
+  /** Endpoint path or absolute URL */
+  url: string;
+  /** HTTP method */
+  method: string;
+  /** Request body */
+  data?: any;
+  /** Query parameters */
+  params?: Record<string, any>;
+  /** Request headers, including authentication */
+  headers: Record<string, string>;
+  /** Request timeout in milliseconds */
+  timeout?: number;
+  /** Return the body as an async iterable of chunks */
+  stream?: boolean;
+}
+
+export interface TransportResponse {
+  /** HTTP status code */
+  status: number;
+  /** Response headers */
+  headers: Record<string, string>;
+  /** Parsed body, or an async iterable of chunks when streaming */
+  data: any;
+}
+
+export interface Transport {
+  /**
+   * Send a request. Reject with `error.response = { status, headers, data }`
+   * for HTTP errors, or `error.request` set when no response was received.
+   */
+  request(config: TransportRequestConfig): Promise<TransportResponse>;
+}
+
+export class AxiosTransport implements Transport {
+  constructor(options: { baseURL: string; timeout?: number; axiosConfig?: Record<string, any> });
+  /** The axios instance requests go through */
+  httpClient: import('axios').AxiosInstance;
+  request(config: TransportRequestConfig): Promise<TransportResponse>;
+}
+
+export class FetchTransport implements Transport {
+  constructor(options: { baseURL: string; timeout?: number; fetch?: typeof fetch });
+  request(config: TransportRequestConfig): Promise<TransportResponse>;
+}
+
+export interface RetryBackoffOptions {
+  /** Delay before the first retry in milliseconds (default: 1000) */
+  initialDelay?: number;
+  /** Upper bound for the backoff delay in milliseconds (default: 10000) */
+  maxDelay?: number;
+  /** Growth factor between retries (default: 2) */
+  multiplier?: number;
+}
+
+export interface RetryPolicy {
+  /** Maximum number of retries (default: 3) */
   maxRetries?: number;
+  /** Backoff options, or a function returning the delay for a retry attempt */
+  backoff?: RetryBackoffOptions | ((attempt: number) => number);
+  /** Jitter mode used to spread retries (default: 'full') */
+  jitter?: boolean | 'full' | 'equal' | 'none';
+  /** Longest server Retry-After hint to honor in milliseconds (default: 60000) */
+  maxRetryAfter?: number;
+  /** Decide whether a failed attempt should be retried */
+  retryOn?: (error: Error, attempt: number) => boolean;
+}
+
+export interface PerRequestOptions {
+  /** Signal to cancel the request and any pending retries */
+  signal?: AbortSignal;
+  /** Request timeout in milliseconds for this call */
+  timeout?: number;
+  /** For streams, fail after this many milliseconds without data */
+  streamIdleTimeout?: number;
+  /** Additional request headers */
+  headers?: Record<string, string>;
+  /** Router ID overriding the client's routerId */
+  routerId?: string;
+  /** Maximum number of retries for this call */
+  maxRetries?: number;
+  /** Fallback routers for this call (chat completions only) */
+  fallbackRouterIds?: string[];
+}
+
+export interface RequestOptions {
+  /** HTTP method (default: 'POST') */
+  method?: string;
+  /** Request body */
+  data?: any;
+  /** Query parameters */
+  params?: Record<string, any>;
+  /** Additional request headers */
+  headers?: Record<string, string>;
+  /** Retry policy overrides for this call */
+  retry?: RetryPolicy | false;
+  /** Maximum number of retries for this call */
+  maxRetries?: number;
+  /** Return the response body as an async iterable of chunks */
+  stream?: boolean;
+  /** Signal to cancel the request and any pending retries */
+  signal?: AbortSignal;
+  /** Request timeout in milliseconds for this call */
+  timeout?: number;
 }
 
 export interface ChatMessage {
   /** The role of the message author */
   role: 'system' | 'user' | 'assistant' | 'function' | 'tool';
-  /** The content of the message */
-  content?: string;
+  /** The content of the message: text, or content parts (text, images, audio, files) */
+  content?: string | ChatCompletionContentPart[] | null;
   /** The name of the function to call */
   name?: string;
   /** Function call information */
@@ -36,6 +279,56 @@ export interface ChatMessage {
   tool_call_id?: string;
 }
 
+export interface ChatCompletionContentPartText {
+  type: 'text';
+  text: string;
+}
+
+export interface ChatCompletionContentPartImage {
+  type: 'image_url';
+  image_url: {
+    /** http(s) URL or base64 data URL */
+    url: string;
+    detail?: 'auto' | 'low' | 'high';
+  };
+}
+
+export interface ChatCompletionContentPartInputAudio {
+  type: 'input_audio';
+  input_audio: {
+    /** Base64-encoded audio */
+    data: string;
+    format: 'wav' | 'mp3' | 'flac' | 'ogg' | string;
+  };
+}
+
+export interface ChatCompletionContentPartFile {
+  type: 'file';
+  file: {
+    /** Base64 data URL of the file */
+    file_data?: string;
+    /** Id of an uploaded file */
+    file_id?: string;
+    filename?: string;
+  };
+}
+
+export interface ChatCompletionContentPartRefusal {
+  type: 'refusal';
+  refusal: string;
+}
+
+/** Content part; images, audio and files are only accepted in user messages */
+export type ChatCompletionContentPart =
+  | ChatCompletionContentPartText
+  | ChatCompletionContentPartImage
+  | ChatCompletionContentPartInputAudio
+  | ChatCompletionContentPartFile
+  | ChatCompletionContentPartRefusal;
+
+/** File path (Node.js) or raw bytes */
+export type ContentSource = string | Uint8Array | ArrayBuffer;
+
 export interface ToolCall {
   /** Unique identifier for the tool call */
   id: string;
@@ -83,6 +376,20 @@ export interface ChatCompletionCreateParams {
   stop?: string | string[];
   /** Enable streaming */
   stream?: boolean;
+  /** Streaming options (only with stream: true) */
+  stream_options?: ChatCompletionStreamOptions;
+  /** Maximum tokens to generate, including reasoning tokens */
+  max_completion_tokens?: number;
+  /** Number of choices to generate */
+  n?: number;
+  /** Seed for best-effort deterministic sampling */
+  seed?: number;
+  /** Return log probabilities of the output tokens */
+  logprobs?: boolean;
+  /** Most likely tokens to return per position (0-20, requires logprobs) */
+  top_logprobs?: number;
+  /** Token id to bias (-100 to 100) */
+  logit_bias?: Record<string, number>;
   /** Function definitions (deprecated, use tools) */
   functions?: FunctionDefinition[];
   /** Function call behavior */
@@ -93,11 +400,106 @@ export interface ChatCompletionCreateParams {
   tool_choice?:
     | 'none'
     | 'auto'
+    | 'required'
     | { type: 'function'; function: { name: string } };
+  /** Allow several tool calls in one turn */
+  parallel_tool_calls?: boolean;
   /** Response format specification */
-  response_format?: { type: 'text' | 'json_object' };
+  response_format?: ResponseFormat;
   /** User identifier */
   user?: string;
+  /** String key-value pairs attached to the request */
+  metadata?: Record<string, string>;
+  /** Store the completion for later retrieval */
+  store?: boolean;
+  /** Processing tier */
+  service_tier?: string;
+  /** Reasoning effort for reasoning models */
+  reasoning_effort?: string;
+  /** Output modalities, e.g. ['text', 'audio'] */
+  modalities?: string[];
+  /** Audio output parameters */
+  audio?: Record<string, any>;
+  /** Predicted output, to speed up regeneration */
+  prediction?: Record<string, any>;
+  /** Extra fields merged into the request body as-is, for fields this library does not know yet */
+  extra_body?: Record<string, any>;
+  /** Shorten the history when it outgrows the context window (not sent to the router) */
+  truncation?: TruncationOption;
+}
+
+export type TruncationStrategy = 'drop_oldest' | 'summarize';
+
+export interface TruncationOptions {
+  /** 'drop_oldest' (default) drops the oldest turns; 'summarize' replaces them with a summary */
+  strategy?: TruncationStrategy;
+  /** Context window in tokens (default: the model's context window from getModels()) */
+  maxTokens?: number;
+  /** Tokens kept free for the reply (default: max_completion_tokens, max_tokens, or 1024 capped at a quarter of the budget) */
+  reserveTokens?: number;
+  /** Tokens set aside for the summary; longer summaries are cut (default: 512) */
+  summaryTokens?: number;
+  /** Summarizer for dropped messages (default: a chat completion on the client's router, with the request's model) */
+  summarize?: (dropped: ChatMessage[], transcript: string) => string | Promise<string>;
+  /** Tokenizer for accurate counts, e.g. from js-tiktoken; without one the budget uses a heuristic estimate */
+  tokenizer?: Tokenizer;
+}
+
+/** `true` and 'auto' are 'drop_oldest' */
+export type TruncationOption = boolean | 'auto' | TruncationStrategy | TruncationOptions;
+
+/** Counts the tokens of a text with the model's real tokenizer; the only way to get exact counts */
+export type Tokenizer = (text: string, model?: string) => number;
+
+export interface CountTokensOptions {
+  /** Model the messages are for (passed to the tokenizer) */
+  model?: string;
+  /** Tool definitions sent with the messages */
+  tools?: Array<Tool | AgentTool>;
+  /** Tokenizer for accurate counts; without one a character/word heuristic estimates them */
+  tokenizer?: Tokenizer;
+}
+
+export interface JSONSchemaResponseFormat {
+  type: 'json_schema';
+  json_schema: {
+    /** Schema name (letters, digits, underscores and dashes) */
+    name: string;
+    description?: string;
+    schema?: Record<string, any>;
+    /** Ask the router for strict schema adherence */
+    strict?: boolean;
+  };
+}
+
+export type ResponseFormat = { type: 'text' | 'json_object' } | JSONSchemaResponseFormat;
+
+/** Any schema with a Zod-style safeParse(), e.g. a Zod schema */
+export interface ZodLikeSchema<T = any> {
+  safeParse(value: unknown):
+    | { success: true; data: T }
+    | { success: false; error: { issues?: Array<{ path?: Array<string | number>; message: string }>; message?: string } };
+  /** Sent to the router as json_schema when present; json_object is requested otherwise */
+  toJSONSchema?(): Record<string, any>;
+  description?: string;
+}
+
+export interface ChatCompletionParseParams<T = any>
+  extends Omit<ChatCompletionCreateParams, 'response_format' | 'stream'> {
+  /** JSON Schema, json_schema response format or Zod-like schema the content must match */
+  response_format: Record<string, any> | JSONSchemaResponseFormat | ZodLikeSchema<T>;
+  stream?: false;
+}
+
+export interface ParsedChatCompletionMessage<T> extends ChatMessage {
+  /** Parsed and validated content; null for refusals and messages without content */
+  parsed: T | null;
+  /** Refusal message, when the model declined to answer */
+  refusal?: string | null;
+}
+
+export interface ParsedChatCompletion<T> extends Omit<ChatCompletionResponse, 'choices'> {
+  choices: Array<Omit<ChatCompletionChoice, 'message'> & { message: ParsedChatCompletionMessage<T> }>;
 }
 
 export interface ChatCompletionChoice {
@@ -115,6 +517,11 @@ export interface ChatCompletionChoice {
     | null;
 }
 
+export interface ChatCompletionStreamOptions {
+  /** Send token usage in a final chunk before [DONE] */
+  include_usage?: boolean;
+}
+
 export interface ChatCompletionUsage {
   /** Prompt tokens */
   prompt_tokens: number;
@@ -138,33 +545,92 @@ export interface ChatCompletionResponse {
   /** Token usage */
   usage: ChatCompletionUsage;
   /** Agentlify metadata */
-  _meta?: {
-    requestId: string;
-    modelUsed: string;
-    originalSelection: string;
-    fallbackUsed: boolean;
-    tokensUsed: number;
-    cost: number;
-    latency: number;
-    routerMode: string;
-    security: any;
-    features: any;
+  _meta?: RoutingMeta;
+}
+
+export interface RoutingMeta {
+  /** Server request id */
+  requestId: string;
+  /** Model the router selected */
+  modelUsed: string;
+  /** Model originally selected before any fallback */
+  originalSelection: string;
+  /** Whether a fallback model was used */
+  fallbackUsed: boolean;
+  /** Tokens used */
+  tokensUsed: number;
+  /** Cost of the request */
+  cost: number;
+  /** Latency in milliseconds */
+  latency: number;
+  /** Router mode that made the selection */
+  routerMode: string;
+  security: any;
+  features: any;
+}
+
+export interface RawResponse {
+  /** HTTP status code */
+  status: number;
+  /** Response headers */
+  headers: Record<string, string>;
+  /** Raw response body (an async iterable of chunks when streaming) */
+  data: any;
+}
+
+export interface WithResponse<T> {
+  /** Parsed result */
+  data: T;
+  /** Raw HTTP response */
+  response: RawResponse;
+  /** Server request id, from the x-request-id header or _meta */
+  requestId: string | null;
+  /** Routing metadata returned by the router */
+  meta: RoutingMeta | null;
+}
+
+/** Promise for an API result that also exposes the raw response */
+export class APIPromise<T> extends Promise<T> {
+  /** Resolve to the raw HTTP response */
+  asResponse(): Promise<RawResponse>;
+  /** Resolve to the result together with the raw response, request id and routing metadata */
+  withResponse(): Promise<WithResponse<T>>;
+}
+
+export interface ToolCallDelta {
+  /** Position of the tool call in the message's tool_calls */
+  index: number;
+  /** Set on the first delta of a tool call */
+  id?: string;
+  type?: 'function';
+  function?: {
+    name?: string;
+    /** Fragment of the JSON arguments */
+    arguments?: string;
   };
 }
 
+export interface ChatCompletionChunkDelta {
+  role?: ChatMessage['role'];
+  content?: string | null;
+  tool_calls?: ToolCallDelta[];
+}
+
 export interface ChatCompletionChunk {
-  /** Unique identifier */
+  /** Unique identifier (shared by every chunk of a completion) */
   id: string;
   /** Object type */
   object: 'chat.completion.chunk';
   /** Creation timestamp */
   created: number;
-  /** Model used */
+  /** Model the request was routed to */
   model: string;
+  /** Agentlify routing metadata, when sent */
+  _meta?: RoutingMeta;
   /** Completion choices */
   choices: Array<{
     index: number;
-    delta: Partial<ChatMessage>;
+    delta: ChatCompletionChunkDelta;
     finish_reason:
       | 'stop'
       | 'length'
@@ -204,6 +670,9 @@ export interface Model {
     vision: boolean;
     streaming: boolean;
   };
+  /** Context window in tokens, when the router reports it */
+  context_window?: number;
+  contextWindow?: number;
 }
 
 // Error types
@@ -211,13 +680,31 @@ export class AgentlifyError extends Error {
   type: string;
   code?: string;
   param?: string;
+  /** Underlying error, for transport failures */
+  cause?: unknown;
+  /** Number of attempts made before the error was thrown */
+  attempts?: number;
+  /** Number of retries made before the error was thrown */
+  retryCount?: number;
+  /** Endpoint of the failed request */
+  endpoint?: string;
+  /** HTTP method of the failed request */
+  method?: string;
+  /** Server request id, when one was returned */
+  requestId?: string | null;
+  /** Response headers of the failed request */
+  headers?: Record<string, string>;
 }
 
 export class APIError extends AgentlifyError {
+  constructor(message: string, status: number, response?: any);
   status: number;
   response?: any;
 }
 
+export class APIConnectionError extends AgentlifyError {}
+export class APITimeoutError extends APIConnectionError {}
+export class APIUserAbortError extends AgentlifyError {}
 export class AuthenticationError extends APIError {}
 export class RateLimitError extends APIError {}
 export class InvalidRequestError extends APIError {}
@@ -226,25 +713,143 @@ export class NotFoundError extends APIError {}
 export class ConflictError extends APIError {}
 export class UnprocessableEntityError extends APIError {}
 export class InternalServerError extends APIError {}
+export class StreamIdleTimeoutError extends APITimeoutError {
+  /** Idle timeout in milliseconds that elapsed */
+  idleTimeout: number;
+}
+export class StreamParseError extends AgentlifyError {
+  /** Raw `data` of the malformed frame */
+  data: string;
+}
+export class ResponseValidationError extends AgentlifyError {
+  constructor(
+    message: string,
+    details?: { path?: string; issues?: ResponseValidationIssue[]; content?: string | null; completion?: any; cause?: unknown },
+  );
+  /** JSON path of the first failing value, e.g. `$.items[0].name` (`$` when the content is not JSON) */
+  path: string;
+  /** Every validation issue */
+  issues: ResponseValidationIssue[];
+  /** Raw assistant content */
+  content: string | null;
+  /** Completion the content came from */
+  completion: ChatCompletionResponse | null;
+}
+export interface ResponseValidationIssue {
+  path: string;
+  message: string;
+}
+export class CircuitOpenError extends AgentlifyError {
+  /** Circuit key (endpoint) that is open */
+  circuit: string;
+  /** Epoch milliseconds when a trial request will be allowed, if known */
+  retryAt: number | null;
+}
 
 // Chat completions stream
+export interface ChatCompletionStreamEvents {
+  chunk: (chunk: ChatCompletionChunk, snapshot: ChatCompletionResponse) => void;
+  /** Content delta and the choice's content so far */
+  content: (delta: string, snapshot: string) => void;
+  /** Tool call delta and the tool call assembled so far */
+  'tool_call.delta': (delta: ToolCallDelta, toolCall: ToolCall) => void;
+  /** JSON content parsed so far (json_object/json_schema responses), whenever it grows */
+  partial_object: (object: any, snapshot: string) => void;
+  /** Tool call arguments parsed so far, whenever they grow */
+  'tool_call.partial': (args: any, toolCall: ToolCall) => void;
+  /** chat.runTools streams: an assistant tool-call message or tool result added to the history */
+  message: (message: ChatMessage) => void;
+  end: (completion: ChatCompletionResponse) => void;
+  error: (error: AgentlifyError) => void;
+}
+
+/** The parts of a Node.js http.ServerResponse (or Express response) that pipeToResponse() uses */
+export interface ServerResponseLike {
+  statusCode: number;
+  readonly headersSent: boolean;
+  readonly writableEnded: boolean;
+  setHeader(name: string, value: string | number | readonly string[]): unknown;
+  getHeader(name: string): string | number | string[] | undefined;
+  flushHeaders?(): void;
+  /** Compression middleware's flush, called after each frame when present */
+  flush?(): void;
+  write(chunk: string): boolean;
+  end(): unknown;
+  on(event: 'close' | 'drain', listener: () => void): unknown;
+  removeListener(event: 'close' | 'drain', listener: () => void): unknown;
+}
+
 export class ChatCompletionStream {
+  /** chat.runTools streams: the messages sent so far, including tool calls and results */
+  messages?: ChatMessage[];
+  /** `id` of the last server-sent event received */
+  lastEventId: string | null;
+  /** Token usage, once the chunk carrying it (see stream_options.include_usage) has been read; summed over every request for chat.runTools streams */
+  usage: ChatCompletionUsage | null;
+  /** Agentlify routing metadata (model used, cost), once the chunk carrying it has been read */
+  meta: RoutingMeta | null;
+  /** Controls the upstream request */
+  controller: AbortController;
+  /** Stop the stream and the upstream request; reads throw APIUserAbortError */
+  abort(reason?: any): void;
   [Symbol.asyncIterator](): AsyncIterableIterator<ChatCompletionChunk>;
   toArray(): Promise<ChatCompletionChunk[]>;
   getText(): Promise<string>;
+  /** Read the stream to the end (emitting events) unless it is already being read */
+  done(): Promise<void>;
+  /** Assemble content, tool calls (with merged arguments), usage and _meta into a completion */
+  finalChatCompletion(): Promise<ChatCompletionResponse>;
+  /** Read the stream, yielding the JSON content parsed so far each time it grows */
+  partialObjects<T = any>(): AsyncGenerator<Partial<T>>;
+  /** Split into two streams that each receive every chunk */
+  tee(): [ChatCompletionStream, ChatCompletionStream];
+  /** text/event-stream bytes, e.g. for a fetch Response body; cancelling aborts the upstream request. Needs Web Streams (Node.js 16.5+) */
+  toReadableStream(): ReadableStream<Uint8Array>;
+  /** Write server-sent events to a Node.js/Express response; a client disconnect aborts the upstream request */
+  pipeToResponse(res: ServerResponseLike): Promise<void>;
+  /** Read a body produced by toReadableStream() or pipeToResponse() */
+  static fromReadableStream(readableStream: ReadableStream<Uint8Array>): ChatCompletionStream;
+  on<E extends keyof ChatCompletionStreamEvents>(event: E, listener: ChatCompletionStreamEvents[E]): this;
+  once<E extends keyof ChatCompletionStreamEvents>(event: E, listener: ChatCompletionStreamEvents[E]): this;
+  off<E extends keyof ChatCompletionStreamEvents>(event: E, listener: ChatCompletionStreamEvents[E]): this;
 }
 
 // Chat completions API
 export class ChatCompletions {
   create(
     params: ChatCompletionCreateParams & { stream?: false },
-  ): Promise<ChatCompletionResponse>;
+    options?: PerRequestOptions,
+  ): APIPromise<ChatCompletionResponse>;
   create(
     params: ChatCompletionCreateParams & { stream: true },
-  ): Promise<ChatCompletionStream>;
+    options?: PerRequestOptions,
+  ): APIPromise<ChatCompletionStream>;
   create(
     params: ChatCompletionCreateParams,
-  ): Promise<ChatCompletionResponse | ChatCompletionStream>;
+    options?: PerRequestOptions,
+  ): APIPromise<ChatCompletionResponse | ChatCompletionStream>;
+  /** Request JSON matching a schema and return it parsed and validated as `message.parsed` */
+  parse<T = any>(
+    params: ChatCompletionParseParams<T>,
+    options?: PerRequestOptions,
+  ): APIPromise<ParsedChatCompletion<T>>;
+  /** Create a completion, running tool callbacks locally and sending their results back until the model answers; `usage` is summed over every request */
+  runTools(
+    params: ChatCompletionRunToolsParams & { stream?: false },
+    options?: PerRequestOptions,
+  ): APIPromise<ChatCompletionResponse>;
+  /** Stream every request of the tool loop through one stream */
+  runTools(
+    params: ChatCompletionRunToolsParams & { stream: true },
+    options?: PerRequestOptions,
+  ): APIPromise<ChatCompletionStream>;
+}
+
+export interface ChatCompletionRunToolsParams extends Omit<ChatCompletionCreateParams, 'tools'> {
+  /** Tool definitions; `callback` runs the tool locally */
+  tools: AgentTool[];
+  /** Maximum number of requests before giving up (default: 10) */
+  maxToolIterations?: number;
 }
 
 // Agent tool callback function type
@@ -282,6 +887,10 @@ export interface AgentRunParams {
   options?: Record<string, any>;
   /** Maximum tool call iterations (default: 10) */
   maxToolIterations?: number;
+  /** Model used to look up the context window for truncation */
+  model?: string;
+  /** Shorten the history before each iteration when it outgrows the context window */
+  truncation?: TruncationOption;
 }
 
 // Agent execution response metadata
@@ -331,6 +940,8 @@ export interface AgentResponse {
   };
   /** Agent metadata */
   agent_metadata: AgentMetadata;
+  /** Agentlify routing metadata */
+  _meta?: RoutingMeta;
 }
 
 // Agents API
@@ -343,19 +954,184 @@ export class Agents {
    * 3. Automatically resumes agent with tool results
    * 4. Continues until agent completes
    */
-  run(params: AgentRunParams): Promise<AgentResponse>;
+  run(params: AgentRunParams, options?: PerRequestOptions): APIPromise<AgentResponse>;
 
   /**
    * Execute an agent without automatic tool handling.
    * Use this when you want to handle tool calls manually.
    * Returns immediately even if tool execution is required.
    */
-  execute(params: AgentRunParams): Promise<AgentResponse>;
+  execute(params: AgentRunParams, options?: PerRequestOptions): APIPromise<AgentResponse>;
+}
+
+export interface ConversationCreateParams extends Partial<Omit<ChatCompletionCreateParams, 'messages' | 'tools' | 'stream'>> {
+  /** System prompt, added as the first message */
+  system?: string;
+  /** Messages to start from */
+  messages?: ChatMessage[];
+  /** Send through agents.run with this agent instead of the router */
+  agentId?: string | null;
+  /** Tool definitions (with callbacks for agents) */
+  tools?: Array<Tool | AgentTool>;
+  /** Streaming options, sent with stream() requests only */
+  stream_options?: ChatCompletionStreamOptions;
+  /** Other parameters sent with every request */
+  [key: string]: any;
+}
+
+export interface SerializedConversation {
+  object: 'conversation';
+  agentId: string | null;
+  messages: ChatMessage[];
+  /** Tool definitions without callbacks */
+  tools: Tool[];
+  params: Record<string, any>;
+}
+
+/** Conversation that keeps its message history between requests */
+export class Conversation {
+  agentId: string | null;
+  tools: Array<Tool | AgentTool>;
+  params: Record<string, any>;
+  /** Messages so far (a copy) */
+  readonly history: ChatMessage[];
+  readonly lastMessage: ChatMessage | null;
+  /** Send a message (or, without content, the history as-is) and append it and the reply */
+  send(
+    content?: string | ChatCompletionContentPart[] | ChatMessage,
+    options?: PerRequestOptions,
+  ): APIPromise<ChatCompletionResponse | AgentResponse>;
+  /** Stream the reply; the message and reply are appended once the stream ends (router conversations only) */
+  stream(
+    content?: string | ChatCompletionContentPart[] | ChatMessage,
+    options?: PerRequestOptions,
+  ): APIPromise<ChatCompletionStream>;
+  /** Append messages without sending them, e.g. tool results */
+  append(...messages: ChatMessage[]): this;
+  /** Remove the last user message and everything after it */
+  undo(): ChatMessage[];
+  /** Independent copy with the same settings and history */
+  fork(): Conversation;
+  toJSON(): SerializedConversation;
+}
+
+// Conversations API
+export class Conversations {
+  create(config?: ConversationCreateParams): Conversation;
+  /** Restore a conversation from toJSON() output */
+  fromJSON(json: string | SerializedConversation, overrides?: ConversationCreateParams): Conversation;
+}
+
+export interface BatchRequest {
+  /** Unique id, used to match results and to resume file runs */
+  custom_id: string;
+  /** chat.create parameters (not streaming) */
+  body: ChatCompletionCreateParams;
+  /** Ignored; allowed for OpenAI batch input lines */
+  method?: string;
+  url?: string;
+}
+
+export interface BatchResult {
+  custom_id: string;
+  response: ChatCompletionResponse | null;
+  /** The error thrown for the item; output files hold `{message, type, code, status}` */
+  error: Error | null;
+}
+
+export interface BatchTotals {
+  total: number;
+  completed: number;
+  succeeded: number;
+  failed: number;
+  /** Items already in the output file when resuming; their results are included in the other totals */
+  skipped: number;
+  /** Token usage summed over the successful items */
+  usage: { prompt_tokens: number; completion_tokens: number; total_tokens: number };
+  /** Sum of `_meta.cost` */
+  cost: number;
+  /** Successful items per routed model */
+  models: Record<string, number>;
+}
+
+export interface BatchRunOptions {
+  /** Requests in flight at once (default: 4) */
+  concurrency?: number;
+  /** Called after each item with the running totals; an error it throws ends progress reports and is thrown once every item has finished */
+  onProgress?: (totals: BatchTotals, result: BatchResult) => void;
+  /** Stops the batch and cancels the requests in flight */
+  signal?: AbortSignal;
+  /** Per-request options for every item */
+  requestOptions?: PerRequestOptions;
+}
+
+export interface BatchFileOptions extends BatchRunOptions {
+  /** Skip ids already in the output file (default: true); false overwrites it */
+  resume?: boolean;
+  /** When resuming, run items whose output line has an error again (default: false) */
+  retryFailed?: boolean;
+}
+
+// Batches API
+export class Batches {
+  /** Run chat completions with bounded concurrency; failed items are reported, not thrown */
+  run(requests: BatchRequest[], options?: BatchRunOptions): Promise<BatchTotals & { results: BatchResult[] }>;
+  /** Run a JSONL file of requests, appending `{custom_id, response, error}` lines to the output file */
+  runFile(input: string, output: string, options?: BatchFileOptions): Promise<BatchTotals & { output: string }>;
+}
+
+export interface EmbeddingCreateParams {
+  /** Text, texts, or token arrays; arrays above the per-request limits are split over several requests */
+  input: string | string[] | number[] | number[][];
+  /** Embedding model (optional with Agentlify routing) */
+  model?: string;
+  /** Output dimensions, for models that support shortening */
+  dimensions?: number;
+  /** 'float' (default) returns number arrays; 'base64' is decoded into Float32Array */
+  encoding_format?: 'float' | 'base64';
+  /** User identifier */
+  user?: string;
+  /** Extra fields merged into the request body as-is */
+  extra_body?: Record<string, any>;
+}
+
+export interface Embedding<V = number[]> {
+  object: 'embedding';
+  /** Position of the input */
+  index: number;
+  embedding: V;
+}
+
+export interface CreateEmbeddingResponse<V = number[]> {
+  object: 'list';
+  /** Embeddings in input order */
+  data: Array<Embedding<V>>;
+  model: string;
+  /** Summed over every request when the input was split */
+  usage: { prompt_tokens: number; total_tokens: number };
+  /** Agentlify routing metadata */
+  _meta?: RoutingMeta;
+}
+
+// Embeddings API
+export class Embeddings {
+  /** Inputs per request before the input is split (default: 2048) */
+  maxInputsPerRequest: number;
+  /** Estimated tokens per request before the input is split (default: 300000) */
+  maxTokensPerRequest: number;
+  create(
+    params: EmbeddingCreateParams & { encoding_format: 'base64' },
+    options?: PerRequestOptions,
+  ): APIPromise<CreateEmbeddingResponse<Float32Array>>;
+  create(
+    params: EmbeddingCreateParams & { encoding_format?: 'float' },
+    options?: PerRequestOptions,
+  ): APIPromise<CreateEmbeddingResponse>;
 }
 
 // Main client class
 export class Agentlify {
-  constructor(config: AgentlifyConfig);
+  constructor(config?: AgentlifyConfig);
 
   /** Chat completions API */
   chat: ChatCompletions;
@@ -363,14 +1139,87 @@ export class Agentlify {
   /** Agents API - execute agents with local tool callbacks */
   agents: Agents;
 
+  /** Conversations that keep their message history */
+  conversations: Conversations;
+
+  /** Batch completions, in memory or from JSONL files */
+  batches: Batches;
+
+  /** OpenAI-compatible embeddings */
+  embeddings: Embeddings;
+
+  /** HTTP transport used for requests */
+  transport: Transport;
+
+  /** The axios instance of the axios transport, for interceptors; undefined with the fetch or a custom transport */
+  readonly httpClient: import('axios').AxiosInstance | undefined;
+
+  /** Client-side rate limiter, when configured */
+  rateLimiter: RateLimiter | null;
+
+  /** Per-endpoint circuit breaker, when configured */
+  circuitBreaker: CircuitBreaker | null;
+
+  /** Routers chat completions fall back to */
+  fallbackRouterIds: string[];
+
+  /** How unknown chat.create parameters are handled */
+  strictParams: boolean | 'warn';
+
+  /** Resolves the API key for each request */
+  credentials: CredentialProvider;
+
+  /** Middleware registered with use() or the `middleware` option */
+  middleware: MiddlewarePipeline;
+
+  /** Register middleware for chat completions and agent executions */
+  use(middleware: Middleware): this;
+
+  /** Resolved client retry policy */
+  retry: Required<RetryPolicy>;
+
   /** Make authenticated request */
-  request(endpoint: string, options?: any): Promise<any>;
+  request(endpoint: string, options?: RequestOptions): APIPromise<any>;
 
   /** Get router configuration */
-  getRouterConfig(): Promise<RouterConfig>;
+  getRouterConfig(options?: PerRequestOptions): APIPromise<RouterConfig>;
 
   /** Get available models */
-  getModels(): Promise<Model[]>;
+  getModels(options?: PerRequestOptions): APIPromise<Model[]>;
+
+  /**
+   * Context window of a model from getModels() (the smallest listed one without a model), or null
+   * The model list is fetched once and shared; `signal` only stops this call's wait.
+   */
+  getContextWindow(model?: string, options?: { signal?: AbortSignal }): Promise<number | null>;
 }
 
+/** Parse JSON that may be cut off, e.g. while it is being streamed */
+export function parsePartialJSON(text: string): any;
+
+/**
+ * Estimate the prompt tokens of a chat request locally
+ * The result is an estimate, not a token count: without `tokenizer` it comes from a character and
+ * word heuristic rather than a BPE tokenizer; pass one for accurate numbers.
+ */
+export function countTokens(messages: ChatMessage[], options?: CountTokensOptions): number;
+
+/** Build a text content part */
+export function textPart(text: string): ChatCompletionContentPartText;
+/** Build an image part from a URL, file path or bytes (base64 data URL, MIME type sniffed, 20 MB limit by default) */
+export function imagePart(
+  source: ContentSource,
+  options?: { detail?: 'auto' | 'low' | 'high'; mimeType?: string; maxBytes?: number },
+): Promise<ChatCompletionContentPartImage>;
+/** Build an input_audio part from a file path or bytes (format detected, 25 MB limit by default) */
+export function audioPart(
+  source: ContentSource,
+  options?: { format?: string; maxBytes?: number },
+): Promise<ChatCompletionContentPartInputAudio>;
+/** Build a file part (e.g. a PDF) from a file path or bytes (32 MB limit by default) */
+export function filePart(
+  source: ContentSource,
+  options?: { filename?: string; mimeType?: string; maxBytes?: number },
+): Promise<ChatCompletionContentPartFile>;
+
 export default Agentlify;
@@ -3,49 +3,85 @@
  * Helper functions for the Agentlify client
  */
 
-const {InvalidRequestError}=require('./errors');
+const {InvalidRequestError,APIUserAbortError}=require('./errors');
+const {describeSource}=require('./config');
+const {validateContent}=require('./content');
 
 /**
  * Validate client configuration
  * @param {Object} config - Configuration object
+ * @param {Object} [sources] - Where each option came from (see loadConfig), named in error messages
  * @returns {Object} Validated configuration
  */
-function validateConfig(config) {
+function validateConfig(config,sources={}) {
+  const from=key => describeSource(sources,key);
+
   if(!config.apiKey) {
-    throw new Error('Agentlify API key is required. Get one at https://modelpilot.co');
+    throw new Error('Agentlify API key is required. Pass apiKey or set AGENTLIFY_API_KEY. Get one at https://modelpilot.co');
+  }
+
+  if(typeof config.apiKey!=='string'&&typeof config.apiKey!=='function') {
+    throw new Error(`API key must be a string or a function returning one${from('apiKey')}`);
   }
 
-  if(typeof config.apiKey!=='string') {
-    throw new Error('API key must be a string');
+  if(config.apiKeyFormat!==undefined&&!(config.apiKeyFormat instanceof RegExp)&&typeof config.apiKeyFormat!=='function') {
+    throw new Error('apiKeyFormat must be a RegExp or a function');
+  }
+
+  if(config.apiKeyCacheTtl!==undefined&&(typeof config.apiKeyCacheTtl!=='number'||config.apiKeyCacheTtl<0)) {
+    throw new Error('apiKeyCacheTtl must be a non-negative number');
+  }
+
+  if(config.routerId!==undefined&&typeof config.routerId!=='string') {
+    throw new Error(`routerId must be a string${from('routerId')}`);
   }
 
   if(config.baseURL&&typeof config.baseURL!=='string') {
-    throw new Error('baseURL must be a string');
+    throw new Error(`baseURL must be a string${from('baseURL')}`);
   }
 
   if(config.timeout&&(typeof config.timeout!=='number'||config.timeout<=0)) {
-    throw new Error('timeout must be a positive number');
+    throw new Error(`timeout must be a positive number${from('timeout')}`);
   }
 
   if(config.maxRetries&&(typeof config.maxRetries!=='number'||config.maxRetries<0)) {
-    throw new Error('maxRetries must be a non-negative number');
+    throw new Error(`maxRetries must be a non-negative number${from('maxRetries')}`);
+  }
+
+  if(config.streamIdleTimeout!==undefined&&(typeof config.streamIdleTimeout!=='number'||config.streamIdleTimeout<=0)) {
+    throw new Error(`streamIdleTimeout must be a positive number${from('streamIdleTimeout')}`);
+  }
+
+  if(config.strictParams!==undefined&&typeof config.strictParams!=='boolean'&&config.strictParams!=='warn') {
+    throw new Error('strictParams must be true, false or \'warn\'');
+  }
+
+  if(config.middleware!==undefined&&!Array.isArray(config.middleware)) {
+    throw new Error('middleware must be an array');
+  }
+
+  if(config.fallbackRouterIds!==undefined&&!isRouterIdList(config.fallbackRouterIds)) {
+    throw new Error(`fallbackRouterIds must be an array of non-empty strings${from('fallbackRouterIds')}`);
   }
 
   return config;
 }
 
+/**
+ * Check for an array of non-empty router ID strings
+ * @private
+ */
+function isRouterIdList(value) {
+  return Array.isArray(value)&&value.every(id => typeof id==='string'&&id.length>0);
+}
+
 /**
  * Build headers for API requests
- * @param {string} apiKey - API key (should start with 'mp_')
+ * @param {string} apiKey - API key (format already checked by the credential provider)
  * @param {Object} additionalHeaders - Additional headers
  * @returns {Object} Headers object
  */
 function buildHeaders(apiKey,additionalHeaders={}) {
-  // Ensure API key has proper format for Agentlify
-  if(!apiKey.startsWith('mp_')) {
-    throw new Error('Invalid Agentlify API key format. API key must start with "mp_"');
-  }
-
   return {
     'Authorization': `Bearer ${apiKey}`,
     'User-Agent': 'modelpilot-js/1.0.0',
@@ -65,6 +101,40 @@ function handleResponse(response) {
   return response;
 }
 
+/**
+ * Read a header value case-insensitively
+ * @param {Object} headers - Response headers (plain object or AxiosHeaders)
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+function getHeader(headers,name) {
+  if(!headers) {
+    return undefined;
+  }
+
+  if(typeof headers.get==='function') {
+    const value=headers.get(name);
+    return value===null? undefined:value;
+  }
+
+  const key=Object.keys(headers).find(k => k.toLowerCase()===name.toLowerCase());
+  return key===undefined? undefined:headers[key];
+}
+
+/**
+ * Extract the server request id from response headers or body
+ * @param {Object} headers - Response headers
+ * @param {Object} [data] - Parsed response body
+ * @returns {string|null} Request id
+ */
+function getRequestId(headers,data) {
+  return getHeader(headers,'x-request-id')||
+    getHeader(headers,'request-id')||
+    data?._meta?.requestId||
+    data?.error?.request_id||
+    null;
+}
+
 /**
  * Validate messages array for chat completions
  * @param {Array} messages - Messages array
@@ -94,6 +164,10 @@ function validateMessages(messages) {
     if(!message.content&&!message.function_call&&!message.tool_calls) {
       throw new Error(`messages[${index}].content is required when role is not function or tool`);
     }
+
+    if(message.content) {
+      validateContent(message.content,message.role,`messages[${index}].content`);
+    }
   }
 }
 
@@ -154,51 +228,166 @@ function validateTools(tools) {
 }
 
 /**
- * Convert streaming data to text
- * @param {string} chunk - Raw chunk data
- * @returns {string|null} Extracted text or null
+ * Sleep for specified milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Signal that ends the sleep early when aborted
+ * @returns {Promise} Promise that resolves after delay
  */
-function extractStreamingText(chunk) {
-  try {
-    // Remove 'data: ' prefix if present
-    const cleanChunk=chunk.replace(/^data: /,'');
-
-    // Skip empty lines and [DONE] marker
-    if(!cleanChunk.trim()||cleanChunk.trim()==='[DONE]') {
-      return null;
+function sleep(ms,signal) {
+  return new Promise(resolve => {
+    if(signal?.aborted) {
+      resolve();
+      return;
     }
 
-    const parsed=JSON.parse(cleanChunk);
+    const onAbort=() => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer=setTimeout(() => {
+      signal?.removeEventListener('abort',onAbort);
+      resolve();
+    },ms);
+    signal?.addEventListener('abort',onAbort,{once: true});
+  });
+}
 
-    // Extract content from different possible structures
-    if(parsed.choices&&parsed.choices[0]) {
-      const choice=parsed.choices[0];
+/**
+ * Abort a controller when a caller-provided signal aborts
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @param {AbortController} controller - Controller to abort
+ * @returns {Function} Removes the listener from the caller's signal, for when the work is done
+ */
+function linkAbortSignal(signal,controller) {
+  if(!signal) {
+    return () => {};
+  }
 
-      // Handle delta format (streaming)
-      if(choice.delta&&choice.delta.content) {
-        return choice.delta.content;
-      }
+  if(signal.aborted) {
+    controller.abort(signal.reason);
+    return () => {};
+  }
 
-      // Handle message format (non-streaming)
-      if(choice.message&&choice.message.content) {
-        return choice.message.content;
-      }
+  const onAbort=() => controller.abort(signal.reason);
+  signal.addEventListener('abort',onAbort,{once: true});
+  return () => signal.removeEventListener('abort',onAbort);
+}
+
+/**
+ * Wait for a promise, giving up with APIUserAbortError when the caller's signal aborts
+ * The promise itself keeps running, e.g. a fetch shared with other callers.
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @returns {Promise} The promise's result
+ */
+function waitForSignal(promise,signal) {
+  if(!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve,reject) => {
+    const onAbort=() => reject(new APIUserAbortError('Request was aborted',{cause: signal.reason}));
+    if(signal.aborted) {
+      // Nobody else may be waiting on the promise, so keep its failure from going unhandled
+      Promise.resolve(promise).catch(() => {});
+      onAbort();
+      return;
     }
+    signal.addEventListener('abort',onAbort,{once: true});
+    promise.then(resolve,reject).finally(() => signal.removeEventListener('abort',onAbort));
+  });
+}
+
+/**
+ * Per-request option keys forwarded to Agentlify.request
+ */
+const REQUEST_OPTION_KEYS=['signal','timeout','headers','maxRetries','retry'];
+
+/**
+ * Validate per-request options
+ * @param {Object} options - Per-request options
+ * @returns {Object} Validated options
+ */
+function validateRequestOptions(options) {
+  if(options===undefined||options===null) {
+    return {};
+  }
+
+  if(typeof options!=='object'||Array.isArray(options)) {
+    throw new InvalidRequestError('options must be an object','options');
+  }
+
+  if(options.signal!==undefined&&(!options.signal||typeof options.signal.addEventListener!=='function')) {
+    throw new InvalidRequestError('options.signal must be an AbortSignal','signal');
+  }
+
+  if(options.timeout!==undefined&&(typeof options.timeout!=='number'||options.timeout<=0)) {
+    throw new InvalidRequestError('options.timeout must be a positive number','timeout');
+  }
 
-    return null;
-  } catch(error) {
-    // Ignore parsing errors for malformed chunks
-    return null;
+  if(options.headers!==undefined&&(!options.headers||typeof options.headers!=='object')) {
+    throw new InvalidRequestError('options.headers must be an object','headers');
   }
+
+  if(options.streamIdleTimeout!==undefined&&(typeof options.streamIdleTimeout!=='number'||options.streamIdleTimeout<=0)) {
+    throw new InvalidRequestError('options.streamIdleTimeout must be a positive number','streamIdleTimeout');
+  }
+
+  if(options.routerId!==undefined&&(typeof options.routerId!=='string'||!options.routerId)) {
+    throw new InvalidRequestError('options.routerId must be a non-empty string','routerId');
+  }
+
+  if(options.maxRetries!==undefined&&(!Number.isInteger(options.maxRetries)||options.maxRetries<0)) {
+    throw new InvalidRequestError('options.maxRetries must be a non-negative integer','maxRetries');
+  }
+
+  if(options.fallbackRouterIds!==undefined&&!isRouterIdList(options.fallbackRouterIds)) {
+    throw new InvalidRequestError('options.fallbackRouterIds must be an array of non-empty strings','fallbackRouterIds');
+  }
+
+  return options;
 }
 
 /**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise} Promise that resolves after delay
+ * Pick the options Agentlify.request understands from per-request options
+ * @param {Object} options - Per-request options
+ * @returns {Object} Options to spread into Agentlify.request
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve,ms));
+function pickRequestOptions(options={}) {
+  const picked={};
+  for(const key of REQUEST_OPTION_KEYS) {
+    if(options[key]!==undefined) {
+      picked[key]=options[key];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Add token usage from one response to a running total
+ * Numeric fields are summed, including those of nested details objects
+ * such as prompt_tokens_details; either side may be null.
+ * @param {Object|null} total - Usage so far
+ * @param {Object|null} usage - Usage of the next response
+ * @returns {Object|null} New total
+ */
+function addUsage(total,usage) {
+  if(!usage) {
+    return total;
+  }
+
+  const sum={...total};
+  for(const [key,value] of Object.entries(usage)) {
+    if(typeof value==='number') {
+      sum[key]=(typeof sum[key]==='number'? sum[key]:0)+value;
+    } else if(value&&typeof value==='object'&&!Array.isArray(value)) {
+      const current=sum[key]&&typeof sum[key]==='object'? sum[key]:null;
+      sum[key]=addUsage(current,value);
+    } else if(!(key in sum)) {
+      sum[key]=value;
+    }
+  }
+  return sum;
 }
 
 /**
@@ -213,10 +402,16 @@ module.exports={
   validateConfig,
   buildHeaders,
   handleResponse,
+  getHeader,
+  getRequestId,
   validateMessages,
   validateFunctions,
   validateTools,
-  extractStreamingText,
   sleep,
+  linkAbortSignal,
+  waitForSignal,
+  validateRequestOptions,
+  pickRequestOptions,
+  addUsage,
   generateRequestId
 };